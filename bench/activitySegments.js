@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Benchmark fixture for calculateActivitySegments: a year (by default) of synthetic AFK data
+ * with stopwatch events, run through the legacy quadratic implementation and the current one.
+ * Open bench/activitySegments.html from the same server as the app.
+ */
+
+import { calculateActivitySegments } from '../js/events.js';
+
+/**
+ * The implementation before the interval index, kept as the reference output and the baseline timing.
+ * @param {Array<Object>} stopwatchEvents - An array of stopwatch events.
+ * @param {Array<Object>} afkEvents - An array of AFK events.
+ * @returns {Array<Object>} The stopwatch events with `activitySegments`.
+ */
+function legacyCalculateActivitySegments(stopwatchEvents, afkEvents) {
+    return stopwatchEvents.map(swEvent => {
+        const swStart = swEvent.timestamp.getTime();
+        let swEnd = swStart + swEvent.duration * 1000;
+        if (swEvent.data.running === true) {
+            swEnd = new Date().getTime();
+        }
+
+        const overlappingAfk = afkEvents.filter(afk => {
+            const afkStart = afk.timestamp.getTime();
+            const afkEnd = afkStart + afk.duration * 1000;
+            return afkStart < swEnd && afkEnd > swStart;
+        });
+
+        const splitPoints = new Set([swStart, swEnd]);
+        overlappingAfk.forEach(afk => {
+            const afkStart = afk.timestamp.getTime();
+            const afkEnd = afkStart + afk.duration * 1000;
+            if (afkStart > swStart && afkStart < swEnd) {
+                splitPoints.add(afkStart);
+            }
+            if (afkEnd > swStart && afkEnd < swEnd) {
+                splitPoints.add(afkEnd);
+            }
+        });
+
+        const sortedSplitPoints = Array.from(splitPoints).sort((a, b) => a - b);
+
+        const segments = [];
+        for (let i = 0; i < sortedSplitPoints.length - 1; i++) {
+            const segmentStart = sortedSplitPoints[i];
+            const segmentEnd = sortedSplitPoints[i + 1];
+            if (segmentEnd <= segmentStart) continue;
+
+            const segmentMidpoint = segmentStart + (segmentEnd - segmentStart) / 2;
+            const coveringAfk = overlappingAfk
+                .filter(afk => {
+                    const afkStart = afk.timestamp.getTime();
+                    const afkEnd = afkStart + afk.duration * 1000;
+                    return segmentMidpoint >= afkStart && segmentMidpoint < afkEnd;
+                })
+                .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+            segments.push({
+                startTimestamp: new Date(segmentStart),
+                duration: (segmentEnd - segmentStart) / 1000,
+                status: coveringAfk ? coveringAfk.data.status : 'not-afk',
+            });
+        }
+
+        const mergedSegments = [];
+        if (segments.length > 0) {
+            let currentSegment = { ...segments[0] };
+            for (let i = 1; i < segments.length; i++) {
+                const nextSegment = segments[i];
+                if (nextSegment.status === currentSegment.status) {
+                    currentSegment.duration += nextSegment.duration;
+                } else {
+                    mergedSegments.push(currentSegment);
+                    currentSegment = { ...nextSegment };
+                }
+            }
+            mergedSegments.push(currentSegment);
+        }
+
+        swEvent.activitySegments = mergedSegments;
+        return swEvent;
+    });
+}
+
+/**
+ * Returns a deterministic pseudo-random generator, so every run uses the same fixture.
+ * @param {number} seed - The seed.
+ * @returns {function(): number} A generator of numbers in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Generates synthetic data: alternating AFK / not-AFK periods of 1–30 minutes around the clock
+ * (with occasional overlaps, as aw-watcher-afk produces them) and 4–10 stopwatch events per working day.
+ * @param {number} days - The number of days.
+ * @returns {{afkEvents: Array<Object>, stopwatchEvents: Array<Object>}} The fixture.
+ */
+function generateFixture(days) {
+    const random = createRandom(42);
+    const rangeStart = new Date(2025, 0, 1).getTime();
+    const rangeEnd = rangeStart + days * 24 * 3600 * 1000;
+
+    const afkEvents = [];
+    let time = rangeStart;
+    let afk = false;
+    while (time < rangeEnd) {
+        const duration = (60 + random() * 29 * 60) * (afk ? 2 : 1);
+        const overlap = random() < 0.05 ? random() * 30 : 0;
+        afkEvents.push({
+            id: afkEvents.length,
+            bucket: 'aw-watcher-afk_bench',
+            timestamp: new Date(time),
+            duration: duration + overlap,
+            data: { status: afk ? 'afk' : 'not-afk' },
+        });
+        time += duration * 1000;
+        afk = !afk;
+    }
+
+    const stopwatchEvents = [];
+    for (let day = 0; day < days; day++) {
+        const dayStart = rangeStart + day * 24 * 3600 * 1000;
+        if (new Date(dayStart).getDay() % 6 === 0) continue;
+        let taskTime = dayStart + 9 * 3600 * 1000;
+        const count = 4 + Math.floor(random() * 7);
+        for (let i = 0; i < count; i++) {
+            const duration = 15 * 60 + random() * 90 * 60;
+            stopwatchEvents.push({
+                id: `sw-${day}-${i}`,
+                bucket: 'aw-stopwatch',
+                timestamp: new Date(taskTime),
+                duration: duration,
+                data: { label: `Task ${i}`, running: false },
+            });
+            taskTime += (duration + random() * 20 * 60) * 1000;
+        }
+    }
+    return { afkEvents, stopwatchEvents };
+}
+
+/**
+ * Runs an implementation on a copy of the stopwatch events and measures it.
+ * @param {function} implementation - The implementation.
+ * @param {{afkEvents: Array<Object>, stopwatchEvents: Array<Object>}} fixture - The fixture.
+ * @returns {{ms: number, output: string}} The run time and the serialized segments.
+ */
+function measure(implementation, fixture) {
+    const stopwatchEvents = fixture.stopwatchEvents.map(event => ({ ...event }));
+    const startedAt = performance.now();
+    const result = implementation(stopwatchEvents, fixture.afkEvents);
+    const ms = performance.now() - startedAt;
+    return { ms, output: JSON.stringify(result.map(event => event.activitySegments)) };
+}
+
+function run() {
+    const days = parseInt(document.getElementById("days-input").value) || 365;
+    const output = document.getElementById("output");
+    output.textContent = "Running...";
+
+    // Let the browser paint the message before the long synchronous run
+    setTimeout(() => {
+        const fixture = generateFixture(days);
+        const current = measure(calculateActivitySegments, fixture);
+        const legacy = measure(legacyCalculateActivitySegments, fixture);
+
+        output.innerHTML = `
+            <table>
+                <tr><th>Fixture</th><td>${days} days, ${fixture.afkEvents.length} AFK events, ${fixture.stopwatchEvents.length} stopwatch events</td></tr>
+                <tr><th>Legacy</th><td>${legacy.ms.toFixed(1)} ms</td></tr>
+                <tr><th>Current</th><td>${current.ms.toFixed(1)} ms</td></tr>
+                <tr><th>Speed-up</th><td>${(legacy.ms / current.ms).toFixed(1)}×</td></tr>
+                <tr><th>Identical output</th><td>${legacy.output === current.output ? "yes" : "NO"}</td></tr>
+            </table>`;
+    }, 0);
+}
+
+document.getElementById("run-button").addEventListener("click", run);
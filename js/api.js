@@ -1,32 +1,180 @@
-import { setAfkBucketId, getAfkBucketId } from './state.js';
+import { setAfkBucketIds, setBucketHosts } from './state.js';
 import { showNotification } from './notification.js';
 
-const API_BASE_URL = 'http://localhost:5600';
+const DEFAULT_API_BASE_URL = 'http://localhost:5600';
+const SERVER_PROBE_TIMEOUT_MS = 5000;
+const EVENTS_PAGE_SIZE = 1000;
+const MAX_EVENT_PAGES = 100;
+
+let apiBaseUrl = DEFAULT_API_BASE_URL;
+
+/**
+ * Listeners notified after events of a bucket were changed through this module.
+ * @type {Array<function(string): void>}
+ */
+const eventMutationListeners = [];
+
+/**
+ * Listeners notified after every recorded event transaction.
+ * @type {Array<function(Array<{operation: EventOperation, result: (Object|null)}>): void>}
+ */
+const eventTransactionListeners = [];
+
+/**
+ * Listeners notified about the outcome of every API request.
+ * @type {Array<function('online'|'degraded'|'offline', Error=): void>}
+ */
+const connectionListeners = [];
+
+/**
+ * Sets the base URL of the ActivityWatch server used by all API requests.
+ * @param {string} url - The server base URL without a trailing slash (e.g. "http://localhost:5600").
+ */
+export function setApiBaseUrl(url) {
+    apiBaseUrl = url;
+}
+
+/**
+ * Returns the base URL of the ActivityWatch server used by all API requests.
+ * @returns {string} The server base URL.
+ */
+export function getApiBaseUrl() {
+    return apiBaseUrl;
+}
+
+/**
+ * Registers a listener that is called with the bucket ID after events of that bucket are created, replaced or deleted.
+ * The changed events are passed as well when they are known: deleted events by `id`, created and replaced events
+ * with their `timestamp` and `duration`; without them the whole bucket may have changed.
+ * @param {function(string, (Array<Object>|undefined)): void} listener - The listener.
+ */
+export function addEventMutationListener(listener) {
+    eventMutationListeners.push(listener);
+}
+
+/**
+ * Notifies the mutation listeners that events of a bucket changed.
+ * @param {string} bucketId - The bucket ID.
+ * @param {Array<Object>} [events] - The changed events, if known.
+ */
+function notifyEventMutation(bucketId, events) {
+    eventMutationListeners.forEach(listener => {
+        try {
+            listener(bucketId, events);
+        } catch (error) {
+            console.error("Event mutation listener failed:", error);
+        }
+    });
+}
+
+/**
+ * Registers a listener that is called after every successful event transaction with the applied operations
+ * and the events stored by the server, e.g. to record them for undo.
+ * @param {function(Array<{operation: EventOperation, result: (Object|null)}>): void} listener - The listener.
+ */
+export function addEventTransactionListener(listener) {
+    eventTransactionListeners.push(listener);
+}
+
+/**
+ * Registers a listener that is told after every API request whether the server answered:
+ * 'online' for a successful response, 'degraded' for a server error (HTTP 5xx), 'offline' if it could not be reached.
+ * @param {function('online'|'degraded'|'offline', Error=): void} listener - The listener.
+ */
+export function addConnectionListener(listener) {
+    connectionListeners.push(listener);
+}
+
+/**
+ * Notifies the connection listeners about the outcome of a request.
+ * @param {'online'|'degraded'|'offline'} status - The request outcome.
+ * @param {Error} [error] - The error, if the request failed.
+ */
+function notifyConnectionStatus(status, error) {
+    connectionListeners.forEach(listener => {
+        try {
+            listener(status, error);
+        } catch (listenerError) {
+            console.error("Connection listener failed:", listenerError);
+        }
+    });
+}
 
 /**
  * Универсальная функция для выполнения API-запросов с глобальной обработкой ошибок.
  * @param {string} url - URL для запроса.
  * @param {Object} options - Опции для fetch-запроса.
+ * Сетевые ошибки не показываются уведомлениями: о недоступности сервера сообщает индикатор соединения.
+ * @param {{notify: boolean}} [behavior] - Показывать ли уведомление об ошибке HTTP (по умолчанию да).
  * @returns {Promise<Response>} Promise, который разрешается в объект Response.
  * @throws {Error} Если запрос не удался или вернул ошибку HTTP.
  */
-async function apiFetch(url, options = {}) {
+async function apiFetch(url, options = {}, { notify = true } = {}) {
     try {
         const response = await fetch(url, options);
+        notifyConnectionStatus(response.status >= 500 ? 'degraded' : 'online');
         if (!response.ok) {
             const errorText = `HTTP error: ${response.status} for ${url}`;
-            showNotification(`API Error: ${errorText}`, 5000);
-            throw new Error(errorText);
+            if (notify) showNotification(`API Error: ${errorText}`, 5000);
+            const httpError = new Error(errorText);
+            httpError.isHttpError = true;
+            httpError.status = response.status;
+            httpError.responseText = await response.text().catch(() => '');
+            throw httpError;
         }
         return response;
     } catch (error) {
         const errorMessage = `Network error or API error: ${error.message}`;
-        showNotification(`API Error: ${errorMessage}`, 5000);
+        if (!error.isHttpError) {
+            error.isNetworkError = true;
+            notifyConnectionStatus('offline', error);
+        }
         console.error(errorMessage, error);
         throw error;
     }
 }
 
+/**
+ * Checks whether an error (or one of its causes) means the server could not be reached at all.
+ * @param {Error} error - The error to check.
+ * @returns {boolean} True for network errors, false for HTTP errors and everything else.
+ */
+export function isNetworkError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current.isNetworkError) return true;
+    }
+    return false;
+}
+
+/**
+ * Checks that an ActivityWatch server answers at the given base URL.
+ * Unlike the other API functions it does not show notifications, so the caller can report a single clear error.
+ * @param {string} baseUrl - The server base URL to probe.
+ * @returns {Promise<Object>} A promise that resolves to the server info (`/api/0/info`).
+ * @throws {Error} With a human-readable message if the server cannot be reached.
+ */
+export async function probeServer(baseUrl) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SERVER_PROBE_TIMEOUT_MS);
+    try {
+        const response = await fetch(`${baseUrl}/api/0/info`, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`Server at ${baseUrl} answered with HTTP ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Server at ${baseUrl} did not answer within ${SERVER_PROBE_TIMEOUT_MS / 1000} s`);
+        }
+        if (error instanceof TypeError) {
+            throw new Error(`Cannot connect to ${baseUrl}`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
 /**
  * Fetches the count of events for a specific bucket.
  * @param {string} bucketName - The name of the bucket.
@@ -34,7 +182,7 @@ async function apiFetch(url, options = {}) {
  */
 export async function fetchEventCountForBucket(bucketName) {
     try {
-        const response = await apiFetch(`${API_BASE_URL}/api/0/buckets/${bucketName}/events/count`);
+        const response = await apiFetch(`${apiBaseUrl}/api/0/buckets/${bucketName}/events/count`);
         const data = await response.json();
         return data;
     } catch (error) {
@@ -44,23 +192,47 @@ export async function fetchEventCountForBucket(bucketName) {
 }
 
 /**
- * Fetches all available buckets from the Activity Watch API, including their event counts.
- * @returns {Promise<Array<{id: string, count: number}>>} A promise that resolves to an array of bucket objects with id and event count.
+ * Bucket metadata together with its event count.
+ * @typedef {Object} BucketInfo
+ * @property {string} id - The bucket ID.
+ * @property {number} count - The number of events in the bucket.
+ * @property {string} [type] - The event type (e.g. "currentwindow").
+ * @property {string} [client] - The client that reports to the bucket.
+ * @property {string} [hostname] - The hostname of the machine the client runs on.
+ * @property {string} [created] - The creation time (ISO).
+ */
+
+/**
+ * Returns the hostname of a bucket: from its metadata or, for buckets without one, from the ID suffix
+ * (watchers name their buckets "aw-watcher-afk_hostname").
+ * @param {string} bucketId - The bucket ID.
+ * @param {Object} [metadata] - The bucket metadata.
+ * @returns {string} The hostname, or an empty string if it is unknown.
+ */
+function getBucketHost(bucketId, metadata) {
+    if (metadata && metadata.hostname && metadata.hostname !== 'unknown') return metadata.hostname;
+    const separatorIndex = bucketId.indexOf('_');
+    return separatorIndex !== -1 ? bucketId.substring(separatorIndex + 1) : '';
+}
+
+/**
+ * Fetches all available buckets from the Activity Watch API, including their metadata and event counts.
+ * @returns {Promise<Array<BucketInfo>>} A promise that resolves to an array of bucket objects.
  */
 export async function fetchBuckets() {
     try {
-        const response = await apiFetch(`${API_BASE_URL}/api/0/buckets/`);
+        const response = await apiFetch(`${apiBaseUrl}/api/0/buckets/`);
         const bucketsData = await response.json();
         const bucketIds = Object.keys(bucketsData);
 
-        const afkBucket = bucketIds.find(id => id.startsWith('aw-watcher-afk'));
-        if (afkBucket) {
-            setAfkBucketId(afkBucket);
-        }
+        // Every machine reports to its own AFK bucket
+        setAfkBucketIds(bucketIds.filter(id => id.startsWith('aw-watcher-afk')));
+        setBucketHosts(Object.fromEntries(bucketIds.map(id => [id, getBucketHost(id, bucketsData[id])])));
 
         const bucketsWithCountsPromises = bucketIds.map(async (bucketId) => {
             const count = await fetchEventCountForBucket(bucketId);
-            return { id: bucketId, count: count };
+            const { type, client, hostname, created } = bucketsData[bucketId] || {};
+            return { id: bucketId, count: count, type: type, client: client, hostname: hostname, created: created };
         });
 
         return Promise.all(bucketsWithCountsPromises);
@@ -71,95 +243,446 @@ export async function fetchBuckets() {
 }
 
 /**
- * Fetches event data for a specific bucket.
+ * Fetches the metadata of a single bucket (`GET /api/0/buckets/{bucket_id}`).
+ * @param {string} bucketId - The bucket ID.
+ * @returns {Promise<Object>} A promise that resolves to the bucket metadata.
+ */
+export async function fetchBucket(bucketId) {
+    const response = await apiFetch(`${apiBaseUrl}/api/0/buckets/${encodeURIComponent(bucketId)}`, {}, { notify: false });
+    return response.json();
+}
+
+/**
+ * Creates a bucket (`POST /api/0/buckets/{bucket_id}`).
+ * @param {string} bucketId - The bucket ID.
+ * @param {{type: string, client: string, hostname: string}} metadata - The bucket metadata. Hostname "!local" is replaced by the server's hostname.
+ * @returns {Promise<boolean>} A promise that resolves to true once the bucket is created.
+ * @throws {Error} If the request fails (e.g. the bucket already exists).
+ */
+export async function createBucket(bucketId, metadata) {
+    await apiFetch(`${apiBaseUrl}/api/0/buckets/${encodeURIComponent(bucketId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(metadata)
+    }, { notify: false });
+    return true;
+}
+
+/**
+ * Deletes a bucket with all its events (`DELETE /api/0/buckets/{bucket_id}?force=1`).
+ * @param {string} bucketId - The bucket ID.
+ * @returns {Promise<boolean>} A promise that resolves to true once the bucket is deleted.
+ */
+export async function deleteBucket(bucketId) {
+    await apiFetch(`${apiBaseUrl}/api/0/buckets/${encodeURIComponent(bucketId)}?force=1`, { method: 'DELETE' }, { notify: false });
+    notifyEventMutation(bucketId);
+    return true;
+}
+
+/**
+ * Converts raw API events into the internal event format.
+ * Running stopwatch events get their duration recomputed up to the current moment.
+ * @param {Array<Object>} events - Raw events returned by the API.
+ * @param {string} bucketName - The name of the bucket the events belong to.
+ * @returns {Array<Object>} The processed events.
+ */
+export function processRawEvents(events, bucketName) {
+    return events.map(d => {
+        if (d.data.running === true) {
+            const now = new Date();
+            const eventTimestamp = new Date(d.timestamp);
+            d.duration = (now - eventTimestamp) / 1000;
+        }
+        return {
+            ...d,
+            bucket: bucketName,
+            timestamp: new Date(d.timestamp)
+        };
+    });
+}
+
+/**
+ * Fetches event data for a specific bucket page by page.
+ * The API returns the newest events first, so every next page is requested with its `end`
+ * bound moved to the oldest event of the previous page, until a page comes back short
+ * (the range is exhausted) or the page limit is reached.
  * @param {string} bucketName - The name of the bucket.
  * @param {Date} [startDate] - Optional start date for filtering events.
  * @param {Date} [endDate] - Optional end date for filtering events.
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of event objects for the bucket.
+ * @param {function({bucket: string, pages: number, count: number}): void} [onProgress] - Called after every fetched page.
+ * @param {{notify: boolean}} [behavior] - Whether to show a notification on API errors (defaults to true).
+ * @returns {Promise<{events: Array<Object>, complete: boolean, pages: number}>} The events and whether the whole range was fetched.
  */
-export async function fetchEventsForBucket(bucketName, startDate, endDate) {
-    let url = `${API_BASE_URL}/api/0/buckets/${bucketName}/events?limit=1000`;
-    if (startDate) {
-        url += `&start=${startDate.toISOString()}`;
-    }
-    if (endDate) {
-        url += `&end=${endDate.toISOString()}`;
-    }
+export async function fetchEventsForBucketPaged(bucketName, startDate, endDate, onProgress, behavior) {
+    const eventsByKey = new Map();
+    let pageEnd = endDate;
+    let pages = 0;
+    let complete = false;
+
     try {
-        const response = await apiFetch(url);
-        const events = await response.json();
-
-        const processedEvents = events.map(d => {
-            if (d.data.running === true) {
-                const now = new Date();
-                const eventTimestamp = new Date(d.timestamp);
-                d.duration = (now - eventTimestamp) / 1000;
+        while (pages < MAX_EVENT_PAGES) {
+            let url = `${apiBaseUrl}/api/0/buckets/${bucketName}/events?limit=${EVENTS_PAGE_SIZE}`;
+            if (startDate) {
+                url += `&start=${startDate.toISOString()}`;
             }
-            return {
-                ...d,
-                bucket: bucketName,
-                timestamp: new Date(d.timestamp)
-            };
-        });
-        return processedEvents;
+            if (pageEnd) {
+                url += `&end=${pageEnd.toISOString()}`;
+            }
+            const response = await apiFetch(url, {}, behavior);
+            const page = await response.json();
+            pages++;
+
+            let added = 0;
+            let oldestTimestamp = null;
+            page.forEach(event => {
+                const key = event.id ?? `${event.timestamp}-${event.duration}`;
+                if (!eventsByKey.has(key)) {
+                    eventsByKey.set(key, event);
+                    added++;
+                }
+                const timestamp = new Date(event.timestamp);
+                if (!oldestTimestamp || timestamp < oldestTimestamp) {
+                    oldestTimestamp = timestamp;
+                }
+            });
+
+            if (onProgress) {
+                onProgress({ bucket: bucketName, pages: pages, count: eventsByKey.size });
+            }
+
+            if (page.length < EVENTS_PAGE_SIZE) {
+                complete = true;
+                break;
+            }
+            // The whole page shares one timestamp, moving the bound will not make progress
+            if (added === 0) {
+                break;
+            }
+            pageEnd = oldestTimestamp;
+        }
     } catch (error) {
         console.error(`Failed to fetch data for bucket ${bucketName}:`, error);
-        return [];
     }
+
+    if (!complete) {
+        console.warn(`Events for bucket ${bucketName} are truncated: fetched ${eventsByKey.size} events in ${pages} pages.`);
+    }
+
+    return {
+        events: processRawEvents(Array.from(eventsByKey.values()), bucketName),
+        complete: complete,
+        pages: pages
+    };
 }
 
 /**
- * Fetches event data from the API for all relevant buckets.
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of event objects from all buckets.
+ * Deletes a single event from a bucket.
+ * @param {string} bucket - The bucket ID.
+ * @param {number} id - The event ID.
+ * @param {{notify: boolean}} [behavior] - Whether to show a notification on failure.
+ * @returns {Promise<boolean>} A promise that resolves to true once the event is deleted.
  */
-export async function fetchAllEvents() {
-    const buckets = await fetchBuckets();
-    if (buckets.length === 0) {
-        console.warn("No buckets found.");
-        return [];
+export async function deleteEvent(bucket, id, behavior) {
+    try {
+        await apiFetch(`${apiBaseUrl}/api/0/buckets/${bucket}/events/${id}`, { method: 'DELETE' }, behavior);
+        notifyEventMutation(bucket, [{ id: id }]);
+        console.log(`Event ${id} deleted successfully.`);
+        return true;
+    } catch (error) {
+        console.error(`Failed to delete event ${id}:`, error);
+        throw error;
     }
+}
 
-    const relevantBucketIds = buckets.map(b => b.id);
+/**
+ * Creates an event in a bucket. If the event has an `id`, the server replaces the existing event with that ID.
+ * @param {string} bucket - The bucket ID.
+ * @param {Object} eventData - The event payload (`timestamp`, `duration`, `data` and optionally `id`).
+ * @param {{notify: boolean}} [behavior] - Whether to show a notification on failure.
+ * @returns {Promise<Object|null>} A promise that resolves to the stored event as returned by the server, or null if the server returns none.
+ */
+export async function createEvent(bucket, eventData, behavior) {
+    try {
+        const response = await apiFetch(`${apiBaseUrl}/api/0/buckets/${bucket}/events`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(eventData)
+        }, behavior);
+        const responseData = await response.json();
+        const createdEvent = Array.isArray(responseData) ? responseData[0] : responseData;
+        notifyEventMutation(bucket, [{ ...eventData, ...createdEvent }]);
+        console.log('New event created successfully:', createdEvent);
+        return createdEvent || null;
+    } catch (error) {
+        console.error('Failed to create event:', error);
+        throw error;
+    }
+}
 
-    if (relevantBucketIds.length === 0) {
-        console.warn("No buckets found after filtering (if any).");
-        return [];
+/**
+ * Sends a heartbeat to a bucket (`POST /api/0/buckets/{bucket_id}/heartbeat`).
+ * If the last event of the bucket has the same data and ended less than `pulsetime` seconds ago,
+ * the server extends it up to the heartbeat instead of creating a new event.
+ * @param {string} bucket - The bucket ID.
+ * @param {Object} eventData - The heartbeat event (`timestamp`, `duration`, `data`).
+ * @param {number} pulsetime - The maximum gap in seconds that is still merged into the last event.
+ * @returns {Promise<Object>} A promise that resolves to the stored (possibly merged) event.
+ */
+export async function sendHeartbeat(bucket, eventData, pulsetime) {
+    const response = await apiFetch(`${apiBaseUrl}/api/0/buckets/${bucket}/heartbeat?pulsetime=${pulsetime}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(eventData)
+    }, { notify: false });
+    // No mutation notice: a heartbeat only extends the newest event, which the event cache refetches anyway,
+    // while invalidating would drop the cached history of the bucket every pulse
+    return response.json();
+}
+
+/**
+ * Converts an event into the payload stored by the server (`id`, `timestamp`, `duration`, `data`),
+ * dropping client-side fields like `bucket` or `activitySegments`.
+ * @param {Object} event - The event object.
+ * @returns {Object} The event payload.
+ */
+export function toEventPayload(event) {
+    const payload = {
+        timestamp: event.timestamp instanceof Date ? event.timestamp.toISOString() : event.timestamp,
+        duration: event.duration,
+        data: event.data
+    };
+    if (event.id !== undefined && event.id !== null) {
+        payload.id = event.id;
     }
+    return payload;
+}
 
-    const eventPromises = relevantBucketIds.map(bucketName => fetchEventsForBucket(bucketName));
-    const allEvents = await Promise.all(eventPromises);
+/**
+ * An edit operation on a single event.
+ * @typedef {Object} EventOperation
+ * @property {'create'|'replace'|'delete'} type - The operation type.
+ * @property {string} bucket - The bucket ID.
+ * @property {Object} [event] - The event payload to store (for 'create' and 'replace'; 'replace' requires `event.id`).
+ * @property {Object} [previous] - The event as it was before the operation (for 'replace' and 'delete').
+ */
 
-    const flattenedEvents = allEvents.flat();
+/**
+ * Applies a single edit operation without showing notifications.
+ * @param {EventOperation} operation - The operation to apply.
+ * @returns {Promise<Object|null>} The stored event for 'create'/'replace', null for 'delete'.
+ */
+async function applyEventOperation(operation) {
+    const silent = { notify: false };
+    if (operation.type === 'delete') {
+        await deleteEvent(operation.bucket, operation.previous.id, silent);
+        return null;
+    }
+    return createEvent(operation.bucket, operation.event, silent);
+}
 
-    if (flattenedEvents.length === 0) {
-        console.warn("API returned an empty list of events for relevant buckets.");
+/**
+ * Returns the operation that reverts an applied operation.
+ * @param {EventOperation} operation - The applied operation.
+ * @param {Object|null} result - The event stored by the operation, as returned by the server.
+ * @returns {EventOperation|null} The inverse operation, or null if the operation cannot be reverted.
+ */
+export function invertEventOperation(operation, result) {
+    if (operation.type === 'create') {
+        const createdId = result?.id ?? operation.event.id;
+        if (createdId === undefined || createdId === null) return null;
+        return { type: 'delete', bucket: operation.bucket, previous: { ...operation.event, id: createdId } };
+    }
+    if (operation.type === 'replace') {
+        return { type: 'replace', bucket: operation.bucket, event: toEventPayload(operation.previous), previous: result || operation.event };
     }
+    return { type: 'create', bucket: operation.bucket, event: toEventPayload(operation.previous) };
+}
 
-    return flattenedEvents;
+/**
+ * Applies a list of edit operations as one transaction.
+ * Operations are applied in order; if one fails, the already applied ones are reverted in reverse order,
+ * so a failed edit leaves neither duplicates nor half of a split behind.
+ * @param {Array<EventOperation>} operations - The operations to apply.
+ * @param {{record: boolean}} [behavior] - Whether the transaction listeners are notified (default true);
+ * undo and redo pass false so that replaying history is not recorded as a new change.
+ * @returns {Promise<Array<{operation: EventOperation, result: (Object|null)}>>} The applied operations with their results.
+ * @throws {Error} If an operation fails. The error has `rolledBack` set to true if all applied operations were reverted,
+ * and `remainingApplied` lists the applied operations that could not be reverted.
+ */
+export async function runEventTransaction(operations, { record = true } = {}) {
+    const applied = [];
+    for (const operation of operations) {
+        try {
+            const result = await applyEventOperation(operation);
+            applied.push({ operation, result });
+        } catch (error) {
+            const remainingApplied = await rollbackEventOperations(applied);
+            const rolledBack = remainingApplied.length === 0;
+            const transactionError = new Error(
+                rolledBack ? `${error.message}. All changes were rolled back.` : `${error.message}. Rollback failed, some changes may remain.`,
+                { cause: error }
+            );
+            transactionError.rolledBack = rolledBack;
+            transactionError.remainingApplied = remainingApplied;
+            throw transactionError;
+        }
+    }
+    if (record) {
+        recordEventTransaction(applied);
+    }
+    return applied;
 }
 
-export async function deleteEvent(bucket, id) {
-    try {
-        await apiFetch(`${API_BASE_URL}/api/0/buckets/${bucket}/events/${id}`, { method: 'DELETE' });
-        console.log(`Event ${id} deleted successfully.`);
-        return true;
-    } catch (error) {
-        console.error(`Failed to delete event ${id}:`, error);
-        throw error;
+/**
+ * Notifies the transaction listeners about applied operations, e.g. the part of a failed transaction
+ * that could not be rolled back, so it can still be undone.
+ * @param {Array<{operation: EventOperation, result: (Object|null)}>} applied - The applied operations with their results.
+ */
+export function recordEventTransaction(applied) {
+    eventTransactionListeners.forEach(listener => {
+        try {
+            listener(applied);
+        } catch (error) {
+            console.error("Event transaction listener failed:", error);
+        }
+    });
+}
+
+/**
+ * Reverts applied operations in reverse order.
+ * @param {Array<{operation: EventOperation, result: (Object|null)}>} applied - The applied operations.
+ * @returns {Promise<Array<{operation: EventOperation, result: (Object|null)}>>} The operations that could not be reverted
+ * (empty if every operation was reverted), in the order they were applied.
+ */
+async function rollbackEventOperations(applied) {
+    const remaining = [];
+    for (const entry of [...applied].reverse()) {
+        const inverse = invertEventOperation(entry.operation, entry.result);
+        if (!inverse) {
+            console.error('Cannot roll back operation, the server did not return the created event:', entry.operation);
+            remaining.unshift(entry);
+            continue;
+        }
+        try {
+            await applyEventOperation(inverse);
+        } catch (error) {
+            console.error('Failed to roll back operation:', entry.operation, error);
+            remaining.unshift(entry);
+        }
     }
+    return remaining;
 }
 
-export async function createEvent(bucket, eventData) {
+/**
+ * Runs a query written in the ActivityWatch query language (`POST /api/0/query/`).
+ * @param {string} queryText - The query, one statement per line, with the result assigned to `RETURN`.
+ * @param {Array<{start: Date, end: Date}>} timeperiods - The time periods to run the query for.
+ * @returns {Promise<Array<*>>} A promise that resolves to one result per time period.
+ * @throws {Error} With the server's error message if the query fails.
+ */
+export async function runQuery(queryText, timeperiods) {
     try {
-        const response = await apiFetch(`${API_BASE_URL}/api/0/buckets/${bucket}/events`, {
+        const response = await apiFetch(`${apiBaseUrl}/api/0/query/`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(eventData)
-        });
-        console.log('New event created successfully:', await response.json());
-        return true;
+            body: JSON.stringify({
+                query: queryText.split('\n'),
+                timeperiods: timeperiods.map(({ start, end }) => `${start.toISOString()}/${end.toISOString()}`)
+            })
+        }, { notify: false });
+        return await response.json();
     } catch (error) {
-        console.error('Failed to create event:', error);
+        let message = error.message;
+        if (error.responseText) {
+            try {
+                message = JSON.parse(error.responseText).message || error.responseText;
+            } catch (e) {
+                message = error.responseText;
+            }
+        }
+        throw new Error(`Query failed: ${message}`, { cause: error });
+    }
+}
+
+/**
+ * Exports all buckets with their events (`GET /api/0/export`).
+ * @returns {Promise<Object>} A promise that resolves to the export (`{buckets: {...}}`).
+ */
+export async function exportAllBuckets() {
+    const response = await apiFetch(`${apiBaseUrl}/api/0/export`);
+    return response.json();
+}
+
+/**
+ * Exports a single bucket with its events (`GET /api/0/buckets/{bucket_id}/export`).
+ * @param {string} bucketId - The bucket ID.
+ * @param {{notify: boolean}} [behavior] - Whether to show a notification on failure.
+ * @returns {Promise<Object>} A promise that resolves to the export (`{buckets: {...}}`).
+ */
+export async function exportBucket(bucketId, behavior) {
+    const response = await apiFetch(`${apiBaseUrl}/api/0/buckets/${bucketId}/export`, {}, behavior);
+    return response.json();
+}
+
+/**
+ * Imports buckets with their events (`POST /api/0/import`). The server refuses buckets that already exist.
+ * @param {Object} exportData - The data in export format (`{buckets: {...}}`).
+ * @returns {Promise<boolean>} A promise that resolves to true once the import succeeds.
+ */
+export async function importBuckets(exportData) {
+    await apiFetch(`${apiBaseUrl}/api/0/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(exportData)
+    });
+    Object.keys(exportData.buckets || {}).forEach(notifyEventMutation);
+    return true;
+}
+
+/**
+ * Inserts events into an existing bucket in one request. Events with an `id` replace the stored events with that ID.
+ * @param {string} bucketId - The bucket ID.
+ * @param {Array<Object>} events - The event payloads.
+ * @returns {Promise<boolean>} A promise that resolves to true once the events are stored.
+ */
+export async function insertEvents(bucketId, events) {
+    await apiFetch(`${apiBaseUrl}/api/0/buckets/${bucketId}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(events)
+    });
+    notifyEventMutation(bucketId, events);
+    return true;
+}
+
+/**
+ * Fetches a value stored on the server under a settings key (`GET /api/0/settings/{key}`).
+ * @param {string} key - The settings key.
+ * @returns {Promise<*>} A promise that resolves to the stored value, or null if the key is not set.
+ */
+export async function fetchSetting(key) {
+    try {
+        const response = await apiFetch(`${apiBaseUrl}/api/0/settings/${encodeURIComponent(key)}`, {}, { notify: false });
+        return await response.json();
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
         throw error;
     }
 }
+
+/**
+ * Stores a value on the server under a settings key (`POST /api/0/settings/{key}`).
+ * @param {string} key - The settings key.
+ * @param {*} value - The JSON-serializable value.
+ * @returns {Promise<boolean>} A promise that resolves to true once the value is stored.
+ */
+export async function saveSetting(key, value) {
+    await apiFetch(`${apiBaseUrl}/api/0/settings/${encodeURIComponent(key)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(value)
+    }, { notify: false });
+    return true;
+}
@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Модуль резервного копирования: экспорт данных сервера в файл, восстановление из файла
+ * и автоматические снимки событий перед разрушающими правками.
+ * @module backup
+ */
+
+import { fetchBuckets, exportAllBuckets, exportBucket, importBuckets, insertEvents, fetchEventsForBucketPaged, runEventTransaction, toEventPayload } from './api.js';
+import { showNotification } from './notification.js';
+import { formatDateTime } from './utils.js';
+
+const SNAPSHOTS_STORAGE_KEY = "backupSnapshots";
+const MAX_SNAPSHOTS = 5;
+const INSERT_CHUNK_SIZE = 1000;
+
+const BACKUP_BUCKET_SELECT_SELECTOR = "#backup-bucket-select";
+const BACKUP_FILE_INPUT_SELECTOR = "#backup-file-input";
+const BACKUP_PREVIEW_SELECTOR = "#backup-preview";
+const BACKUP_IMPORT_BUTTON_SELECTOR = "#backup-import-button";
+const BACKUP_SNAPSHOT_LIST_SELECTOR = "#backup-snapshot-list";
+
+let pendingImport = null;
+let onDataRestored = async () => {};
+
+/**
+ * Формирует имя файла резервной копии с меткой времени.
+ * @param {string} scope - Что экспортируется ("all" или ID "корзины").
+ * @param {Date} [date] - Время создания копии.
+ * @returns {string} Имя файла, например "aw-backup-all-2025-08-15_14-30-00.json".
+ */
+function getBackupFileName(scope, date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    return `aw-backup-${scope}-${stamp}.json`;
+}
+
+/**
+ * Скачивает данные в виде JSON-файла.
+ * @param {Object} data - Данные для сохранения.
+ * @param {string} fileName - Имя файла.
+ */
+export function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Приводит данные экспорта к виду `{bucketId: bucket}` (сервер может отдавать словарь или массив).
+ * @param {Object} exportData - Данные экспорта.
+ * @returns {Object<string, Object>} Словарь "корзин" по ID.
+ * @throws {Error} Если данные не похожи на экспорт ActivityWatch.
+ */
+function getExportBuckets(exportData) {
+    const buckets = exportData && exportData.buckets;
+    if (Array.isArray(buckets)) {
+        return Object.fromEntries(buckets.map(bucket => [bucket.id, bucket]));
+    }
+    if (buckets && typeof buckets === 'object') {
+        return Object.fromEntries(Object.entries(buckets).map(([id, bucket]) => [id, { ...bucket, id: bucket.id || id }]));
+    }
+    throw new Error("The file is not an ActivityWatch export (no \"buckets\" found).");
+}
+
+/**
+ * Возвращает ключ события по времени, длительности и данным: ID событий уникальны только в пределах сервера.
+ * @param {Object} event - Событие (время — строкой или Date).
+ * @returns {string} Ключ события.
+ */
+function getEventContentKey(event) {
+    return `${new Date(event.timestamp).getTime()}|${event.duration}|${JSON.stringify(event.data)}`;
+}
+
+/**
+ * Возвращает период, который занимают события.
+ * @param {Array<Object>} events - События (время — строкой или Date).
+ * @returns {{start: Date, end: Date}} Начало первого и конец последнего события.
+ */
+function getEventsSpan(events) {
+    const starts = events.map(event => new Date(event.timestamp).getTime());
+    const ends = events.map((event, index) => starts[index] + event.duration * 1000);
+    return { start: new Date(Math.min(...starts)), end: new Date(Math.max(...ends)) };
+}
+
+/**
+ * Загружает события "корзины" за период целиком.
+ * @param {string} bucketId - ID "корзины".
+ * @param {{start: Date, end: Date}} span - Период.
+ * @returns {Promise<Array<Object>>} События сервера.
+ * @throws {Error} Если события не удалось загрузить целиком (ошибка сети или слишком много событий).
+ */
+async function fetchCompleteEvents(bucketId, span) {
+    const result = await fetchEventsForBucketPaged(bucketId, span.start, span.end, undefined, { notify: false });
+    if (!result.complete) {
+        throw new Error(`could not load all events of ${bucketId} between ${formatDateTime(span.start)} and ${formatDateTime(span.end)}`);
+    }
+    return result.events;
+}
+
+/**
+ * Добавляет события в существующую "корзину" частями, пропуская события, которые уже есть на сервере
+ * с тем же временем, длительностью и данными. ID из файла не используются: файл может быть экспортирован
+ * с другого сервера, где те же ID принадлежат другим событиям.
+ * @param {string} bucketId - ID "корзины".
+ * @param {Array<Object>} events - События из файла.
+ * @returns {Promise<number>} Количество добавленных событий.
+ */
+async function mergeEvents(bucketId, events) {
+    if (events.length === 0) return 0;
+    const existingKeys = new Set((await fetchCompleteEvents(bucketId, getEventsSpan(events))).map(getEventContentKey));
+    const newEvents = events
+        .filter(event => !existingKeys.has(getEventContentKey(event)))
+        .map(({ timestamp, duration, data }) => ({ timestamp, duration, data }));
+    for (let i = 0; i < newEvents.length; i += INSERT_CHUNK_SIZE) {
+        await insertEvents(bucketId, newEvents.slice(i, i + INSERT_CHUNK_SIZE));
+    }
+    return newEvents.length;
+}
+
+/**
+ * Загружает сохраненные снимки из локального хранилища. Данные снимка — экспорт "корзины"
+ * только с событиями, которые затрагивает правка.
+ * @returns {Array<{id: string, createdAt: string, bucket: string, reason: string, data: Object}>} Массив снимков (новые в конце).
+ */
+export function loadSnapshots() {
+    const snapshotsString = localStorage.getItem(SNAPSHOTS_STORAGE_KEY);
+    if (!snapshotsString) return [];
+    try {
+        return JSON.parse(snapshotsString);
+    } catch (e) {
+        console.error("Failed to parse backup snapshots from localStorage, resetting.", e);
+        return [];
+    }
+}
+
+/**
+ * Сохраняет снимки, удаляя самые старые, если локальное хранилище переполнено.
+ * @param {Array<Object>} snapshots - Массив снимков.
+ * @returns {boolean} true, если удалось сохранить хотя бы последний снимок.
+ */
+function saveSnapshots(snapshots) {
+    let remaining = snapshots.slice(-MAX_SNAPSHOTS);
+    while (remaining.length > 0) {
+        try {
+            localStorage.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify(remaining));
+            return true;
+        } catch (e) {
+            console.warn(`Failed to store ${remaining.length} backup snapshots, dropping the oldest one.`, e);
+            remaining = remaining.slice(1);
+        }
+    }
+    return false;
+}
+
+/**
+ * Делает снимок событий перед разрушающим действием (удаление, разделение).
+ * Сохраняются только затрагиваемые события, поэтому снимок не требует запросов к серверу.
+ * Если снимок сделать не удалось, пользователь решает, продолжать ли действие.
+ * @param {string} bucketId - ID "корзины".
+ * @param {string} reason - Описание действия (например, "Delete event 42").
+ * @param {Array<Object>} events - События, которые изменит действие.
+ * @returns {boolean} true, если можно продолжать действие.
+ */
+export function takeSnapshot(bucketId, reason, events) {
+    try {
+        const data = { buckets: { [bucketId]: { id: bucketId, events: events.map(toEventPayload) } } };
+        const snapshots = loadSnapshots();
+        snapshots.push({
+            id: `snapshot-${Date.now()}`,
+            createdAt: new Date().toISOString(),
+            bucket: bucketId,
+            reason: reason,
+            data: data,
+        });
+        if (!saveSnapshots(snapshots)) {
+            throw new Error("the snapshot does not fit into localStorage");
+        }
+        renderSnapshotList();
+        return true;
+    } catch (error) {
+        console.error(`Failed to take a snapshot of ${bucketId}:`, error);
+        return confirm(`Could not take a backup snapshot of ${bucketId} (${error.message}). Continue without a snapshot?`);
+    }
+}
+
+/**
+ * Восстанавливает снимок: период, который занимают события снимка, возвращается к состоянию снимка.
+ * События снимка записываются по своим ID, а события, которые целиком лежат в этом периоде и которых нет
+ * в снимке (например, вторая часть разделенного события), удаляются. Восстановление выполняется одной
+ * транзакцией и попадает в историю правок.
+ * @param {Object} snapshot - Снимок.
+ * @param {function(): Promise<void>} onRestored - Функция обратного вызова после восстановления.
+ */
+async function restoreSnapshot(snapshot, onRestored) {
+    const bucket = getExportBuckets(snapshot.data)[snapshot.bucket];
+    if (!bucket || !bucket.events || bucket.events.length === 0) {
+        showNotification(`Snapshot does not contain events of ${snapshot.bucket}.`);
+        return;
+    }
+    const events = bucket.events;
+    const span = getEventsSpan(events);
+    if (!confirm(`Restore ${events.length} events of ${snapshot.bucket} from ${formatDateTime(new Date(snapshot.createdAt))}?\nOther events between ${formatDateTime(span.start)} and ${formatDateTime(span.end)} are deleted.`)) return;
+
+    try {
+        const serverEvents = new Map((await fetchCompleteEvents(snapshot.bucket, span)).map(event => [event.id, event]));
+        const snapshotIds = new Set(events.map(event => event.id));
+        const operations = [];
+        serverEvents.forEach(event => {
+            const end = event.timestamp.getTime() + event.duration * 1000;
+            if (!snapshotIds.has(event.id) && event.timestamp >= span.start && end <= span.end.getTime()) {
+                operations.push({ type: 'delete', bucket: snapshot.bucket, previous: toEventPayload(event) });
+            }
+        });
+        events.forEach(event => {
+            operations.push(serverEvents.has(event.id)
+                ? { type: 'replace', bucket: snapshot.bucket, event: event, previous: toEventPayload(serverEvents.get(event.id)) }
+                : { type: 'create', bucket: snapshot.bucket, event: event });
+        });
+        await runEventTransaction(operations);
+        showNotification(`Snapshot restored: ${events.length} events written to ${snapshot.bucket}.`);
+        await onRestored();
+    } catch (error) {
+        console.error("Failed to restore snapshot:", error);
+        showNotification(`Failed to restore snapshot: ${error.message}`, 5000);
+    }
+}
+
+/**
+ * Рендерит список автоматических снимков в панели резервного копирования.
+ */
+function renderSnapshotList() {
+    const list = window.d3.select(BACKUP_SNAPSHOT_LIST_SELECTOR);
+    if (list.empty()) return;
+    list.html("");
+
+    const snapshots = loadSnapshots();
+    if (snapshots.length === 0) {
+        list.append("p").attr("class", "ligth-font").text("No snapshots yet. They are taken automatically before Delete and Split.");
+        return;
+    }
+
+    snapshots.slice().reverse().forEach(snapshot => {
+        const bucket = getExportBuckets(snapshot.data)[snapshot.bucket];
+        const row = list.append("div").attr("class", "backup-snapshot-item");
+        row.append("span").text(`${formatDateTime(new Date(snapshot.createdAt))} — ${snapshot.reason}`);
+        row.append("span").attr("class", "ligth-font").text(` (${snapshot.bucket}, ${bucket && bucket.events ? bucket.events.length : 0} events)`);
+        row.append("button").attr("type", "button").text("Download")
+            .on("click", () => downloadJson(snapshot.data, getBackupFileName(snapshot.bucket, new Date(snapshot.createdAt))));
+        row.append("button").attr("type", "button").attr("class", "save").text("Restore")
+            .on("click", () => restoreSnapshot(snapshot, onDataRestored));
+    });
+}
+
+/**
+ * Рендерит предпросмотр импортируемого файла: "корзины", количество событий и конфликты с сервером.
+ * @param {Object<string, Object>} fileBuckets - "Корзины" из файла.
+ * @param {Array<{id: string, count: number}>} serverBuckets - "Корзины" на сервере.
+ */
+function renderImportPreview(fileBuckets, serverBuckets) {
+    const preview = window.d3.select(BACKUP_PREVIEW_SELECTOR);
+    preview.html("");
+
+    const serverCounts = new Map(serverBuckets.map(bucket => [bucket.id, bucket.count]));
+    const bucketIds = Object.keys(fileBuckets);
+    const conflicts = bucketIds.filter(id => serverCounts.has(id));
+
+    preview.append("p").text(`${bucketIds.length} buckets in file, ${bucketIds.length - conflicts.length} new, ${conflicts.length} already on the server.`);
+
+    const table = preview.append("table").attr("class", "event-attributes-table");
+    const tbody = table.append("tbody");
+    bucketIds.forEach(id => {
+        const fileCount = (fileBuckets[id].events || []).length;
+        const row = tbody.append("tr").classed("backup-conflict", serverCounts.has(id));
+        row.append("td").text(id);
+        if (serverCounts.has(id)) {
+            const cell = row.append("td");
+            cell.append("div").text(`${fileCount} events in file, ${serverCounts.get(id)} on server`);
+            const select = cell.append("select").attr("class", "backup-conflict-action").attr("data-bucket", id);
+            select.append("option").attr("value", "skip").text("Skip");
+            select.append("option").attr("value", "merge").text("Add missing events");
+        } else {
+            row.append("td").text(`${fileCount} events, will be created`);
+        }
+    });
+}
+
+/**
+ * Импортирует выбранный файл: новые "корзины" через `/api/0/import`, в конфликтующие в зависимости
+ * от выбора пользователя ничего не добавляется или добавляются события, которых еще нет на сервере.
+ */
+async function importPendingFile() {
+    if (!pendingImport) return;
+
+    const conflictActions = new Map();
+    window.d3.selectAll(".backup-conflict-action").each(function () {
+        conflictActions.set(this.getAttribute("data-bucket"), this.value);
+    });
+
+    const newBuckets = {};
+    const mergeBuckets = [];
+    Object.entries(pendingImport).forEach(([id, bucket]) => {
+        if (!conflictActions.has(id)) {
+            newBuckets[id] = bucket;
+        } else if (conflictActions.get(id) === "merge") {
+            mergeBuckets.push(bucket);
+        }
+    });
+
+    try {
+        if (Object.keys(newBuckets).length > 0) {
+            await importBuckets({ buckets: newBuckets });
+        }
+        let mergedCount = 0;
+        for (const bucket of mergeBuckets) {
+            mergedCount += await mergeEvents(bucket.id, bucket.events || []);
+        }
+        showNotification(`Import finished: ${Object.keys(newBuckets).length} buckets created, ${mergedCount} events added to ${mergeBuckets.length} existing.`);
+        pendingImport = null;
+        window.d3.select(BACKUP_PREVIEW_SELECTOR).html("");
+        window.d3.select(BACKUP_IMPORT_BUTTON_SELECTOR).property("disabled", true);
+        window.d3.select(BACKUP_FILE_INPUT_SELECTOR).property("value", "");
+        await onDataRestored();
+    } catch (error) {
+        console.error("Failed to import backup:", error);
+        showNotification(`Import failed: ${error.message}`, 5000);
+    }
+}
+
+/**
+ * Открывает панель резервного копирования и заполняет список "корзин" для экспорта.
+ * @param {d3.Selection} panel - D3-выборка панели.
+ */
+export async function renderBackupPanel(panel) {
+    const select = window.d3.select(BACKUP_BUCKET_SELECT_SELECTOR);
+    select.html("");
+    select.append("option").attr("value", "").text("All buckets");
+    (await fetchBuckets()).forEach(bucket => {
+        select.append("option").attr("value", bucket.id).text(`${bucket.id} (${bucket.count})`);
+    });
+    renderSnapshotList();
+    panel.style("display", "block");
+}
+
+/**
+ * Устанавливает обработчики панели резервного копирования.
+ * @param {function(): Promise<void>} onRestored - Функция обратного вызова после импорта или восстановления снимка (перезагрузка данных).
+ */
+export function setupBackupPanel(onRestored) {
+    onDataRestored = onRestored;
+
+    window.d3.select("#backup-export-button").on("click", async () => {
+        const bucketId = window.d3.select(BACKUP_BUCKET_SELECT_SELECTOR).property("value");
+        try {
+            const data = bucketId ? await exportBucket(bucketId) : await exportAllBuckets();
+            downloadJson(data, getBackupFileName(bucketId || "all"));
+        } catch (error) {
+            console.error("Failed to export:", error);
+        }
+    });
+
+    window.d3.select(BACKUP_FILE_INPUT_SELECTOR).on("change", async function () {
+        const file = this.files[0];
+        pendingImport = null;
+        window.d3.select(BACKUP_IMPORT_BUTTON_SELECTOR).property("disabled", true);
+        if (!file) return;
+
+        try {
+            const fileBuckets = getExportBuckets(JSON.parse(await file.text()));
+            renderImportPreview(fileBuckets, await fetchBuckets());
+            pendingImport = fileBuckets;
+            window.d3.select(BACKUP_IMPORT_BUTTON_SELECTOR).property("disabled", false);
+        } catch (error) {
+            window.d3.select(BACKUP_PREVIEW_SELECTOR).html("").append("p").attr("class", "backup-error").text(`Cannot read ${file.name}: ${error.message}`);
+        }
+    });
+
+    window.d3.select(BACKUP_IMPORT_BUTTON_SELECTOR).on("click", importPendingFile);
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Модуль панели управления "корзинами": просмотр метаданных, создание и удаление "корзин".
+ * @module bucketManager
+ */
+
+import { fetchBuckets, fetchBucket, createBucket, deleteBucket } from './api.js';
+import { showNotification } from './notification.js';
+import { formatDateTime } from './utils.js';
+
+const BUCKET_MANAGER_LIST_SELECTOR = "#bucket-manager-list";
+const BUCKET_DETAILS_SELECTOR = "#bucket-manager-details";
+const NEW_BUCKET_ID_INPUT_SELECTOR = "#new-bucket-id-input";
+const NEW_BUCKET_TYPE_INPUT_SELECTOR = "#new-bucket-type-input";
+const NEW_BUCKET_CLIENT_INPUT_SELECTOR = "#new-bucket-client-input";
+const NEW_BUCKET_HOSTNAME_INPUT_SELECTOR = "#new-bucket-hostname-input";
+const CREATE_BUCKET_BUTTON_SELECTOR = "#create-bucket-button";
+
+let onBucketsChanged = async () => {};
+
+/**
+ * Показывает полные метаданные "корзины" под таблицей.
+ * @param {string} bucketId - ID "корзины".
+ */
+async function showBucketDetails(bucketId) {
+    const details = window.d3.select(BUCKET_DETAILS_SELECTOR);
+    details.html("");
+    details.append("h3").text(bucketId);
+    try {
+        const bucket = await fetchBucket(bucketId);
+        details.append("pre").text(JSON.stringify(bucket, null, 2));
+    } catch (error) {
+        details.append("p").attr("class", "bucket-manager-error").text(`Failed to load bucket: ${error.message}`);
+    }
+}
+
+/**
+ * Удаляет "корзину" после подтверждения вводом ее ID.
+ * @param {{id: string, count: number}} bucket - "Корзина" для удаления.
+ * @param {d3.Selection} panel - D3-выборка панели управления.
+ */
+async function confirmAndDeleteBucket(bucket, panel) {
+    const typedId = prompt(`This permanently deletes bucket "${bucket.id}" with all ${bucket.count} events.\nExport it in the Backup panel first if you may need the data.\n\nType the bucket ID to confirm:`);
+    if (typedId === null) return;
+    if (typedId.trim() !== bucket.id) {
+        showNotification("The typed ID does not match, the bucket was not deleted.", 5000);
+        return;
+    }
+
+    try {
+        await deleteBucket(bucket.id);
+        showNotification(`Bucket "${bucket.id}" deleted.`);
+    } catch (error) {
+        console.error(`Failed to delete bucket ${bucket.id}:`, error);
+        showNotification(`Failed to delete bucket "${bucket.id}": ${error.message}`, 5000);
+        return;
+    }
+    window.d3.select(BUCKET_DETAILS_SELECTOR).html("");
+    await renderBucketManagerPanel(panel);
+    await onBucketsChanged();
+}
+
+/**
+ * Рендерит панель управления "корзинами": таблицу с метаданными и количеством событий.
+ * @param {d3.Selection} panel - D3-выборка панели управления.
+ */
+export async function renderBucketManagerPanel(panel) {
+    const list = window.d3.select(BUCKET_MANAGER_LIST_SELECTOR);
+    list.html("<p class=\"ligth-font\">Loading...</p>");
+    panel.style("display", "block");
+
+    const buckets = (await fetchBuckets()).sort((a, b) => a.id.localeCompare(b.id));
+    list.html("");
+    if (buckets.length === 0) {
+        list.append("p").text("No buckets on this server.");
+        return;
+    }
+
+    const table = list.append("table").attr("class", "event-attributes-table bucket-manager-table");
+    table.append("thead").append("tr").html("<th>ID</th><th>Type</th><th>Client</th><th>Hostname</th><th>Created</th><th>Events</th><th></th>");
+    const tbody = table.append("tbody");
+
+    buckets.forEach(bucket => {
+        const row = tbody.append("tr");
+        row.append("td").append("a")
+            .attr("href", "#")
+            .attr("title", "Show metadata")
+            .text(bucket.id)
+            .on("click", (event) => {
+                event.preventDefault();
+                showBucketDetails(bucket.id);
+            });
+        row.append("td").text(bucket.type || "—");
+        row.append("td").text(bucket.client || "—");
+        row.append("td").text(bucket.hostname || "—");
+        row.append("td").text(bucket.created ? formatDateTime(new Date(bucket.created)) : "—");
+        row.append("td").text(bucket.count);
+        row.append("td").append("button")
+            .attr("type", "button")
+            .attr("class", "delete")
+            .attr("title", `Delete "${bucket.id}"`)
+            .text("×")
+            .on("click", () => confirmAndDeleteBucket(bucket, panel));
+    });
+}
+
+/**
+ * Устанавливает форму создания "корзины".
+ * @param {d3.Selection} panel - D3-выборка панели управления.
+ * @param {function(): Promise<void>} onChanged - Функция обратного вызова после создания или удаления "корзины".
+ */
+export function setupBucketManagerPanel(panel, onChanged) {
+    onBucketsChanged = onChanged;
+
+    window.d3.select(CREATE_BUCKET_BUTTON_SELECTOR).on("click", async () => {
+        const idInput = window.d3.select(NEW_BUCKET_ID_INPUT_SELECTOR);
+        const bucketId = idInput.property("value").trim();
+        const type = window.d3.select(NEW_BUCKET_TYPE_INPUT_SELECTOR).property("value").trim();
+        const client = window.d3.select(NEW_BUCKET_CLIENT_INPUT_SELECTOR).property("value").trim();
+        const hostname = window.d3.select(NEW_BUCKET_HOSTNAME_INPUT_SELECTOR).property("value").trim();
+
+        if (!bucketId || !type || !client || !hostname) {
+            showNotification("Please fill in bucket ID, type, client and hostname.");
+            return;
+        }
+        if (!/^[\w.-]+$/.test(bucketId)) {
+            showNotification("Bucket ID may only contain letters, digits, '.', '_' and '-'.", 5000);
+            return;
+        }
+
+        try {
+            await createBucket(bucketId, { type: type, client: client, hostname: hostname });
+            showNotification(`Bucket "${bucketId}" created.`);
+        } catch (error) {
+            console.error(`Failed to create bucket ${bucketId}:`, error);
+            const reason = error.status === 304 || error.status === 400 ? "a bucket with this ID may already exist" : error.message;
+            showNotification(`Failed to create bucket "${bucketId}": ${reason}`, 5000);
+            return;
+        }
+        idInput.property("value", "");
+        await renderBucketManagerPanel(panel);
+        await onBucketsChanged();
+    });
+}
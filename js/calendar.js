@@ -1,10 +1,10 @@
-import { fetchEventsForBucket } from './api.js';
-import { calculateActivitySegments } from './events.js';
-import { getAfkBucketId, getColorRules } from './state.js';
+import { fetchCachedEvents } from './eventCache.js';
+import { runProcessingTask, isProcessingCancelled } from './processing.js';
+import { getWeekNumber } from './calendarStats.js';
+import { getSelectedAfkBucketIds, getColorRules, subscribe } from './state.js';
 import { setupPanelDragging, loadPanelPosition, setupEscapeListener, setupCalendarResize } from './panelManager.js';
 import { getCurrentMonth, setCurrentMonth, getCurrentYear, setCurrentYear, getActivitySlotMap, setActivitySlotMap, clearActivitySlotMap } from './calendarState.js';
 import { renderActivitiesForDay } from './calendarRenderer.js';
-import { getFormattedDate } from './utils.js';
 
 const CALENDAR_PANEL_SELECTOR = "#calendar-panel";
 const CURRENT_MONTH_YEAR_SELECTOR = "#current-month-year";
@@ -14,6 +14,34 @@ const CALENDAR_GRID_SELECTOR = "#calendar-grid";
 const CALENDAR_WEEKDAYS_SELECTOR = "#calendar-weekdays";
 const CALENDAR_RESIZE_HANDLE_SELECTOR = ".calendar-resize-handle";
 
+let requestedMonth = null;
+let latestRenderId = 0;
+const monthListeners = [];
+
+/**
+ * Registers a listener that is called whenever the calendar renders a month.
+ * @param {function(number, number): void} listener - Called with the year and the zero-based month.
+ */
+export function addCalendarMonthListener(listener) {
+    monthListeners.push(listener);
+}
+
+/**
+ * Shows the given month. If the calendar is closed, the month is used the next time it is opened instead of the current one.
+ * @param {number} year - The full year.
+ * @param {number} month - The zero-based month.
+ */
+export function showCalendarMonth(year, month) {
+    if (window.d3.select(CALENDAR_PANEL_SELECTOR).style("display") === "none") {
+        requestedMonth = { year, month };
+        return;
+    }
+    setCurrentMonth(month);
+    setCurrentYear(year);
+    clearActivitySlotMap();
+    renderCalendar();
+}
+
 /**
  * Initializes the calendar by setting up event listeners and rendering the current month.
  */
@@ -26,8 +54,10 @@ export function initCalendar() {
     setupCalendarResize(calendarPanel, calendarResizeHandle); // Setup resize functionality
 
     const today = new Date();
-    setCurrentMonth(today.getMonth());
-    setCurrentYear(today.getFullYear());
+    const initialMonth = requestedMonth || { year: today.getFullYear(), month: today.getMonth() };
+    requestedMonth = null;
+    setCurrentMonth(initialMonth.month);
+    setCurrentYear(initialMonth.year);
 
     renderCalendar();
 
@@ -76,118 +106,17 @@ export function initCalendar() {
     setupEscapeListener(window.d3.select("#event-info-panel"), window.d3.select("#event-edit-panel"), window.d3.select("#zoom-panel"), window.d3.select("#report-panel"), window.d3.select("#color-rules-panel"), calendarPanel, calendarResizeHandle);
 }
 
-/**
- * Calculates weekly statistics for a given week.
- * @param {Array<Object>} stopwatchEvents - Array of stopwatch events.
- * @param {Array<Object>} afkEvents - Array of AFK events.
- * @param {number} weekNumber - The week number.
- * @param {number} year - The year.
- * @returns {Object} Weekly statistics object.
- */
-function calculateWeeklyStats(stopwatchEvents, afkEvents, weekNumber, year) {
-    // Calculate week start and end dates (Monday to Sunday)
-    const weekStart = new Date(year, 0, 1 + (weekNumber - 1) * 7);
-    const dayOfWeek = weekStart.getDay();
-    const diff = weekStart.getDate() - dayOfWeek + (dayOfWeek === 0 ? -6 : 1); // Adjust to Monday
-    weekStart.setDate(diff);
-    weekStart.setHours(0, 0, 0, 0);
-
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekStart.getDate() + 6);
-    weekEnd.setHours(23, 59, 59, 999);
-
-    let totalTaskTime = 0; // Stopwatch time during 'not-afk'
-    let totalNotAfkTime = 0; // Total 'not-afk' time from AFK events
-    const uniqueTasks = new Set();
-    const dailyStats = {}; // Track daily task and not-afk time
-
-    // Initialize daily stats for the week
-    for (let i = 0; i < 7; i++) {
-        const date = new Date(weekStart);
-        date.setDate(weekStart.getDate() + i);
-        const dateKey = getFormattedDate(date);
-        dailyStats[dateKey] = { taskTime: 0, notAfkTime: 0 };
-    }
-
-    // Process stopwatch events
-    stopwatchEvents.forEach(event => {
-        const eventStart = new Date(event.timestamp);
-        if (eventStart >= weekStart && eventStart <= weekEnd) {
-            // Add to unique tasks
-            if (event.data.label) {
-                uniqueTasks.add(event.data.label);
-            }
-
-            // Calculate task time from activity segments
-            if (event.activitySegments) {
-                event.activitySegments.forEach(segment => {
-                    if (segment.status === 'not-afk') {
-                        totalTaskTime += segment.duration;
-                        const segmentDate = new Date(segment.startTimestamp);
-                        const dateKey = getFormattedDate(segmentDate);
-                        if (dailyStats[dateKey]) {
-                            dailyStats[dateKey].taskTime += segment.duration;
-                        }
-                    }
-                });
-            }
-        }
-    });
-
-    // Process AFK events to calculate total not-afk time
-    afkEvents.forEach(event => {
-        const eventStart = new Date(event.timestamp);
-        const eventEnd = new Date((event.timestamp instanceof Date ? event.timestamp.getTime() : new Date(event.timestamp).getTime()) + event.duration * 1000);
-
-        if (eventStart <= weekEnd && eventEnd >= weekStart && event.data.status === 'not-afk') {
-            const overlapStart = eventStart < weekStart ? weekStart : eventStart;
-            const overlapEnd = eventEnd > weekEnd ? weekEnd : eventEnd;
-            const overlapDuration = (overlapEnd - overlapStart) / 1000;
-
-            totalNotAfkTime += overlapDuration;
-
-            // Add to daily stats
-            const dateKey = getFormattedDate(overlapStart);
-            if (dailyStats[dateKey]) {
-                dailyStats[dateKey].notAfkTime += overlapDuration;
-            }
-        }
-    });
-
-    // Calculate task-free time
-    const totalTaskFreeTime = Math.max(0, totalNotAfkTime - totalTaskTime);
-
-    // Find longest task day and longest not-afk day separately
-    let longestTaskDay = { date: null, taskTime: 0 };
-    let longestNotAfkDay = { date: null, notAfkTime: 0 };
-
-    Object.entries(dailyStats).forEach(([dateKey, stats]) => {
-        if (stats.taskTime > longestTaskDay.taskTime) {
-            longestTaskDay = { date: dateKey, taskTime: stats.taskTime };
-        }
-        if (stats.notAfkTime > longestNotAfkDay.notAfkTime) {
-            longestNotAfkDay = { date: dateKey, notAfkTime: stats.notAfkTime };
-        }
-    });
-
-    return {
-        totalTaskTime,
-        totalTaskFreeTime,
-        longestTaskDay,
-        longestNotAfkDay,
-        taskCount: uniqueTasks.size
-    };
-}
-
 /**
  * Renders the calendar grid for the current month and year.
  */
 export async function renderCalendar() {
+    const renderId = ++latestRenderId;
     const monthNames = ["January", "February", "March", "April", "May", "June",
         "July", "August", "September", "October", "November", "December"
     ];
     const currentMonth = getCurrentMonth();
     const currentYear = getCurrentYear();
+    monthListeners.forEach(listener => listener(currentYear, currentMonth));
     window.d3.select(CURRENT_MONTH_YEAR_SELECTOR).text(`${monthNames[currentMonth]} ${currentYear}`);
 
     const calendarGrid = window.d3.select(CALENDAR_GRID_SELECTOR);
@@ -210,43 +139,28 @@ export async function renderCalendar() {
     const fetchEndDate = new Date(lastDayOfMonth);
     fetchEndDate.setDate(lastDayOfMonth.getDate() + 7); // 1 week after
 
-    // Fetch and process real data
+    // Fetch and process real data; activity is combined across the AFK buckets of the selected machines
+    const afkBucketIds = getSelectedAfkBucketIds();
     const allEvents = await Promise.all([
-        fetchEventsForBucket('aw-stopwatch', fetchStartDate, fetchEndDate),
-        fetchEventsForBucket(getAfkBucketId(), fetchStartDate, fetchEndDate)
-    ]).then(arrays => arrays.flat());
+        fetchCachedEvents('aw-stopwatch', fetchStartDate, fetchEndDate),
+        ...afkBucketIds.map(afkBucketId => fetchCachedEvents(afkBucketId, fetchStartDate, fetchEndDate))
+    ]).then(results => results.flatMap(result => result.events));
 
-    const stopwatchEvents = allEvents.filter(e => e.bucket.startsWith('aw-stopwatch'));
-    const afkEvents = allEvents.filter(e => e.bucket === getAfkBucketId());
-
-    const processedEvents = calculateActivitySegments(stopwatchEvents, afkEvents);
+    // A newer render started while the events were loading
+    if (renderId !== latestRenderId) return;
 
-    // Group processed events by label for calendar display
-    const groupedActivities = new Map(); // Map<label, { label: string, activitySegments: Array<[string, number]> }>
-    processedEvents.forEach(event => {
-        const label = event.data.label || 'Untitled';
-        if (!groupedActivities.has(label)) {
-            groupedActivities.set(label, { label: label, activitySegments: [] });
-        }
-        // Add only 'not-afk' segments to the calendar's activitySegments
-        event.activitySegments.forEach(segment => {
-            if (segment.status === 'not-afk') {
-                groupedActivities.get(label).activitySegments.push([segment.startTimestamp.toISOString(), segment.duration]);
-            }
-        });
-    });
-    const calendarData = Array.from(groupedActivities.values());
-
-    // Pre-process activities to create a map of activity labels to their active dates
-    const activityDatesByLabel = new Map(); // Map<activityLabel, Set<dateString>>
-    calendarData.forEach(activity => {
-        const activeDates = new Set();
-        activity.activitySegments.forEach(segment => {
-            const segmentDate = new Date(segment[0]);
-            activeDates.add(getFormattedDate(segmentDate));
-        });
-        activityDatesByLabel.set(activity.label, activeDates);
-    });
+    const stopwatchEvents = allEvents.filter(e => e.bucket.startsWith('aw-stopwatch'));
+    const afkEvents = allEvents.filter(e => afkBucketIds.includes(e.bucket));
+
+    let stats;
+    try {
+        stats = await runProcessingTask('calendar', 'calendarStats', { stopwatchEvents, afkEvents }, "Calculating calendar statistics");
+    } catch (error) {
+        // Superseded by a newer render or cancelled by the user
+        if (isProcessingCancelled(error)) return;
+        throw error;
+    }
+    const { calendarData, activityDatesByLabel, weeklyStats: weeklyStatsMap } = stats;
 
     const daysInMonth = lastDayOfMonth.getDate();
 
@@ -255,51 +169,6 @@ export async function renderCalendar() {
     if (startDay === 0) startDay = 7; // If Sunday, make it 7 for correct offset
     startDay--; // Adjust to 0-indexed where Monday is 0
 
-    // Calculate week number for the first day of the month
-    const getWeekNumber = (date) => {
-        const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-        const dayNum = d.getUTCDay() || 7;
-        d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-        const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-        return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-    };
-
-    // Calculate weekly statistics for each week in the displayed period
-    const weeklyStatsMap = new Map();
-    const eventsByWeek = new Map();
-
-    // Group events by week for statistics calculation
-    processedEvents.forEach(event => {
-        if (event.activitySegments) {
-            event.activitySegments.forEach(segment => {
-                const segmentDate = new Date(segment.startTimestamp);
-                const weekNum = getWeekNumber(segmentDate);
-                const year = segmentDate.getFullYear();
-
-                if (!eventsByWeek.has(`${year}-${weekNum}`)) {
-                    eventsByWeek.set(`${year}-${weekNum}`, {
-                        stopwatchEvents: [],
-                        afkEvents: [],
-                        weekNumber: weekNum,
-                        year: year
-                    });
-                }
-
-                const weekData = eventsByWeek.get(`${year}-${weekNum}`);
-                const eventId = event.id || `${event.timestamp}-${event.data?.label || 'unknown'}`;
-                if (!weekData.stopwatchEvents.some(e => (e.id || `${e.timestamp}-${e.data?.label || 'unknown'}`) === eventId)) {
-                    weekData.stopwatchEvents.push(event);
-                }
-            });
-        }
-    });
-
-    // Calculate stats for each week
-    eventsByWeek.forEach(weekData => {
-        const stats = calculateWeeklyStats(weekData.stopwatchEvents, afkEvents, weekData.weekNumber, weekData.year);
-        weeklyStatsMap.set(`${weekData.year}-${weekData.weekNumber}`, stats);
-    });
-
     let currentDay = new Date(currentYear, currentMonth, 1 - startDay); // Start from the first day to render (could be previous month)
     let previousDaySlots = new Map(); // Map to store activity label to its assigned slot index for the previous day
 
@@ -350,3 +219,11 @@ export async function renderCalendar() {
         currentDay.setDate(currentDay.getDate() + 1); // Move to the next day
     }
 }
+
+// The calendar loads its own month of events, so only a full reload or new colors make it re-render
+subscribe(['events', 'colorRules'], (changedSlices, eventsChange) => {
+    if (window.d3.select(CALENDAR_PANEL_SELECTOR).style("display") === "none") return;
+    if (changedSlices.has('colorRules') || eventsChange === 'reload') {
+        renderCalendar();
+    }
+});
@@ -0,0 +1,197 @@
+import { calculateActivitySegments, mergeHostAfkEvents } from './events.js';
+import { getFormattedDate } from './utils.js';
+
+/**
+ * Returns the ISO 8601 week number of a date.
+ * @param {Date} date - The date.
+ * @returns {number} The week number.
+ */
+export function getWeekNumber(date) {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+}
+
+/**
+ * Calculates weekly statistics for a given week.
+ * @param {Array<Object>} stopwatchEvents - Array of stopwatch events.
+ * @param {Array<Object>} afkEvents - Array of AFK events.
+ * @param {number} weekNumber - The week number.
+ * @param {number} year - The year.
+ * @returns {Object} Weekly statistics object.
+ */
+export function calculateWeeklyStats(stopwatchEvents, afkEvents, weekNumber, year) {
+    // Calculate week start and end dates (Monday to Sunday)
+    const weekStart = new Date(year, 0, 1 + (weekNumber - 1) * 7);
+    const dayOfWeek = weekStart.getDay();
+    const diff = weekStart.getDate() - dayOfWeek + (dayOfWeek === 0 ? -6 : 1); // Adjust to Monday
+    weekStart.setDate(diff);
+    weekStart.setHours(0, 0, 0, 0);
+
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekStart.getDate() + 6);
+    weekEnd.setHours(23, 59, 59, 999);
+
+    let totalTaskTime = 0; // Stopwatch time during 'not-afk'
+    let totalNotAfkTime = 0; // Total 'not-afk' time from AFK events
+    const uniqueTasks = new Set();
+    const dailyStats = {}; // Track daily task and not-afk time
+
+    // Initialize daily stats for the week
+    for (let i = 0; i < 7; i++) {
+        const date = new Date(weekStart);
+        date.setDate(weekStart.getDate() + i);
+        const dateKey = getFormattedDate(date);
+        dailyStats[dateKey] = { taskTime: 0, notAfkTime: 0 };
+    }
+
+    // Process stopwatch events
+    stopwatchEvents.forEach(event => {
+        const eventStart = new Date(event.timestamp);
+        if (eventStart >= weekStart && eventStart <= weekEnd) {
+            // Add to unique tasks
+            if (event.data.label) {
+                uniqueTasks.add(event.data.label);
+            }
+
+            // Calculate task time from activity segments
+            if (event.activitySegments) {
+                event.activitySegments.forEach(segment => {
+                    if (segment.status === 'not-afk') {
+                        totalTaskTime += segment.duration;
+                        const segmentDate = new Date(segment.startTimestamp);
+                        const dateKey = getFormattedDate(segmentDate);
+                        if (dailyStats[dateKey]) {
+                            dailyStats[dateKey].taskTime += segment.duration;
+                        }
+                    }
+                });
+            }
+        }
+    });
+
+    // Process AFK events to calculate total not-afk time
+    afkEvents.forEach(event => {
+        const eventStart = new Date(event.timestamp);
+        const eventEnd = new Date((event.timestamp instanceof Date ? event.timestamp.getTime() : new Date(event.timestamp).getTime()) + event.duration * 1000);
+
+        if (eventStart <= weekEnd && eventEnd >= weekStart && event.data.status === 'not-afk') {
+            const overlapStart = eventStart < weekStart ? weekStart : eventStart;
+            const overlapEnd = eventEnd > weekEnd ? weekEnd : eventEnd;
+            const overlapDuration = (overlapEnd - overlapStart) / 1000;
+
+            totalNotAfkTime += overlapDuration;
+
+            // Add to daily stats
+            const dateKey = getFormattedDate(overlapStart);
+            if (dailyStats[dateKey]) {
+                dailyStats[dateKey].notAfkTime += overlapDuration;
+            }
+        }
+    });
+
+    // Calculate task-free time
+    const totalTaskFreeTime = Math.max(0, totalNotAfkTime - totalTaskTime);
+
+    // Find longest task day and longest not-afk day separately
+    let longestTaskDay = { date: null, taskTime: 0 };
+    let longestNotAfkDay = { date: null, notAfkTime: 0 };
+
+    Object.entries(dailyStats).forEach(([dateKey, stats]) => {
+        if (stats.taskTime > longestTaskDay.taskTime) {
+            longestTaskDay = { date: dateKey, taskTime: stats.taskTime };
+        }
+        if (stats.notAfkTime > longestNotAfkDay.notAfkTime) {
+            longestNotAfkDay = { date: dateKey, notAfkTime: stats.notAfkTime };
+        }
+    });
+
+    return {
+        totalTaskTime,
+        totalTaskFreeTime,
+        longestTaskDay,
+        longestNotAfkDay,
+        taskCount: uniqueTasks.size
+    };
+}
+
+/**
+ * Calculates everything the calendar shows for a period: activities grouped by label, their active dates and weekly statistics.
+ * Does not touch the DOM or the application state, so it can run in the processing worker.
+ * @param {Array<Object>} stopwatchEvents - Stopwatch events of the period.
+ * @param {Array<Object>} afkEvents - AFK events of the period, of one or more machines.
+ * @returns {{calendarData: Array<Object>, activityDatesByLabel: Map<string, Set<string>>, weeklyStats: Map<string, Object>}}
+ * Activities with their 'not-afk' segments, active dates by activity label and weekly statistics by "year-week" key.
+ */
+export function calculateCalendarStats(stopwatchEvents, afkEvents) {
+    // Several machines are combined into one activity timeline
+    const mergedAfkEvents = mergeHostAfkEvents(afkEvents);
+    const processedEvents = calculateActivitySegments(stopwatchEvents, mergedAfkEvents);
+
+    // Group processed events by label for calendar display
+    const groupedActivities = new Map(); // Map<label, { label: string, activitySegments: Array<[string, number]> }>
+    processedEvents.forEach(event => {
+        const label = event.data.label || 'Untitled';
+        if (!groupedActivities.has(label)) {
+            groupedActivities.set(label, { label: label, activitySegments: [] });
+        }
+        // Add only 'not-afk' segments to the calendar's activitySegments
+        event.activitySegments.forEach(segment => {
+            if (segment.status === 'not-afk') {
+                groupedActivities.get(label).activitySegments.push([segment.startTimestamp.toISOString(), segment.duration]);
+            }
+        });
+    });
+    const calendarData = Array.from(groupedActivities.values());
+
+    // Pre-process activities to create a map of activity labels to their active dates
+    const activityDatesByLabel = new Map(); // Map<activityLabel, Set<dateString>>
+    calendarData.forEach(activity => {
+        const activeDates = new Set();
+        activity.activitySegments.forEach(segment => {
+            const segmentDate = new Date(segment[0]);
+            activeDates.add(getFormattedDate(segmentDate));
+        });
+        activityDatesByLabel.set(activity.label, activeDates);
+    });
+
+    // Calculate weekly statistics for each week in the displayed period
+    const weeklyStatsMap = new Map();
+    const eventsByWeek = new Map();
+
+    // Group events by week for statistics calculation
+    processedEvents.forEach(event => {
+        if (event.activitySegments) {
+            event.activitySegments.forEach(segment => {
+                const segmentDate = new Date(segment.startTimestamp);
+                const weekNum = getWeekNumber(segmentDate);
+                const year = segmentDate.getFullYear();
+
+                if (!eventsByWeek.has(`${year}-${weekNum}`)) {
+                    eventsByWeek.set(`${year}-${weekNum}`, {
+                        stopwatchEvents: [],
+                        afkEvents: [],
+                        weekNumber: weekNum,
+                        year: year
+                    });
+                }
+
+                const weekData = eventsByWeek.get(`${year}-${weekNum}`);
+                const eventId = event.id || `${event.timestamp}-${event.data?.label || 'unknown'}`;
+                if (!weekData.stopwatchEvents.some(e => (e.id || `${e.timestamp}-${e.data?.label || 'unknown'}`) === eventId)) {
+                    weekData.stopwatchEvents.push(event);
+                }
+            });
+        }
+    });
+
+    // Calculate stats for each week
+    eventsByWeek.forEach(weekData => {
+        const stats = calculateWeeklyStats(weekData.stopwatchEvents, mergedAfkEvents, weekData.weekNumber, weekData.year);
+        weeklyStatsMap.set(`${weekData.year}-${weekData.weekNumber}`, stats);
+    });
+
+    return { calendarData, activityDatesByLabel, weeklyStats: weeklyStatsMap };
+}
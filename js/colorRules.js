@@ -1,10 +1,17 @@
 import { getColorRules, setColorRules } from './state.js';
+import { setSyncedSetting } from './settingsSync.js';
+import { getDomain, isEditorBucket } from './utils.js';
 
 const COLOR_RULES_STORAGE_KEY = "colorRules";
+// A rule starting with one of these prefixes matches only that field of browser or editor watcher events
+const RULE_FIELD_PREFIXES = ['url', 'domain', 'project', 'file', 'language'];
 
 /**
  * Loads coloring rules from localStorage.
- * @returns {Array<{regex: RegExp, color: string}>} An array of rule objects.
+ * A rule is a regex followed by a color; a regex prefixed with "url:" or "domain:"
+ * (e.g. "domain:github\.com #333333") matches only the URL or the domain of browser watcher events,
+ * and one prefixed with "project:", "file:" or "language:" only that field of editor watcher events.
+ * @returns {Array<{regex: RegExp, color: string, field: string|null}>} An array of rule objects.
  */
 export function loadColorRules() {
     const rulesString = localStorage.getItem(COLOR_RULES_STORAGE_KEY);
@@ -20,10 +27,14 @@ export function loadColorRules() {
             if (parts.length < 2) return null;
 
             const color = parts[parts.length - 1];
-            const regexString = parts.slice(0, -1).join(' ');
+            let regexString = parts.slice(0, -1).join(' ');
+            const field = RULE_FIELD_PREFIXES.find(prefix => regexString.startsWith(`${prefix}:`)) || null;
+            if (field) {
+                regexString = regexString.substring(field.length + 1);
+            }
 
             try {
-                return { regex: new RegExp(regexString, 'i'), color: color };
+                return { regex: new RegExp(regexString, 'i'), color: color, field: field };
             } catch (e) {
                 console.warn(`Invalid regex in rule: "${regexString}"`, e);
                 return null;
@@ -41,26 +52,52 @@ export function loadColorRules() {
  * @param {string} rulesText - Text with rules, separated by newlines.
  */
 export function saveColorRules(rulesText) {
-    localStorage.setItem(COLOR_RULES_STORAGE_KEY, rulesText);
+    setSyncedSetting(COLOR_RULES_STORAGE_KEY, rulesText);
     setColorRules(loadColorRules()); // Update state after saving
 }
 
+/**
+ * Formats a rule back into the text it was loaded from.
+ * @param {{regex: RegExp, color: string, field: string|null}} rule - The rule object.
+ * @returns {string} The rule line.
+ */
+export function formatColorRule(rule) {
+    return `${rule.field ? `${rule.field}:` : ''}${rule.regex.source} ${rule.color}`;
+}
+
 /**
  * Determines the color for an event based on the given rules.
  * @param {Object} eventData - The event object.
- * @param {Array<{regex: RegExp, color: string}>} rules - An array of rule objects.
+ * @param {Array<{regex: RegExp, color: string, field: string|null}>} rules - An array of rule objects.
  * @returns {string|null} HEX color if a match is found, otherwise null.
  */
 export function getColorForEvent(eventData, rules) {
+    // Field rules only apply to the events that have the field
+    const fields = { url: null, domain: null, project: null, file: null, language: null };
     let eventDescription = '';
-    if (eventData.bucket.startsWith('aw-stopwatch')) {
+    if (isEditorBucket(eventData.bucket)) {
+        fields.project = eventData.data.project || '';
+        fields.file = eventData.data.file || '';
+        fields.language = eventData.data.language || '';
+        eventDescription = `${fields.project} ${fields.file} ${fields.language}`;
+    } else if (eventData.bucket === 'aw-watcher-web-group') {
+        fields.domain = eventData.data.app;
+        eventDescription = eventData.data.app;
+    } else if (eventData.bucket.startsWith('aw-watcher-web')) {
+        fields.url = eventData.data.url || '';
+        fields.domain = getDomain(eventData.data.url);
+        eventDescription = `${fields.domain} ${eventData.data.title || ''}`;
+    } else if (eventData.bucket.startsWith('aw-stopwatch')) {
         eventDescription = eventData.data.label || '';
     } else if (eventData.bucket.startsWith('aw-watcher-window')) {
         eventDescription = `${eventData.data.app} ${eventData.data.title}`;
+    } else if (eventData.bucket === 'aw-query-result') {
+        eventDescription = Object.values(eventData.data).filter(value => typeof value !== 'object').join(' ');
     }
 
     for (let rule of rules) {
-        if (rule.regex.test(eventDescription)) {
+        const text = rule.field ? fields[rule.field] : eventDescription;
+        if (text !== null && rule.regex.test(text)) {
             return rule.color;
         }
     }
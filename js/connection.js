@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Модуль индикатора соединения с сервером ActivityWatch: состояние (online/offline/degraded),
+ * информация о сервере из `/api/0/info`, повторные проверки с нарастающей задержкой
+ * и автоматическое восстановление интерфейса, когда сервер снова доступен.
+ * @module connection
+ */
+
+import { probeServer, getApiBaseUrl, addConnectionListener } from './api.js';
+import { formatDateTime } from './utils.js';
+
+const CONNECTION_BADGE_SELECTOR = "#connection-badge";
+const SERVER_INFO_TABLE_SELECTOR = "#server-info-table";
+const RETRY_CONNECTION_BUTTON_SELECTOR = "#retry-connection-button";
+const FIRST_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+const HEALTH_CHECK_INTERVAL_MS = 60000;
+const SLOW_RESPONSE_MS = 2000;
+
+const STATUS_LABELS = {
+    unknown: "Connecting...",
+    online: "Online",
+    degraded: "Degraded",
+    offline: "Offline",
+};
+
+let connectionStatus = 'unknown';
+let serverInfo = null;
+let lastError = null;
+let lastCheckedAt = null;
+let retryDelay = FIRST_RETRY_DELAY_MS;
+let retryTimeoutId = null;
+let nextRetryAt = null;
+let healthCheckIntervalId = null;
+let onRecovered = async () => {};
+
+/**
+ * Возвращает текущее состояние соединения.
+ * @returns {'unknown'|'online'|'degraded'|'offline'} Состояние соединения.
+ */
+export function getConnectionStatus() {
+    return connectionStatus;
+}
+
+/**
+ * Устанавливает состояние соединения. При переходе из offline в доступное состояние
+ * повторные проверки прекращаются и вызывается функция восстановления интерфейса.
+ * @param {'online'|'degraded'|'offline'} status - Новое состояние.
+ * @param {Error} [error] - Ошибка, из-за которой сервер недоступен.
+ */
+function setConnectionStatus(status, error) {
+    const wasOffline = connectionStatus === 'offline';
+    connectionStatus = status;
+    lastError = status === 'offline' ? error || lastError : null;
+
+    if (status === 'offline') {
+        scheduleRetry();
+    } else {
+        cancelRetry();
+        if (wasOffline) {
+            onRecovered().catch(recoveryError => console.error("Failed to reload after reconnecting:", recoveryError));
+        }
+    }
+    renderConnectionBadge();
+    renderServerInfo();
+}
+
+/**
+ * Планирует следующую проверку сервера с удвоением задержки (до MAX_RETRY_DELAY_MS).
+ */
+function scheduleRetry() {
+    if (retryTimeoutId) return;
+    nextRetryAt = new Date(Date.now() + retryDelay);
+    retryTimeoutId = setTimeout(async () => {
+        retryTimeoutId = null;
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+        await checkConnection();
+    }, retryDelay);
+}
+
+/**
+ * Отменяет запланированную проверку и сбрасывает задержку.
+ */
+function cancelRetry() {
+    clearTimeout(retryTimeoutId);
+    retryTimeoutId = null;
+    nextRetryAt = null;
+    retryDelay = FIRST_RETRY_DELAY_MS;
+}
+
+/**
+ * Проверяет сервер через `/api/0/info` и обновляет состояние соединения и информацию о сервере.
+ * Медленный ответ считается деградацией.
+ * @returns {Promise<'online'|'degraded'|'offline'>} Состояние после проверки.
+ */
+export async function checkConnection() {
+    const startedAt = Date.now();
+    try {
+        serverInfo = await probeServer(getApiBaseUrl());
+        lastCheckedAt = new Date();
+        setConnectionStatus(Date.now() - startedAt > SLOW_RESPONSE_MS ? 'degraded' : 'online');
+    } catch (error) {
+        lastCheckedAt = new Date();
+        setConnectionStatus('offline', error);
+    }
+    return connectionStatus;
+}
+
+/**
+ * Обновляет индикатор соединения.
+ */
+function renderConnectionBadge() {
+    const badge = window.d3.select(CONNECTION_BADGE_SELECTOR);
+    if (badge.empty()) return;
+
+    let text = STATUS_LABELS[connectionStatus];
+    if (serverInfo && serverInfo.testing && connectionStatus !== 'offline') {
+        text += " (testing)";
+    }
+    badge
+        .attr("class", `connection-badge ${connectionStatus}`)
+        .attr("title", connectionStatus === 'offline' && nextRetryAt
+            ? `${getApiBaseUrl()} is not reachable, next check at ${formatDateTime(nextRetryAt)}`
+            : getApiBaseUrl())
+        .text(text);
+}
+
+/**
+ * Рендерит таблицу с информацией о сервере в панели соединения.
+ */
+function renderServerInfo() {
+    const tbody = window.d3.select(SERVER_INFO_TABLE_SELECTOR);
+    if (tbody.empty()) return;
+    tbody.html("");
+
+    const rows = [
+        ["Server", getApiBaseUrl()],
+        ["Status", STATUS_LABELS[connectionStatus]],
+        ["Version", serverInfo ? serverInfo.version : "—"],
+        ["Hostname", serverInfo ? serverInfo.hostname : "—"],
+        ["Testing", serverInfo ? (serverInfo.testing ? "yes" : "no") : "—"],
+        ["Last check", lastCheckedAt ? formatDateTime(lastCheckedAt) : "—"],
+    ];
+    if (connectionStatus === 'offline') {
+        rows.push(["Error", lastError ? lastError.message : "—"]);
+        rows.push(["Next check", nextRetryAt ? formatDateTime(nextRetryAt) : "—"]);
+    }
+    rows.forEach(([name, value]) => {
+        const row = tbody.append("tr");
+        row.append("td").text(`${name}:`);
+        row.append("td").text(value);
+    });
+}
+
+// Every API request reports whether the server answered, so the badge reacts without extra polling
+addConnectionListener((status, error) => {
+    if (status === connectionStatus) return;
+    if (status === 'online' && connectionStatus === 'unknown') {
+        // The server info is still missing, let the probe fill it in
+        checkConnection();
+        return;
+    }
+    setConnectionStatus(status, error);
+});
+
+/**
+ * Устанавливает индикатор соединения и панель информации о сервере.
+ * @param {d3.Selection} panel - D3-выборка панели информации о сервере.
+ * @param {function(): Promise<void>} onRecoveredCallback - Функция обратного вызова для перезагрузки данных,
+ * когда сервер снова доступен.
+ */
+export function setupConnectionIndicator(panel, onRecoveredCallback) {
+    onRecovered = onRecoveredCallback;
+
+    window.d3.select(CONNECTION_BADGE_SELECTOR).on("click", () => {
+        renderServerInfo();
+        panel.style("display", panel.style("display") === "none" ? "block" : "none");
+    });
+    window.d3.select(RETRY_CONNECTION_BUTTON_SELECTOR).on("click", () => {
+        cancelRetry();
+        checkConnection();
+    });
+
+    clearInterval(healthCheckIntervalId);
+    healthCheckIntervalId = setInterval(() => {
+        // While offline the backoff retries are already running
+        if (connectionStatus !== 'offline') {
+            checkConnection();
+        }
+    }, HEALTH_CHECK_INTERVAL_MS);
+
+    renderConnectionBadge();
+}
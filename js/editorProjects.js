@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Связи проектов редакторов (VS Code, JetBrains и др.) с названиями задач секундомера.
+ * Связь задается в отчете по проектам; по ней автодополнение названия задачи предлагает связанное
+ * название, когда в проекте работали в последние минуты.
+ * @module editorProjects
+ */
+
+import { getAllEventsData } from './state.js';
+import { setSyncedSetting } from './settingsSync.js';
+import { getPathBaseName } from './utils.js';
+
+const PROJECT_LINKS_STORAGE_KEY = "editorProjectLinks";
+const PROJECT_LABEL_OPTIONS_ID = "project-label-options";
+
+/**
+ * Загружает связи проектов с названиями задач из локального хранилища.
+ * @returns {Object<string, string>} Название задачи по пути проекта.
+ */
+export function getProjectLinks() {
+    const linksString = localStorage.getItem(PROJECT_LINKS_STORAGE_KEY);
+    if (!linksString) return {};
+    try {
+        const links = JSON.parse(linksString);
+        return links && typeof links === "object" && !Array.isArray(links) ? links : {};
+    } catch (e) {
+        console.error("Failed to parse editor project links from localStorage:", e);
+        return {};
+    }
+}
+
+/**
+ * Связывает проект с названием задачи; пустое название удаляет связь.
+ * @param {string} project - Путь проекта.
+ * @param {string} label - Название задачи.
+ */
+export function setProjectLink(project, label) {
+    const links = getProjectLinks();
+    if (label) {
+        links[project] = label;
+    } else {
+        delete links[project];
+    }
+    setSyncedSetting(PROJECT_LINKS_STORAGE_KEY, JSON.stringify(links));
+}
+
+/**
+ * Рендерит список названий задач загруженных событий для подсказок в полях связи.
+ * @param {d3.Selection} container - D3-выборка контейнера, в который добавляется список.
+ */
+export function renderProjectLabelOptions(container) {
+    const labels = new Set(getAllEventsData()
+        .filter(event => event.bucket.startsWith('aw-stopwatch') && event.data.label)
+        .map(event => event.data.label));
+    container.append("datalist")
+        .attr("id", PROJECT_LABEL_OPTIONS_ID)
+        .selectAll("option")
+        .data(Array.from(labels).sort())
+        .join("option")
+        .attr("value", label => label);
+}
+
+/**
+ * Добавляет поле связи проекта с названием задачи; изменение поля сохраняет связь.
+ * @param {d3.Selection} container - D3-выборка контейнера поля.
+ * @param {string} project - Путь проекта.
+ */
+export function appendProjectLinkInput(container, project) {
+    const input = container.append("input")
+        .attr("type", "text")
+        .attr("class", "project-label-input")
+        .attr("list", PROJECT_LABEL_OPTIONS_ID)
+        .attr("placeholder", "Stopwatch label")
+        .attr("title", `Stopwatch label of ${getPathBaseName(project)}`)
+        .property("value", getProjectLinks()[project] || "");
+    input.on("change", () => setProjectLink(project, input.property("value").trim()));
+}
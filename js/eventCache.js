@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Модуль постоянного кэша событий в IndexedDB. Для каждой "корзины" хранятся события
+ * и уже загруженные диапазоны времени, поэтому с сервера запрашиваются только недостающие диапазоны,
+ * последний отрезок времени, где события еще могут меняться (heartbeat-запросы наблюдателей),
+ * и диапазоны, загруженные слишком давно (события могли изменить другие клиенты).
+ * @module eventCache
+ */
+
+import { fetchEventsForBucketPaged, processRawEvents, getApiBaseUrl, addEventMutationListener } from './api.js';
+import { showNotification } from './notification.js';
+
+const DB_NAME = "aw-webui-sg-cache";
+const DB_VERSION = 1;
+const EVENTS_STORE = "events";
+const RANGES_STORE = "ranges";
+const BUCKET_TIME_INDEX = "byBucketTime";
+const RECENT_WINDOW_MS = 60 * 60 * 1000;
+const REVALIDATE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const EVENT_CACHE_STATUS_SELECTOR = "#event-cache-status";
+const CLEAR_EVENT_CACHE_BUTTON_SELECTOR = "#clear-event-cache-button";
+
+let dbPromise = null;
+let pendingInvalidation = Promise.resolve();
+
+/**
+ * Открывает базу данных кэша (один раз за сессию).
+ * @returns {Promise<IDBDatabase>} База данных.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const eventsStore = db.createObjectStore(EVENTS_STORE, { keyPath: ["server", "bucket", "id"] });
+                eventsStore.createIndex(BUCKET_TIME_INDEX, ["server", "bucket", "timestamp"]);
+                db.createObjectStore(RANGES_STORE, { keyPath: ["server", "bucket"] });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Превращает IDBRequest в Promise.
+ * @param {IDBRequest} request - Запрос IndexedDB.
+ * @returns {Promise<*>} Результат запроса.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ожидает завершения транзакции IndexedDB.
+ * @param {IDBTransaction} transaction - Транзакция.
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Объединяет пересекающиеся и соседние диапазоны.
+ * @param {Array<{start: number, end: number}>} ranges - Диапазоны в миллисекундах.
+ * @returns {Array<{start: number, end: number}>} Отсортированные непересекающиеся диапазоны.
+ */
+function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+    const merged = [];
+    sorted.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Вычисляет части запрошенного диапазона, которые не покрыты загруженными диапазонами.
+ * @param {{start: number, end: number}} requested - Запрошенный диапазон.
+ * @param {Array<{start: number, end: number}>} covered - Загруженные диапазоны (отсортированные, непересекающиеся).
+ * @returns {Array<{start: number, end: number}>} Недостающие диапазоны.
+ */
+function subtractRanges(requested, covered) {
+    const missing = [];
+    let cursor = requested.start;
+    covered.forEach(range => {
+        if (range.end <= cursor || range.start >= requested.end) return;
+        if (range.start > cursor) {
+            missing.push({ start: cursor, end: range.start });
+        }
+        cursor = Math.max(cursor, range.end);
+    });
+    if (cursor < requested.end) {
+        missing.push({ start: cursor, end: requested.end });
+    }
+    return missing;
+}
+
+/**
+ * Вырезает периоды из загруженных диапазонов; оставшиеся части сохраняют время загрузки.
+ * @param {Array<{start: number, end: number, fetchedAt: number}>} ranges - Загруженные диапазоны.
+ * @param {Array<{start: number, end: number}>} spans - Вырезаемые периоды.
+ * @returns {Array<{start: number, end: number, fetchedAt: number}>} Оставшиеся части диапазонов.
+ */
+function removeSpans(ranges, spans) {
+    const sortedSpans = mergeRanges(spans);
+    return ranges.flatMap(range => subtractRanges(range, sortedSpans).map(part => ({ ...part, fetchedAt: range.fetchedAt })));
+}
+
+/**
+ * Добавляет только что загруженный диапазон: перекрытые им части прежних диапазонов заменяются,
+ * а соседние диапазоны, загруженные почти одновременно, объединяются.
+ * @param {Array<{start: number, end: number, fetchedAt: number}>} ranges - Загруженные диапазоны.
+ * @param {{start: number, end: number, fetchedAt: number}} range - Новый диапазон.
+ * @returns {Array<{start: number, end: number, fetchedAt: number}>} Отсортированные непересекающиеся диапазоны.
+ */
+function addRange(ranges, range) {
+    const pieces = removeSpans(ranges, [range]).concat([range]).sort((a, b) => a.start - b.start);
+    const merged = [];
+    pieces.forEach(piece => {
+        const last = merged[merged.length - 1];
+        if (last && piece.start <= last.end && Math.abs(piece.fetchedAt - last.fetchedAt) <= RECENT_WINDOW_MS) {
+            last.end = Math.max(last.end, piece.end);
+            last.fetchedAt = Math.min(last.fetchedAt, piece.fetchedAt);
+        } else {
+            merged.push({ ...piece });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Загружает недостающий диапазон с сервера и сохраняет его в кэш.
+ * События, которые были в кэше в этом диапазоне, заменяются, чтобы удаленные на сервере события не оставались в кэше.
+ * Если диапазон загружен не целиком, загруженные события сохраняются, но диапазон не отмечается загруженным.
+ * @param {IDBDatabase} db - База данных кэша.
+ * @param {string} server - URL сервера.
+ * @param {string} bucketName - ID "корзины".
+ * @param {{start: number, end: number}} range - Диапазон в миллисекундах (start 0 — с самого начала).
+ * @param {number} now - Момент запроса.
+ * @param {function} [onProgress] - Функция обратного вызова для отображения хода загрузки.
+ * @returns {Promise<{complete: boolean, pages: number}>} Удалось ли загрузить диапазон целиком.
+ */
+async function fillRange(db, server, bucketName, range, now, onProgress) {
+    const result = await fetchEventsForBucketPaged(
+        bucketName,
+        range.start > 0 ? new Date(range.start) : undefined,
+        range.end < now ? new Date(range.end) : undefined,
+        onProgress
+    );
+    const transaction = db.transaction([EVENTS_STORE, RANGES_STORE], "readwrite");
+    const eventsStore = transaction.objectStore(EVENTS_STORE);
+    const rangesStore = transaction.objectStore(RANGES_STORE);
+    const storeEvents = () => result.events.forEach(freshEvent => {
+        eventsStore.put({
+            server: server,
+            bucket: bucketName,
+            id: freshEvent.id,
+            timestamp: freshEvent.timestamp.getTime(),
+            duration: freshEvent.duration,
+            data: freshEvent.data,
+        });
+    });
+
+    if (result.complete) {
+        const staleRange = IDBKeyRange.bound([server, bucketName, range.start], [server, bucketName, range.end]);
+        eventsStore.index(BUCKET_TIME_INDEX).openCursor(staleRange).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+                return;
+            }
+            // Fresh events are written only after the cursor is done, otherwise it would delete them as well
+            storeEvents();
+        };
+    } else {
+        storeEvents();
+    }
+
+    const rangesRequest = rangesStore.get([server, bucketName]);
+    rangesRequest.onsuccess = () => {
+        const stored = rangesRequest.result;
+        const storedRanges = stored ? stored.ranges : [];
+        rangesStore.put({
+            server: server,
+            bucket: bucketName,
+            // A truncated range is not marked as loaded: the fetched events are kept, the rest is requested next time
+            ranges: result.complete ? addRange(storedRanges, { start: range.start, end: Math.min(range.end, now), fetchedAt: now }) : storedRanges,
+            // Bounds how early a cached event overlapping a period can start, see fetchCachedEvents
+            maxDuration: result.events.reduce((max, freshEvent) => Math.max(max, freshEvent.duration), stored && stored.maxDuration || 0),
+        });
+    };
+
+    await transactionDone(transaction);
+    return { complete: result.complete, pages: result.pages };
+}
+
+/**
+ * Возвращает события "корзины" за период: недостающие диапазоны загружаются с сервера, остальное читается из кэша.
+ * Если IndexedDB недоступна, события загружаются с сервера напрямую.
+ * @param {string} bucketName - ID "корзины".
+ * @param {Date} [startDate] - Начало периода (по умолчанию — вся история).
+ * @param {Date} [endDate] - Конец периода (по умолчанию — текущий момент).
+ * @param {function({bucket: string, pages: number, count: number}): void} [onProgress] - Вызывается после каждой загруженной страницы.
+ * @returns {Promise<{events: Array<Object>, complete: boolean, pages: number}>} События и признак полной загрузки.
+ */
+export async function fetchCachedEvents(bucketName, startDate, endDate, onProgress) {
+    let db;
+    try {
+        await pendingInvalidation;
+        db = await openDatabase();
+    } catch (error) {
+        console.warn("Event cache is not available, loading from the server:", error);
+        return fetchEventsForBucketPaged(bucketName, startDate, endDate, onProgress);
+    }
+
+    const server = getApiBaseUrl();
+    const now = Date.now();
+    const requested = {
+        start: startDate ? startDate.getTime() : 0,
+        end: endDate ? Math.min(endDate.getTime(), now) : now,
+    };
+
+    try {
+        const stored = await promisifyRequest(db.transaction(RANGES_STORE).objectStore(RANGES_STORE).get([server, bucketName]));
+        // Ranges loaded long ago are revalidated, and events that were still changing when a range was loaded
+        // (heartbeats, running events) count as missing
+        const covered = mergeRanges((stored ? stored.ranges : [])
+            .filter(range => now - (range.fetchedAt || 0) < REVALIDATE_AFTER_MS)
+            .map(range => ({ start: range.start, end: Math.min(range.end, range.fetchedAt - RECENT_WINDOW_MS) }))
+            .filter(range => range.end > range.start));
+
+        let complete = true;
+        let pages = 0;
+        for (const range of subtractRanges(requested, covered)) {
+            const result = await fillRange(db, server, bucketName, range, now, onProgress);
+            complete = complete && result.complete;
+            pages += result.pages;
+        }
+
+        // Events are indexed by start time: no event overlapping the period starts earlier than the longest one lasts
+        const readTransaction = db.transaction([EVENTS_STORE, RANGES_STORE]);
+        const bucketRecord = await promisifyRequest(readTransaction.objectStore(RANGES_STORE).get([server, bucketName]));
+        const earliestStart = bucketRecord && Number.isFinite(bucketRecord.maxDuration)
+            ? requested.start - bucketRecord.maxDuration * 1000
+            : 0;
+        const cachedEvents = await promisifyRequest(readTransaction.objectStore(EVENTS_STORE)
+            .index(BUCKET_TIME_INDEX)
+            .getAll(IDBKeyRange.bound([server, bucketName, earliestStart], [server, bucketName, requested.end])));
+        const events = cachedEvents
+            .filter(event => event.timestamp + event.duration * 1000 >= requested.start)
+            .map(({ id, timestamp, duration, data }) => ({ id, timestamp, duration, data }));
+
+        return { events: processRawEvents(events, bucketName), complete: complete, pages: pages };
+    } catch (error) {
+        console.error(`Event cache failed for bucket ${bucketName}, loading from the server:`, error);
+        return fetchEventsForBucketPaged(bucketName, startDate, endDate, onProgress);
+    }
+}
+
+/**
+ * Удаляет из кэша все события и диапазоны "корзины" текущего сервера.
+ * @param {string} bucketName - ID "корзины".
+ * @returns {Promise<void>}
+ */
+async function invalidateBucket(bucketName) {
+    const db = await openDatabase();
+    const server = getApiBaseUrl();
+    const transaction = db.transaction([EVENTS_STORE, RANGES_STORE], "readwrite");
+    transaction.objectStore(EVENTS_STORE).delete(IDBKeyRange.bound([server, bucketName], [server, bucketName, []]));
+    transaction.objectStore(RANGES_STORE).delete([server, bucketName]);
+    await transactionDone(transaction);
+}
+
+/**
+ * Удаляет из кэша измененные события и снимает отметку о загрузке с их периодов, чтобы они были загружены заново.
+ * @param {string} bucketName - ID "корзины".
+ * @param {Array<Object>} events - Измененные события: с `id` (удаленные) и/или с `timestamp` и `duration` (созданные и замененные).
+ * @returns {Promise<void>}
+ */
+async function invalidateEvents(bucketName, events) {
+    const db = await openDatabase();
+    const server = getApiBaseUrl();
+    const transaction = db.transaction([EVENTS_STORE, RANGES_STORE], "readwrite");
+    const eventsStore = transaction.objectStore(EVENTS_STORE);
+    const rangesStore = transaction.objectStore(RANGES_STORE);
+
+    events.forEach(event => {
+        if (event.id !== undefined && event.id !== null) {
+            eventsStore.delete([server, bucketName, event.id]);
+        }
+    });
+    const spans = events
+        .filter(event => event.timestamp !== undefined)
+        .map(event => {
+            const start = new Date(event.timestamp).getTime();
+            // A zero-length span would not uncover anything
+            return { start: start, end: Math.max(start + (event.duration || 0) * 1000, start + 1) };
+        });
+
+    const rangesRequest = rangesStore.get([server, bucketName]);
+    rangesRequest.onsuccess = () => {
+        if (!rangesRequest.result || spans.length === 0) return;
+        rangesStore.put({ ...rangesRequest.result, ranges: removeSpans(rangesRequest.result.ranges, spans) });
+    };
+    await transactionDone(transaction);
+}
+
+// Edits made through the API module must never be hidden by stale cached events
+addEventMutationListener((bucketName, events) => {
+    pendingInvalidation = pendingInvalidation
+        .then(() => events ? invalidateEvents(bucketName, events) : invalidateBucket(bucketName))
+        .catch(error => console.warn(`Failed to invalidate the event cache for ${bucketName}:`, error));
+});
+
+/**
+ * Полностью очищает кэш событий.
+ * @returns {Promise<void>}
+ */
+export async function clearEventCache() {
+    const db = await openDatabase();
+    const transaction = db.transaction([EVENTS_STORE, RANGES_STORE], "readwrite");
+    transaction.objectStore(EVENTS_STORE).clear();
+    transaction.objectStore(RANGES_STORE).clear();
+    await transactionDone(transaction);
+}
+
+/**
+ * Возвращает размер кэша.
+ * @returns {Promise<{events: number, buckets: number, bytes: (number|null)}>} Количество событий, "корзин"
+ * и оценка занятого места (null, если браузер ее не предоставляет).
+ */
+export async function getEventCacheSize() {
+    const db = await openDatabase();
+    const transaction = db.transaction([EVENTS_STORE, RANGES_STORE]);
+    const [events, buckets] = await Promise.all([
+        promisifyRequest(transaction.objectStore(EVENTS_STORE).count()),
+        promisifyRequest(transaction.objectStore(RANGES_STORE).count()),
+    ]);
+    let bytes = null;
+    if (navigator.storage && navigator.storage.estimate) {
+        const estimate = await navigator.storage.estimate();
+        bytes = estimate.usage ?? null;
+    }
+    return { events, buckets, bytes };
+}
+
+/**
+ * Обновляет строку с размером кэша в панели настроек.
+ */
+export async function renderEventCacheStatus() {
+    const status = window.d3.select(EVENT_CACHE_STATUS_SELECTOR);
+    if (status.empty()) return;
+
+    try {
+        const size = await getEventCacheSize();
+        const sizeText = size.bytes !== null ? `, about ${(size.bytes / (1024 * 1024)).toFixed(1)} MB` : "";
+        status.text(`${size.events} events in ${size.buckets} buckets${sizeText}`);
+    } catch (error) {
+        status.text(`Cache is not available: ${error.message}`);
+    }
+}
+
+/**
+ * Устанавливает обработчик кнопки очистки кэша.
+ */
+export function setupEventCacheControls() {
+    window.d3.select(CLEAR_EVENT_CACHE_BUTTON_SELECTOR).on("click", async () => {
+        try {
+            await clearEventCache();
+            showNotification("Event cache cleared.");
+        } catch (error) {
+            console.error("Failed to clear the event cache:", error);
+            showNotification(`Failed to clear the event cache: ${error.message}`, 5000);
+        }
+        renderEventCacheStatus();
+    });
+}
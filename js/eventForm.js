@@ -4,8 +4,11 @@
  */
 
 import { formatDuration, toLocalISO } from './utils.js';
-import { deleteEvent, createEvent } from './api.js';
+import { toEventPayload } from './api.js';
 import { showNotification } from './notification.js'; // Импортируем showNotification
+import { takeSnapshot } from './backup.js';
+import { runOrQueueEventTransaction } from './outbox.js';
+import { showUndoableNotification } from './history.js';
 
 let activeTimeInput = null;
 
@@ -35,7 +38,7 @@ export function renderEventEditPanel(eventData, container, isSplitMode = false)
     if (eventData.data.running === true && !isNewEvent) endTime = new Date();
 
     tbody.append("tr").html(`<td>Start Time:</td><td><input type="text" id="edit-start-time-input" class="time-input" value="${toLocalISO(startTime)}"></td>`);
-    tbody.append("tr").html(`<td>End Time:</td><td><input type="text" id="edit-end-time-input" class="time-input" value="${isNewEvent ? '' : toLocalISO(endTime)}"></td>`);
+    tbody.append("tr").html(`<td>End Time:</td><td><input type="text" id="edit-end-time-input" class="time-input" value="${isNewEvent && eventData.data.running === true ? '' : toLocalISO(endTime)}"></td>`);
 
     if (isSplitMode) {
         const splitTime = new Date(startTime.getTime() + eventData.duration * 1000 - 2 * 1000);
@@ -105,6 +108,19 @@ export function renderEventEditPanel(eventData, container, isSplitMode = false)
     }
 }
 
+/**
+ * Открывает панель редактирования для нового события; событие создается на сервере при сохранении.
+ * Запущенное событие (`running: true`) показывается без времени окончания.
+ * @param {Object} eventData - Новое событие: "корзина", время начала, длительность и данные (с названием в `label`).
+ */
+export function openNewEventInEditPanel(eventData) {
+    const editPanel = window.d3.select("#event-edit-panel");
+    editPanel.property("originalEvent", eventData);
+    editPanel.property("isNewEvent", true);
+    renderEventEditPanel(eventData, window.d3.select("#edit-event-data-table"), false);
+    editPanel.style("display", "block");
+}
+
 /**
  * Возвращает текущее активное поле ввода времени.
  * @returns {HTMLElement|null} Активный элемент ввода или null, если ни один не активен.
@@ -144,14 +160,18 @@ export function setupEditControls(editPanel, onSaveCallback, svg, zoomBehavior)
     deleteButton.on("click", async () => {
         const originalEvent = editPanel.property("originalEvent");
         if (!originalEvent || !confirm(`Are you sure you want to delete event ${originalEvent.id}?`)) return;
+        if (!takeSnapshot(originalEvent.bucket, `Delete event ${originalEvent.id}`, [originalEvent])) return;
 
         try {
-            await deleteEvent(originalEvent.bucket, originalEvent.id);
-            showNotification('Event deleted successfully!');
+            const { queued } = await runOrQueueEventTransaction([
+                { type: 'delete', bucket: originalEvent.bucket, previous: toEventPayload(originalEvent) }
+            ]);
+            if (!queued) showUndoableNotification('Event deleted successfully!');
             resetEditPanel();
             onSaveCallback();
         } catch (error) {
-            showNotification('Failed to delete event. Please check console for details.');
+            console.error('Failed to delete event:', error);
+            showNotification(`Failed to delete event: ${error.message}`, 5000);
         }
     });
 
@@ -169,21 +189,22 @@ export function setupEditControls(editPanel, onSaveCallback, svg, zoomBehavior)
         }
 
         const stoppedEvent = {
+            id: originalEvent.id,
             timestamp: startTime.toISOString(),
             duration: duration,
             data: { ...originalEvent.data, running: false }
         };
 
         try {
-            if (await createEvent(originalEvent.bucket, stoppedEvent)
-            && await deleteEvent(originalEvent.bucket, originalEvent.id)) {
-                showNotification(`Event "${originalEvent.data.label || 'untitled'}" stopped successfully!`);
-                resetEditPanel();
-                onSaveCallback();
-            }
+            const { queued } = await runOrQueueEventTransaction([
+                { type: 'replace', bucket: originalEvent.bucket, event: stoppedEvent, previous: toEventPayload(originalEvent) }
+            ]);
+            if (!queued) showUndoableNotification(`Event "${originalEvent.data.label || 'untitled'}" stopped successfully!`);
+            resetEditPanel();
+            onSaveCallback();
         } catch (error) {
-            showNotification('Failed to stop event. Check console for details.');
             console.error('Failed to stop event:', error);
+            showNotification(`Failed to stop event: ${error.message}`, 5000);
         }
     });
 
@@ -215,67 +236,80 @@ export function setupEditControls(editPanel, onSaveCallback, svg, zoomBehavior)
             currentTransform = window.d3.zoomTransform(svg.node());
         }
 
-        try {
-            if (isSplitMode) {
-                const title1 = window.d3.select("#edit-title-input").property("value");
-                const startTime1 = new Date(window.d3.select("#edit-start-time-input").property("value"));
-                const endTime1 = new Date(window.d3.select("#edit-end-time-input").property("value"));
-                const duration1 = (endTime1.getTime() - startTime1.getTime()) / 1000;
-
-                const title2 = window.d3.select("#edit-title-2-input").property("value");
-                const startTime2 = new Date(window.d3.select("#edit-start-time-2-input").property("value"));
-                const endTime2 = new Date(window.d3.select("#edit-end-time-2-input").property("value"));
-                const duration2 = (endTime2.getTime() - startTime2.getTime()) / 1000;
-
-                if (duration1 < 0 || duration2 < 0) return showNotification('End time cannot be before start time for either event.');
-
-                const firstEvent = {
-                    timestamp: startTime1.toISOString(),
-                    duration: duration1,
-                    data: { ...originalEvent.data, label: title1 }
-                };
-                firstEvent.data.running = false;
-
-                const secondEvent = {
-                    timestamp: startTime2.toISOString(),
-                    duration: duration2,
-                    data: { ...originalEvent.data, label: title2 }
-                };
-
-                await Promise.all([
-                    createEvent(originalEvent.bucket, firstEvent),
-                    createEvent(originalEvent.bucket, secondEvent)
-                ]);
-                showNotification('Both new events created successfully.');
+        const operations = [];
 
-            } else {
-                const newTitle = window.d3.select("#edit-title-input").property("value");
-                const newStartTime = new Date(window.d3.select("#edit-start-time-input").property("value"));
-                const endTimeValue = window.d3.select("#edit-end-time-input").property("value").trim();
-                let newDuration = 0;
-                let running = true;
-
-                if (endTimeValue) {
-                    const newEndTime = new Date(endTimeValue);
-                    newDuration = (newEndTime.getTime() - newStartTime.getTime()) / 1000;
-                    if (newDuration < 0) return showNotification('End time cannot be before start time.');
-                    running = false;
-                }
+        if (isSplitMode) {
+            const title1 = window.d3.select("#edit-title-input").property("value");
+            const startTime1 = new Date(window.d3.select("#edit-start-time-input").property("value"));
+            const endTime1 = new Date(window.d3.select("#edit-end-time-input").property("value"));
+            const duration1 = (endTime1.getTime() - startTime1.getTime()) / 1000;
+
+            const title2 = window.d3.select("#edit-title-2-input").property("value");
+            const startTime2 = new Date(window.d3.select("#edit-start-time-2-input").property("value"));
+            const endTime2 = new Date(window.d3.select("#edit-end-time-2-input").property("value"));
+            const duration2 = (endTime2.getTime() - startTime2.getTime()) / 1000;
+
+            if (duration1 < 0 || duration2 < 0) return showNotification('End time cannot be before start time for either event.');
 
-                const newEvent = {
-                    timestamp: newStartTime.toISOString(),
-                    duration: newDuration,
-                    data: { ...originalEvent.data, label: newTitle, running: running }
-                };
+            // The first part keeps the original event ID, the second part is a new event
+            const firstEvent = {
+                id: originalEvent.id,
+                timestamp: startTime1.toISOString(),
+                duration: duration1,
+                data: { ...originalEvent.data, label: title1 }
+            };
+            firstEvent.data.running = false;
+
+            const secondEvent = {
+                timestamp: startTime2.toISOString(),
+                duration: duration2,
+                data: { ...originalEvent.data, label: title2 }
+            };
 
-                await createEvent(originalEvent.bucket, newEvent);
+            if (!takeSnapshot(originalEvent.bucket, `Split event ${originalEvent.id}`, [originalEvent])) return;
+
+            operations.push(
+                { type: 'replace', bucket: originalEvent.bucket, event: firstEvent, previous: toEventPayload(originalEvent) },
+                { type: 'create', bucket: originalEvent.bucket, event: secondEvent }
+            );
+        } else {
+            const newTitle = window.d3.select("#edit-title-input").property("value");
+            const newStartTime = new Date(window.d3.select("#edit-start-time-input").property("value"));
+            const endTimeValue = window.d3.select("#edit-end-time-input").property("value").trim();
+            let newDuration = 0;
+            let running = true;
+
+            if (endTimeValue) {
+                const newEndTime = new Date(endTimeValue);
+                newDuration = (newEndTime.getTime() - newStartTime.getTime()) / 1000;
+                if (newDuration < 0) return showNotification('End time cannot be before start time.');
+                running = false;
             }
 
-            if (!isNewEvent) {
-                await deleteEvent(originalEvent.bucket, originalEvent.id);
+            const newEvent = {
+                timestamp: newStartTime.toISOString(),
+                duration: newDuration,
+                data: { ...originalEvent.data, label: newTitle, running: running }
+            };
+
+            if (isNewEvent) {
+                operations.push({ type: 'create', bucket: originalEvent.bucket, event: newEvent });
+            } else {
+                operations.push({ type: 'replace', bucket: originalEvent.bucket, event: { ...newEvent, id: originalEvent.id }, previous: toEventPayload(originalEvent) });
             }
+        }
+
+        try {
+            const { queued } = await runOrQueueEventTransaction(operations);
 
-            showNotification(isNewEvent ? 'Event created successfully!' : 'Event updated successfully!');
+            // A queued change is already reported by the outbox
+            if (!queued) {
+                if (isSplitMode) {
+                    showUndoableNotification('Event split successfully!');
+                } else {
+                    showUndoableNotification(isNewEvent ? 'Event created successfully!' : 'Event updated successfully!');
+                }
+            }
             resetEditPanel();
             await onSaveCallback();
 
@@ -285,7 +319,7 @@ export function setupEditControls(editPanel, onSaveCallback, svg, zoomBehavior)
 
         } catch (error) {
             console.error('Failed to save event:', error);
-            showNotification('Failed to save event. Please check console for details.');
+            showNotification(`Failed to save event: ${error.message}`, 5000);
         }
     });
 }
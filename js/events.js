@@ -1,15 +1,98 @@
-import { getAfkBucketId } from './state.js';
-import { normalizeTitle, formatDuration } from './utils.js';
+import { getAfkBucketIds, getWindowGroupingOptions } from './state.js';
+import { normalizeTitle, formatDuration, getDomain, mergeIntervals, subtractIntervals, isGroupBucket } from './utils.js';
+
+/**
+ * Returns the number of elements in a sorted array that are less than (or, with `inclusive`, less than or equal to) a value.
+ * @param {Array<number>} sorted - An ascending array.
+ * @param {number} value - The value to compare with.
+ * @param {boolean} [inclusive=false] - Whether elements equal to the value are counted.
+ * @returns {number} The count, i.e. the insertion index of the value.
+ */
+function countBelow(sorted, value, inclusive = false) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (sorted[middle] < value || (inclusive && sorted[middle] === value)) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/**
+ * Builds an interval index over AFK events for stabbing queries.
+ * The events are sorted by start time and a segment tree keeps the maximum end time of every range,
+ * so the latest-starting event that still covers a moment is found in O(log m).
+ * Events with a negative duration never cover a moment and are left out.
+ * @param {Array<Object>} afkEvents - An array of AFK events.
+ * @returns {{starts: Array<number>, sortedEnds: Array<number>, findCovering: function(number, number): (Object|null)}}
+ * Sorted start and end times and a query that returns the latest-starting event among the first `count` by start whose end is after a time.
+ */
+function buildAfkIndex(afkEvents) {
+    const entries = [];
+    afkEvents.forEach((afk, order) => {
+        const start = afk.timestamp.getTime();
+        const end = start + afk.duration * 1000;
+        if (end >= start) {
+            entries.push({ afk, start, end, order });
+        }
+    });
+    // Among events with the same start, the first in the input must win (as with a stable sort by start time),
+    // so it is placed last: the query returns the rightmost match.
+    entries.sort((a, b) => a.start - b.start || b.order - a.order);
+
+    let size = 1;
+    while (size < entries.length) size *= 2;
+    const maxEnd = new Array(2 * size).fill(-Infinity);
+    entries.forEach((entry, i) => {
+        maxEnd[size + i] = entry.end;
+    });
+    for (let node = size - 1; node > 0; node--) {
+        maxEnd[node] = Math.max(maxEnd[2 * node], maxEnd[2 * node + 1]);
+    }
+
+    /**
+     * Finds the rightmost entry with an index below `count` in the subtree of `node` whose end is after `time`.
+     * @param {number} node - The tree node.
+     * @param {number} nodeStart - The first entry index covered by the node.
+     * @param {number} nodeSize - The number of entries covered by the node.
+     * @param {number} count - Only entries with a smaller index are considered.
+     * @param {number} time - The end must be greater than this time.
+     * @returns {number} The entry index, or -1.
+     */
+    const findRightmost = (node, nodeStart, nodeSize, count, time) => {
+        if (nodeStart >= count || maxEnd[node] <= time) return -1;
+        if (nodeSize === 1) return nodeStart;
+        const half = nodeSize / 2;
+        const right = findRightmost(2 * node + 1, nodeStart + half, half, count, time);
+        return right !== -1 ? right : findRightmost(2 * node, nodeStart, half, count, time);
+    };
+
+    return {
+        starts: entries.map(entry => entry.start),
+        sortedEnds: entries.map(entry => entry.end).sort((a, b) => a - b),
+        findCovering: (count, time) => {
+            const index = findRightmost(1, 0, size, count, time);
+            return index === -1 ? null : entries[index].afk;
+        },
+    };
+}
 
 /**
  * Processes stopwatch and AFK events to generate activity segments.
- * Each stopwatch event is split into segments based on overlapping AFK events.
+ * Each stopwatch event is split into segments based on overlapping AFK events;
+ * a segment gets the status of the latest-starting AFK event that covers it ('not-afk' if there is none).
+ * The AFK events are indexed once, so the whole run takes O((n + m) log m) plus the number of segments.
  * @param {Array<Object>} stopwatchEvents - An array of stopwatch events.
  * @param {Array<Object>} afkEvents - An array of AFK events.
  * @returns {Array<Object>} The array of stopwatch events, with an `activitySegments` property added to each.
  */
 export function calculateActivitySegments(stopwatchEvents, afkEvents) {
-    const afkBucketId = getAfkBucketId();
+    const afkIndex = buildAfkIndex(afkEvents);
+
     return stopwatchEvents.map(swEvent => {
         const swStart = swEvent.timestamp.getTime();
         let swEnd = swStart + swEvent.duration * 1000;
@@ -19,55 +102,43 @@ export function calculateActivitySegments(stopwatchEvents, afkEvents) {
             swEnd = new Date().getTime();
         }
 
-        // Find all AFK events that overlap with the current stopwatch event
-        const overlappingAfk = afkEvents.filter(afk => {
-            const afkStart = afk.timestamp.getTime();
-            const afkEnd = afkStart + afk.duration * 1000;
-            return afkStart < swEnd && afkEnd > swStart;
-        });
-
-        // Create a set of all relevant timestamps (split points)
-        const splitPoints = new Set([swStart, swEnd]);
-        overlappingAfk.forEach(afk => {
-            const afkStart = afk.timestamp.getTime();
-            const afkEnd = afkStart + afk.duration * 1000;
-            if (afkStart > swStart && afkStart < swEnd) {
-                splitPoints.add(afkStart);
-            }
-            if (afkEnd > swStart && afkEnd < swEnd) {
-                splitPoints.add(afkEnd);
+        // AFK starts and ends inside the event are the split points
+        const splitPoints = [swStart];
+        if (swEnd > swStart) {
+            const innerStarts = afkIndex.starts.slice(countBelow(afkIndex.starts, swStart, true), countBelow(afkIndex.starts, swEnd));
+            const innerEnds = afkIndex.sortedEnds.slice(countBelow(afkIndex.sortedEnds, swStart, true), countBelow(afkIndex.sortedEnds, swEnd));
+            let i = 0;
+            let j = 0;
+            while (i < innerStarts.length || j < innerEnds.length) {
+                const next = j >= innerEnds.length || (i < innerStarts.length && innerStarts[i] <= innerEnds[j]) ? innerStarts[i++] : innerEnds[j++];
+                if (next !== splitPoints[splitPoints.length - 1]) {
+                    splitPoints.push(next);
+                }
             }
-        });
-
-        const sortedSplitPoints = Array.from(splitPoints).sort((a, b) => a - b);
+            splitPoints.push(swEnd);
+        } else if (swEnd < swStart) {
+            // A negative duration yields a single segment between the end and the start
+            splitPoints.unshift(swEnd);
+        }
 
         const segments = [];
-        for (let i = 0; i < sortedSplitPoints.length - 1; i++) {
-            const segmentStart = sortedSplitPoints[i];
-            const segmentEnd = sortedSplitPoints[i + 1];
-
-            if (segmentEnd <= segmentStart) continue;
-
-            const segmentMidpoint = segmentStart + (segmentEnd - segmentStart) / 2;
-
-            // Find the last AFK event that covers the midpoint of the segment
-            const coveringAfk = overlappingAfk
-                .filter(afk => {
-                    const afkStart = afk.timestamp.getTime();
-                    const afkEnd = afkStart + afk.duration * 1000;
-                    return segmentMidpoint >= afkStart && segmentMidpoint < afkEnd;
-                })
-                .sort((a, b) => b.timestamp - a.timestamp)[0];
-
-            let status = 'not-afk'; // Default status if no AFK event covers the segment
-            if (coveringAfk) {
-                status = coveringAfk.data.status; // 'afk' or 'not-afk'
+        for (let i = 0; i < splitPoints.length - 1; i++) {
+            const segmentStart = splitPoints[i];
+            const segmentEnd = splitPoints[i + 1];
+
+            let coveringAfk;
+            if (swEnd < swStart) {
+                // Only AFK events spanning the whole reversed range overlap such an event
+                coveringAfk = afkIndex.findCovering(countBelow(afkIndex.starts, swEnd), swStart);
+            } else {
+                const segmentMidpoint = segmentStart + (segmentEnd - segmentStart) / 2;
+                coveringAfk = afkIndex.findCovering(countBelow(afkIndex.starts, segmentMidpoint, true), segmentMidpoint);
             }
 
             segments.push({
                 startTimestamp: new Date(segmentStart),
                 duration: (segmentEnd - segmentStart) / 1000,
-                status: status,
+                status: coveringAfk ? coveringAfk.data.status : 'not-afk', // 'afk' or 'not-afk'
             });
         }
 
@@ -96,27 +167,176 @@ export function calculateActivitySegments(stopwatchEvents, afkEvents) {
 }
 
 /**
- * Groups window watcher events into continuous app sequences.
- * Events are grouped by app, considering them continuous if the app doesn't change,
- * regardless of time gaps. Overlapping events are handled by taking the longest one
- * and logging a warning.
+ * Combines the AFK events of several machines into one AFK timeline: the user is active while
+ * any machine is active, and away while some machine reports being away and none is active.
+ * Events of a single AFK bucket are returned as they are.
+ * @param {Array<Object>} afkEvents - AFK events of one or more AFK buckets.
+ * @returns {Array<Object>} AFK events without overlaps, sorted by timestamp.
+ */
+export function mergeHostAfkEvents(afkEvents) {
+    if (new Set(afkEvents.map(e => e.bucket)).size < 2) return afkEvents;
+
+    const getIntervals = status => mergeIntervals(afkEvents
+        .filter(e => e.data.status === status)
+        .map(e => [e.timestamp.getTime(), e.timestamp.getTime() + e.duration * 1000]));
+    const activeIntervals = getIntervals('not-afk');
+    const awayIntervals = subtractIntervals(getIntervals('afk'), activeIntervals);
+
+    const toEvents = (intervals, status) => intervals.map(([start, end]) => ({
+        id: `afk-union-${status}-${start}`,
+        bucket: 'aw-watcher-afk-union',
+        timestamp: new Date(start),
+        duration: (end - start) / 1000,
+        data: { status: status },
+    }));
+    return toEvents(activeIntervals, 'not-afk').concat(toEvents(awayIntervals, 'afk')).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Prepares freshly loaded events for the timeline: stopwatch events get their activity segments,
+ * window watcher events are additionally grouped into the 'aw-watcher-window-group' pseudo-bucket
+ * and browser watcher events by domain into the 'aw-watcher-web-group' pseudo-bucket.
+ * @param {Array<Object>} allEvents - Events of all loaded buckets.
+ * @param {Array<string>} [afkBucketIds] - The AFK bucket IDs; the AFK events of several machines are combined,
+ * see mergeHostAfkEvents. Must be passed explicitly where the application state is not available (e.g. in the processing worker).
+ * @param {function(string): void} [onProgress] - Called with the name of each processing stage before it starts.
+ * @param {Object|null} [groupingOptions] - Window grouping options, see DEFAULT_WINDOW_GROUPING_OPTIONS.
+ * @returns {Array<Object>} All events with processed stopwatch events and added window groups.
+ */
+export function processLoadedEvents(allEvents, afkBucketIds = getAfkBucketIds(), onProgress = () => {}, groupingOptions = getWindowGroupingOptions()) {
+    const stopwatchEvents = allEvents.filter(e => e.bucket.startsWith('aw-stopwatch'));
+    const afkEvents = mergeHostAfkEvents(allEvents.filter(e => afkBucketIds.includes(e.bucket)));
+
+    onProgress('calculating activity segments');
+    const processedEvents = calculateActivitySegments(stopwatchEvents, afkEvents);
+
+    // Group window watcher and browser watcher events
+    onProgress('grouping window events');
+    const groupedEvents = groupLoadedEvents(allEvents, groupingOptions);
+
+    // Return all events with processed stopwatch and added groups
+    const baseEvents = allEvents.map(event => {
+        const processed = processedEvents.find(p => p.id === event.id);
+        return processed ? processed : event;
+    });
+
+    return baseEvents.concat(groupedEvents);
+}
+
+/**
+ * Groups window watcher events by app into the 'aw-watcher-window-group' pseudo-bucket
+ * and browser watcher events by domain into the 'aw-watcher-web-group' pseudo-bucket.
+ * @param {Array<Object>} allEvents - Loaded events without group events.
+ * @param {Object|null} [groupingOptions] - Window grouping options, see DEFAULT_WINDOW_GROUPING_OPTIONS.
+ * @returns {Array<Object>} The group events.
+ */
+export function groupLoadedEvents(allEvents, groupingOptions = getWindowGroupingOptions()) {
+    return createGroupEvents(groupWindowWatcherEvents(allEvents, groupingOptions), 'aw-watcher-window-group')
+        .concat(createGroupEvents(groupWebWatcherEvents(allEvents, groupingOptions), 'aw-watcher-web-group'));
+}
+
+/**
+ * Turns event groups into pseudo-bucket events for the timeline.
+ * @param {Array<Object>} groups - Groups from groupWindowWatcherEvents or groupWebWatcherEvents.
+ * @param {string} bucket - The pseudo-bucket of the groups.
+ * @returns {Array<Object>} The group events.
+ */
+export function createGroupEvents(groups, bucket) {
+    return groups.map((group) => ({
+        id: group.id,
+        bucket: bucket,
+        timestamp: group.startTime,
+        duration: group.totalDuration,
+        data: {
+            app: group.app,
+            titleDurations: group.titleDurations,
+            events: group.events
+        }
+    }));
+}
+
+/**
+ * Default window grouping options; they reproduce the original grouping rules.
+ * @type {{gapTolerance: number, minGroupDuration: number, appAliases: Array<{alias: string, apps: Array<string>}>, dirtyGroups: boolean}}
+ * @property {number} gapTolerance - Other apps used for at most this many seconds do not break an app group (0 — any switch breaks it).
+ * @property {number} minGroupDuration - Groups shorter than this many seconds are not produced.
+ * @property {Array<{alias: string, apps: Array<string>}>} appAliases - Apps grouped under a common name (e.g. several terminals).
+ * @property {boolean} dirtyGroups - Whether the holes between app groups are grouped into mixed-app ("dirty") groups.
+ */
+export const DEFAULT_WINDOW_GROUPING_OPTIONS = {
+    gapTolerance: 0,
+    minGroupDuration: 0,
+    appAliases: [],
+    dirtyGroups: true,
+};
+
+/**
+ * Builds a lookup of app aliases by lowercased app name.
+ * @param {Array<{alias: string, apps: Array<string>}>} appAliases - The app aliases.
+ * @returns {Map<string, string>} Aliases by lowercased app name.
+ */
+function buildAppAliasLookup(appAliases) {
+    const lookup = new Map();
+    appAliases.forEach(({ alias, apps }) => apps.forEach(app => lookup.set(app.toLowerCase(), alias)));
+    return lookup;
+}
+
+/**
+ * Groups window watcher events into continuous app sequences, see groupEventSequences.
  * @param {Array<Object>} events - An array of all events.
+ * @param {Object|null} [options] - Grouping options, see DEFAULT_WINDOW_GROUPING_OPTIONS; missing options use the defaults.
  * @returns {Array<Object>} An array of grouped window watcher events.
  */
-export function groupWindowWatcherEvents(events) {
+export function groupWindowWatcherEvents(events, options = getWindowGroupingOptions()) {
     // Фильтруем события только для окон и сортируем по времени
     const windowEvents = events.filter(e => e.bucket.startsWith('aw-watcher-window')).sort((a, b) => a.timestamp - b.timestamp);
+    return groupEventSequences(windowEvents, event => event.data.app, options, 'group');
+}
+
+/**
+ * Groups browser watcher (aw-watcher-web) events into continuous domain sequences, see groupEventSequences.
+ * App aliases of the options apply to domains as well.
+ * @param {Array<Object>} events - An array of all events.
+ * @param {Object|null} [options] - Grouping options, see DEFAULT_WINDOW_GROUPING_OPTIONS; missing options use the defaults.
+ * @returns {Array<Object>} An array of grouped browser watcher events; the `app` of a group is its domain.
+ */
+export function groupWebWatcherEvents(events, options = getWindowGroupingOptions()) {
+    const webEvents = events
+        .filter(e => e.bucket.startsWith('aw-watcher-web') && !isGroupBucket(e.bucket))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    return groupEventSequences(webEvents, event => getDomain(event.data.url), options, 'web-group');
+}
+
+/**
+ * Groups events into continuous sequences of the same app (or any other key).
+ * Events are grouped by app, considering them continuous if the app doesn't change,
+ * regardless of time gaps. Overlapping events are handled by taking the longest one
+ * and logging a warning. With a gap tolerance, short switches to other apps do not break a group:
+ * the group spans over them, and the events of the switch are left out of all groups.
+ * @param {Array<Object>} windowEvents - The events to group, sorted by timestamp.
+ * @param {function(Object): string} getApp - Returns the app an event belongs to.
+ * @param {Object|null} options - Grouping options, see DEFAULT_WINDOW_GROUPING_OPTIONS; missing options use the defaults.
+ * @param {string} idPrefix - Prefix of the group IDs, keeps IDs of different kinds of groups apart.
+ * @returns {Array<Object>} An array of event groups.
+ */
+function groupEventSequences(windowEvents, getApp, options, idPrefix) {
+    const { gapTolerance, minGroupDuration, appAliases, dirtyGroups: produceDirtyGroups } = { ...DEFAULT_WINDOW_GROUPING_OPTIONS, ...options };
+    const aliasLookup = buildAppAliasLookup(appAliases);
+    const resolveApp = event => {
+        const app = getApp(event);
+        return aliasLookup.get(String(app).toLowerCase()) || app;
+    };
+    const gapToleranceMs = gapTolerance * 1000;
+
     const groups = [];
+    // Events of short switches that a group spans over, by the group
+    const bridgedEventsByGroup = new Map();
 
     if (windowEvents.length === 0) return groups;
 
-    // const eventCount = group.events.length;
-    // const uniqueApps = new Set(group.events.map(e => e.data.app)).size;
-    // const id = group.isDirty ? `${index}-${eventCount}-${uniqueApps}` : `${index}-${eventCount}`;
-
     // Инициализируем первую группу с первым событием
     let currentGroup = {
-        app: windowEvents[0].data.app,
+        app: resolveApp(windowEvents[0]),
         startTime: windowEvents[0].timestamp,
         totalDuration: windowEvents[0].duration,
         titleDurations: new Map([[normalizeTitle(windowEvents[0].data.title), windowEvents[0].duration]]),
@@ -124,18 +344,37 @@ export function groupWindowWatcherEvents(events) {
         endTime: new Date(windowEvents[0].timestamp.getTime() + windowEvents[0].duration * 1000)
     };
 
-    for (const event of windowEvents) {
+    for (const event of windowEvents.slice(1)) {
         // Вычисляем время начала и конца текущего события
+        const app = resolveApp(event);
         const eventStart = event.timestamp;
         const eventEnd = new Date(event.timestamp.getTime() + event.duration * 1000);
 
-        if (event.data.app === currentGroup.app) {
+        // A return to a recent app within the gap tolerance resumes its group
+        if (app !== currentGroup.app && gapToleranceMs > 0) {
+            let resumedIndex = -1;
+            for (let i = groups.length - 1; i >= 0 && eventStart - groups[i].endTime <= gapToleranceMs; i--) {
+                if (groups[i].app === app) {
+                    resumedIndex = i;
+                    break;
+                }
+            }
+            if (resumedIndex !== -1) {
+                const switchGroups = groups.splice(resumedIndex + 1).concat(currentGroup);
+                currentGroup = groups.pop();
+                const bridgedEvents = bridgedEventsByGroup.get(currentGroup) || [];
+                switchGroups.forEach(group => bridgedEvents.push(...group.events, ...(bridgedEventsByGroup.get(group) || [])));
+                bridgedEventsByGroup.set(currentGroup, bridgedEvents);
+            }
+        }
+
+        if (app === currentGroup.app) {
             // Проверяем пересечение с последним событием в группе
             const lastEvent = currentGroup.events[currentGroup.events.length - 1];
             if (lastEvent) {
                 const lastEnd = new Date(lastEvent.timestamp.getTime() + lastEvent.duration * 1000);
                 if (eventStart < lastEnd) {
-                    console.warn(`Overlapping window events for app ${event.data.app}: ${lastEvent.timestamp} - ${lastEnd} overlaps with ${eventStart} - ${eventEnd}`);
+                    console.warn(`Overlapping window events for app ${app}: ${lastEvent.timestamp} - ${lastEnd} overlaps with ${eventStart} - ${eventEnd}`);
                     // Берем более длительное событие
                     if (event.duration > lastEvent.duration) {
                         // Заменяем последнее событие
@@ -160,7 +399,7 @@ export function groupWindowWatcherEvents(events) {
             // Начинаем новую группу
             groups.push(currentGroup);
             currentGroup = {
-                app: event.data.app,
+                app: app,
                 startTime: event.timestamp,
                 totalDuration: event.duration,
                 titleDurations: new Map([[normalizeTitle(event.data.title), event.duration]]),
@@ -173,9 +412,12 @@ export function groupWindowWatcherEvents(events) {
     groups.push(currentGroup); // Добавляем последнюю группу
 
     // Фильтруем группы с более чем 1 событием
-    const cleanGroups = groups.filter(group => group.events.length > 1);
+    const cleanGroups = groups.filter(group => group.events.length > 1 && group.totalDuration >= minGroupDuration);
     const usedEvents = new Set();
-    cleanGroups.forEach(group => group.events.forEach(event => usedEvents.add(event)));
+    cleanGroups.forEach(group => {
+        group.events.forEach(event => usedEvents.add(event));
+        (bridgedEventsByGroup.get(group) || []).forEach(event => usedEvents.add(event));
+    });
     const notUsedInGrouping = windowEvents.filter(event => !usedEvents.has(event));
 
     // Вычисляем глобальный timeline
@@ -209,7 +451,7 @@ export function groupWindowWatcherEvents(events) {
 
     // Группируем грязные группы
     const dirtyGroups = [];
-    for (const hole of holes) {
+    for (const hole of produceDirtyGroups ? holes : []) {
         const holeEvents = notUsedInGrouping.filter(e => {
             const eStart = e.timestamp.getTime();
             const eEnd = eStart + e.duration * 1000;
@@ -257,30 +499,32 @@ export function groupWindowWatcherEvents(events) {
         // Вычисляем totalDuration от начала до конца
         currentDirty.totalDuration = (currentDirty.endTime.getTime() - currentDirty.startTime.getTime()) / 1000;
 
-        const uniqueApps = new Set(currentDirty.events.map(e => e.data.app)).size;
+        const uniqueApps = new Set(currentDirty.events.map(e => resolveApp(e))).size;
         currentDirty.uniqueApps = uniqueApps;
 
         // Устанавливаем app как составное имя с длительностями, отсортированное по убыванию
         const appDurations = new Map();
         currentDirty.events.forEach(e => {
-            const app = e.data.app;
+            const app = resolveApp(e);
             appDurations.set(app, (appDurations.get(app) || 0) + e.duration);
         });
         currentDirty.app = Array.from(appDurations.entries()).sort((a, b) => b[1] - a[1]).map(([app, dur]) => `${formatDuration(dur)} ${app.replace('.exe', '')}`).join('<br>');
 
         // Добавляем если >1 событие
-        if (currentDirty.events.length > 1) {
+        if (currentDirty.events.length > 1 && currentDirty.totalDuration >= minGroupDuration) {
             dirtyGroups.push(currentDirty);
         }
     }
 
+    // IDs depend on the group itself, not on its position, so regrouping only the latest events
+    // (see pollNewEvents in liveRefresh.js) keeps the IDs of the unchanged groups
     const allGroups = [...cleanGroups, ...dirtyGroups];
-    allGroups.forEach((group, idx) => {
-        const newNumber = idx + 1;
+    allGroups.forEach(group => {
+        const startTime = group.startTime.getTime();
         if (group.uniqueApps) {
-            group.id = `group-${newNumber}-${group.events.length}-${group.uniqueApps}`;
+            group.id = `${idPrefix}-${startTime}-${group.events.length}-${group.uniqueApps}`;
         } else {
-            group.id = `group-${newNumber}-${group.events.length}`;
+            group.id = `${idPrefix}-${startTime}-${group.events.length}`;
         }
     });
 
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Поиск неучтенного времени: периодов активности (AFK `not-afk`), которые не покрыты
+ * ни одним событием секундомера. Для каждого периода вычисляются основные приложения и заголовки окон
+ * и предлагается название задачи. Модуль не обращается к DOM и выполняется в фоновом потоке (см. processingTasks.js).
+ * @module gapDetection
+ */
+
+import { normalizeTitle, mergeIntervals, subtractIntervals, isGroupBucket } from './utils.js';
+
+const TOP_ENTRIES_COUNT = 3;
+
+/**
+ * Период неучтенного времени.
+ * @typedef {Object} UntrackedGap
+ * @property {Date} start - Начало периода.
+ * @property {Date} end - Конец периода.
+ * @property {number} duration - Длительность в секундах.
+ * @property {Array<{name: string, duration: number}>} apps - Основные приложения периода (по убыванию времени).
+ * @property {Array<{name: string, duration: number}>} titles - Основные заголовки окон периода (по убыванию времени).
+ * @property {string} suggestedLabel - Предлагаемое название задачи (пустая строка, если предложить нечего).
+ */
+
+/**
+ * Возвращает конец события в миллисекундах; запущенное событие длится до текущего момента.
+ * @param {Object} event - Событие.
+ * @param {number} now - Текущее время в миллисекундах.
+ * @returns {number} Конец события.
+ */
+function getEventEnd(event, now) {
+    const end = event.timestamp.getTime() + event.duration * 1000;
+    return event.data.running === true ? Math.max(end, now) : end;
+}
+
+/**
+ * Возвращает записи с наибольшим временем.
+ * @param {Map<string, number>} durations - Время в секундах по названию.
+ * @returns {Array<{name: string, duration: number}>} Записи по убыванию времени.
+ */
+function topEntries(durations) {
+    return Array.from(durations.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_ENTRIES_COUNT)
+        .map(([name, duration]) => ({ name, duration }));
+}
+
+/**
+ * Добавляет время к счетчику по ключу во вложенной карте.
+ * @param {Map<string, Map<string, number>>} map - Карта счетчиков.
+ * @param {string} key - Внешний ключ.
+ * @param {string} innerKey - Внутренний ключ.
+ * @param {number} duration - Добавляемое время.
+ */
+function addDuration(map, key, innerKey, duration) {
+    if (!map.has(key)) map.set(key, new Map());
+    const inner = map.get(key);
+    inner.set(innerKey, (inner.get(innerKey) || 0) + duration);
+}
+
+/**
+ * Собирает, под какими названиями задач пользователь работал в каждом приложении и окне:
+ * событие окна относится к событию секундомера, которое покрывает его середину.
+ * @param {Array<Object>} windowEvents - События окон, отсортированные по началу.
+ * @param {Array<Object>} stopwatchEvents - События секундомера, отсортированные по началу.
+ * @param {number} now - Текущее время в миллисекундах.
+ * @returns {{byTitle: Map<string, Map<string, number>>, byApp: Map<string, Map<string, number>>}} Время по названию задачи
+ * для каждого заголовка и приложения.
+ */
+export function collectLabelHistory(windowEvents, stopwatchEvents, now) {
+    const byTitle = new Map();
+    const byApp = new Map();
+    const starts = stopwatchEvents.map(event => event.timestamp.getTime());
+
+    windowEvents.forEach(event => {
+        const middle = event.timestamp.getTime() + event.duration * 500;
+        // The last stopwatch event that started before the middle
+        let low = 0;
+        let high = starts.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (starts[mid] <= middle) low = mid + 1; else high = mid;
+        }
+        const stopwatchEvent = stopwatchEvents[low - 1];
+        if (!stopwatchEvent || getEventEnd(stopwatchEvent, now) <= middle || !stopwatchEvent.data.label) return;
+
+        const title = normalizeTitle(event.data.title || '');
+        if (title) {
+            addDuration(byTitle, title, stopwatchEvent.data.label, event.duration);
+        }
+        addDuration(byApp, event.data.app, stopwatchEvent.data.label, event.duration);
+    });
+    return { byTitle, byApp };
+}
+
+/**
+ * Предлагает название задачи для периода: задачу, под которой чаще всего работали с основным окном
+ * или приложением периода, иначе — заголовок основного окна.
+ * @param {Array<{name: string}>} titles - Основные заголовки периода.
+ * @param {Array<{name: string}>} apps - Основные приложения периода.
+ * @param {{byTitle: Map<string, Map<string, number>>, byApp: Map<string, Map<string, number>>}} labelHistory - См. `collectLabelHistory`.
+ * @returns {string} Предлагаемое название.
+ */
+function suggestLabel(titles, apps, labelHistory) {
+    const candidates = (titles.length > 0 ? labelHistory.byTitle.get(titles[0].name) : null)
+        || (apps.length > 0 ? labelHistory.byApp.get(apps[0].name) : null);
+    if (candidates) {
+        return topEntries(candidates)[0].name;
+    }
+    return titles.length > 0 ? titles[0].name : '';
+}
+
+/**
+ * Находит периоды активности, не покрытые событиями секундомера.
+ * @param {Array<Object>} events - Загруженные события (AFK, секундомер, окна).
+ * @param {Array<string>} afkBucketIds - ID "корзин" AFK-событий; активность любого устройства считается активностью.
+ * @param {number} minDuration - Минимальная длительность периода в секундах.
+ * @param {number} [now=Date.now()] - Текущее время в миллисекундах (до него длятся запущенные события).
+ * @returns {Array<UntrackedGap>} Периоды по возрастанию времени начала.
+ */
+export function findUntrackedGaps(events, afkBucketIds, minDuration, now = Date.now()) {
+    const activeIntervals = mergeIntervals(events
+        .filter(event => afkBucketIds.includes(event.bucket) && event.data.status === 'not-afk')
+        .map(event => [event.timestamp.getTime(), getEventEnd(event, now)]));
+    const stopwatchEvents = events
+        .filter(event => event.bucket.startsWith('aw-stopwatch'))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const trackedIntervals = mergeIntervals(stopwatchEvents.map(event => [event.timestamp.getTime(), getEventEnd(event, now)]));
+
+    const gapIntervals = subtractIntervals(activeIntervals, trackedIntervals)
+        .filter(([start, end]) => end - start >= minDuration * 1000);
+    if (gapIntervals.length === 0) return [];
+
+    const windowEvents = events
+        .filter(event => event.bucket.startsWith('aw-watcher-window') && !isGroupBucket(event.bucket))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const windowStarts = windowEvents.map(event => event.timestamp.getTime());
+    const maxWindowDuration = windowEvents.reduce((max, event) => Math.max(max, event.duration * 1000), 0);
+    const labelHistory = collectLabelHistory(windowEvents, stopwatchEvents, now);
+
+    return gapIntervals.map(([start, end]) => {
+        const appDurations = new Map();
+        const titleDurations = new Map();
+
+        // Window events overlapping the gap start at most maxWindowDuration before it
+        let index = 0;
+        let high = windowStarts.length;
+        while (index < high) {
+            const mid = (index + high) >> 1;
+            if (windowStarts[mid] < start - maxWindowDuration) index = mid + 1; else high = mid;
+        }
+        for (; index < windowEvents.length && windowStarts[index] < end; index++) {
+            const event = windowEvents[index];
+            const overlap = (Math.min(end, windowStarts[index] + event.duration * 1000) - Math.max(start, windowStarts[index])) / 1000;
+            if (overlap <= 0) continue;
+            appDurations.set(event.data.app, (appDurations.get(event.data.app) || 0) + overlap);
+            const title = normalizeTitle(event.data.title || '');
+            if (title) {
+                titleDurations.set(title, (titleDurations.get(title) || 0) + overlap);
+            }
+        }
+
+        const apps = topEntries(appDurations);
+        const titles = topEntries(titleDurations);
+        return {
+            start: new Date(start),
+            end: new Date(end),
+            duration: (end - start) / 1000,
+            apps,
+            titles,
+            suggestedLabel: suggestLabel(titles, apps, labelHistory),
+        };
+    });
+}
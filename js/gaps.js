@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Панель неучтенного времени: периоды активности без запущенного секундомера,
+ * с основными приложениями и заголовками окон и кнопкой, которая открывает панель редактирования
+ * с новым событием секундомера на весь период.
+ * @module gaps
+ */
+
+import { getAllEventsData, getAfkBucketIds, getVisibleBuckets, getBucketHosts, subscribe } from './state.js';
+import { fetchCachedEvents } from './eventCache.js';
+import { runProcessingTask, isProcessingCancelled } from './processing.js';
+import { openNewEventInEditPanel } from './eventForm.js';
+import { zoomToRange } from './timelineInteraction.js';
+import { setSyncedSetting } from './settingsSync.js';
+import { showNotification } from './notification.js';
+import { formatDateTime, formatDuration, isGroupBucket } from './utils.js';
+
+const GAP_THRESHOLD_STORAGE_KEY = "untrackedGapThreshold";
+const DEFAULT_GAP_THRESHOLD_MINUTES = 15;
+
+const OPEN_GAPS_BUTTON_SELECTOR = "#open-gaps-button";
+const GAP_THRESHOLD_INPUT_SELECTOR = "#gap-threshold-input";
+const GAPS_LIST_SELECTOR = "#gaps-list";
+
+/**
+ * Возвращает минимальную длительность показываемого периода.
+ * @returns {number} Порог в минутах.
+ */
+function getGapThreshold() {
+    const threshold = Number(localStorage.getItem(GAP_THRESHOLD_STORAGE_KEY));
+    return localStorage.getItem(GAP_THRESHOLD_STORAGE_KEY) !== null && Number.isFinite(threshold) && threshold >= 0
+        ? threshold
+        : DEFAULT_GAP_THRESHOLD_MINUTES;
+}
+
+/**
+ * Описывает основные приложения или заголовки периода.
+ * @param {Array<{name: string, duration: number}>} entries - Записи с временем.
+ * @returns {string} Записи через запятую.
+ */
+function describeEntries(entries) {
+    return entries.map(({ name, duration }) => `${name} ${formatDuration(duration, false)}`).join(', ');
+}
+
+/**
+ * Рендерит один период неучтенного времени.
+ * @param {d3.Selection} list - D3-выборка списка.
+ * @param {import('./gapDetection.js').UntrackedGap} gap - Период.
+ */
+function renderGapItem(list, gap) {
+    const item = list.append("div").attr("class", "gap-item");
+    const header = item.append("div").attr("class", "gap-header");
+    header.append("span")
+        .attr("class", "gap-time")
+        .text(`${formatDateTime(gap.start)} – ${formatDateTime(gap.end)}`);
+    header.append("span").attr("class", "duration").text(formatDuration(gap.duration, false));
+
+    if (gap.apps.length > 0) {
+        item.append("div").attr("class", "ligth-font").text(`Apps: ${describeEntries(gap.apps)}`);
+    }
+    if (gap.titles.length > 0) {
+        item.append("div").attr("class", "ligth-font gap-titles").text(`Windows: ${describeEntries(gap.titles)}`);
+    }
+
+    const buttons = item.append("div").attr("class", "gap-buttons");
+    buttons.append("button")
+        .attr("type", "button")
+        .text("Show")
+        .on("click", () => zoomToRange(gap.start, gap.end));
+    buttons.append("button")
+        .attr("type", "button")
+        .attr("class", "save")
+        .attr("title", gap.suggestedLabel ? `Suggested label: ${gap.suggestedLabel}` : null)
+        .text("Create entry")
+        .on("click", () => openNewEventInEditPanel({
+            id: null,
+            bucket: "aw-stopwatch",
+            timestamp: gap.start,
+            duration: gap.duration,
+            data: {
+                running: false,
+                label: gap.suggestedLabel,
+            },
+        }));
+}
+
+/**
+ * Догружает события секундомера и AFK из скрытых на таймлайне "корзин" за период загруженных событий:
+ * без событий секундомера любое время активности выглядело бы неучтенным.
+ * @param {Array<Object>} events - Загруженные события.
+ * @returns {Promise<Array<Object>>} Загруженные события вместе с догруженными.
+ */
+async function loadHiddenTrackingEvents(events) {
+    const visibleBuckets = getVisibleBuckets();
+    const afkBucketIds = getAfkBucketIds();
+    const hiddenBuckets = Object.keys(getBucketHosts())
+        .filter(bucketId => (bucketId.startsWith('aw-stopwatch') || afkBucketIds.includes(bucketId)) && !visibleBuckets.includes(bucketId));
+    if (hiddenBuckets.length === 0) return events;
+
+    const start = events.reduce((earliest, event) => !earliest || event.timestamp < earliest ? event.timestamp : earliest, null);
+    const results = await Promise.all(hiddenBuckets.map(bucketId => fetchCachedEvents(bucketId, start || undefined)));
+    const truncatedBuckets = hiddenBuckets.filter((bucketId, index) => !results[index].complete);
+    if (truncatedBuckets.length > 0) {
+        showNotification(`Data is incomplete for: ${truncatedBuckets.join(', ')}`, 5000);
+    }
+    return events.concat(results.flatMap(result => result.events));
+}
+
+/**
+ * Ищет периоды неучтенного времени в загруженных событиях и рендерит их, начиная с новых.
+ * События секундомера и AFK учитываются, даже если их дорожки скрыты.
+ * @returns {Promise<void>}
+ */
+export async function renderGaps() {
+    const list = window.d3.select(GAPS_LIST_SELECTOR);
+    if (list.empty()) return;
+    if (getAfkBucketIds().length === 0) {
+        list.html("");
+        list.append("p").attr("class", "ligth-font").text("Untracked time is found from AFK events, but there is no AFK bucket.");
+        return;
+    }
+
+    // Groups are derived from the window and browser events, copying them to the worker is not needed
+    const loadedEvents = getAllEventsData().filter(event => !isGroupBucket(event.bucket));
+    let gaps;
+    try {
+        const events = await loadHiddenTrackingEvents(loadedEvents);
+        gaps = await runProcessingTask('gaps', 'untrackedGaps', {
+            events,
+            afkBucketIds: getAfkBucketIds(),
+            minDuration: getGapThreshold() * 60,
+        }, "Looking for untracked time");
+    } catch (error) {
+        if (isProcessingCancelled(error)) return;
+        console.error("Failed to find untracked time:", error);
+        showNotification(`Failed to find untracked time: ${error.message}`, 5000);
+        return;
+    }
+
+    list.html("");
+    if (gaps.length === 0) {
+        list.append("p").attr("class", "ligth-font").text("No untracked time in the loaded events.");
+        return;
+    }
+
+    const totalDuration = gaps.reduce((sum, gap) => sum + gap.duration, 0);
+    list.append("p")
+        .attr("class", "ligth-font")
+        .text(`${gaps.length} untracked period${gaps.length === 1 ? '' : 's'}, ${formatDuration(totalDuration, false)} in total.`);
+    gaps.reverse().forEach(gap => renderGapItem(list, gap));
+}
+
+/**
+ * Устанавливает панель неучтенного времени.
+ * @param {d3.Selection} panel - D3-выборка панели.
+ */
+export function setupGapsPanel(panel) {
+    window.d3.select(OPEN_GAPS_BUTTON_SELECTOR).on("click", () => {
+        if (panel.style("display") !== "none") {
+            panel.style("display", "none");
+            return;
+        }
+        panel.style("display", "block");
+        renderGaps();
+    });
+
+    const thresholdInput = window.d3.select(GAP_THRESHOLD_INPUT_SELECTOR);
+    thresholdInput.property("value", getGapThreshold());
+    thresholdInput.on("change", () => {
+        const threshold = Number(thresholdInput.property("value"));
+        if (!Number.isFinite(threshold) || threshold < 0) {
+            showNotification("The threshold must be a non-negative number of minutes.");
+            thresholdInput.property("value", getGapThreshold());
+            return;
+        }
+        setSyncedSetting(GAP_THRESHOLD_STORAGE_KEY, String(threshold));
+        renderGaps();
+    });
+
+    // An entry created from a gap reloads the events, so the gap disappears from the list
+    subscribe('events', (changedSlices, eventsChange) => {
+        if (eventsChange === 'extend' || panel.style("display") === "none") return;
+        renderGaps();
+    });
+}
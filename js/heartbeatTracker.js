@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Модуль учета задач через heartbeat-запросы. В этом режиме активная задача не хранится
+ * как событие с `running: true`, а продлевается периодическими heartbeat-запросами, пока открыт интерфейс.
+ * Поэтому записанная длительность отражает время, когда интерфейс действительно работал,
+ * а после сбоя задачу можно закрыть на последнем heartbeat-запросе.
+ * @module heartbeatTracker
+ */
+
+import { sendHeartbeat } from './api.js';
+import { showNotification } from './notification.js';
+import { formatDateTime } from './utils.js';
+import { setSyncedSetting } from './settingsSync.js';
+
+const TRACKING_MODE_STORAGE_KEY = "trackingMode";
+const ACTIVE_TASK_STORAGE_KEY = "activeHeartbeatTask";
+const HEARTBEAT_BUCKET = "aw-stopwatch";
+const HEARTBEAT_INTERVAL_MS = 30000;
+// Background tabs may throttle timers to once a minute, so the merge window leaves room for that
+const PULSETIME_SECONDS = 120;
+
+const TRACKING_MODE_SELECT_SELECTOR = "#tracking-mode-select";
+const HEARTBEAT_STATUS_SELECTOR = "#heartbeat-status";
+const HEARTBEAT_LABEL_SELECTOR = "#heartbeat-task-label";
+const HEARTBEAT_STOP_BUTTON_SELECTOR = "#heartbeat-stop-button";
+
+let heartbeatIntervalId = null;
+let onTaskChanged = async () => {};
+
+/**
+ * Активная задача.
+ * @typedef {Object} HeartbeatTask
+ * @property {string} bucket - ID "корзины".
+ * @property {string} label - Название задачи.
+ * @property {string} startedAt - Время запуска (ISO).
+ * @property {string|null} lastHeartbeatAt - Время последнего успешного heartbeat-запроса (ISO).
+ */
+
+/**
+ * Возвращает режим учета задач.
+ * @returns {'stopwatch'|'heartbeat'} 'stopwatch' — событие с `running: true`, 'heartbeat' — периодические heartbeat-запросы.
+ */
+export function getTrackingMode() {
+    return localStorage.getItem(TRACKING_MODE_STORAGE_KEY) === 'heartbeat' ? 'heartbeat' : 'stopwatch';
+}
+
+/**
+ * Возвращает активную задачу из локального хранилища.
+ * @returns {HeartbeatTask|null} Активная задача или null.
+ */
+export function getActiveTask() {
+    const taskString = localStorage.getItem(ACTIVE_TASK_STORAGE_KEY);
+    if (!taskString) return null;
+    try {
+        return JSON.parse(taskString);
+    } catch (e) {
+        console.error("Failed to parse the active heartbeat task from localStorage, resetting.", e);
+        localStorage.removeItem(ACTIVE_TASK_STORAGE_KEY);
+        return null;
+    }
+}
+
+/**
+ * Сохраняет активную задачу (null удаляет ее) и обновляет строку состояния.
+ * @param {HeartbeatTask|null} task - Активная задача.
+ */
+function saveActiveTask(task) {
+    if (task) {
+        localStorage.setItem(ACTIVE_TASK_STORAGE_KEY, JSON.stringify(task));
+    } else {
+        localStorage.removeItem(ACTIVE_TASK_STORAGE_KEY);
+    }
+    renderHeartbeatStatus();
+}
+
+/**
+ * Отправляет heartbeat-запрос для активной задачи. Ошибки только логируются:
+ * если сервер недоступен дольше PULSETIME_SECONDS, задача продолжится новым событием.
+ * @returns {Promise<boolean>} true, если запрос успешен.
+ */
+async function pulse() {
+    const task = getActiveTask();
+    if (!task) return false;
+
+    const now = new Date();
+    try {
+        await sendHeartbeat(task.bucket, {
+            timestamp: now.toISOString(),
+            duration: 0,
+            data: { label: task.label },
+        }, PULSETIME_SECONDS);
+    } catch (error) {
+        console.warn(`Heartbeat for "${task.label}" failed:`, error);
+        return false;
+    }
+    // The task may have been stopped while the request was in flight
+    if (getActiveTask()) {
+        saveActiveTask({ ...task, lastHeartbeatAt: now.toISOString() });
+    }
+    return true;
+}
+
+/**
+ * Запускает периодические heartbeat-запросы.
+ */
+function startPulsing() {
+    clearInterval(heartbeatIntervalId);
+    heartbeatIntervalId = setInterval(pulse, HEARTBEAT_INTERVAL_MS);
+}
+
+/**
+ * Запускает новую задачу; предыдущая активная задача при этом останавливается.
+ * @param {string} label - Название задачи.
+ * @returns {Promise<void>}
+ */
+export async function startHeartbeatTask(label) {
+    if (getActiveTask()) {
+        await stopHeartbeatTask();
+    }
+    saveActiveTask({ bucket: HEARTBEAT_BUCKET, label: label, startedAt: new Date().toISOString(), lastHeartbeatAt: null });
+    if (!await pulse()) {
+        showNotification(`Task "${label}" started, but the server did not record it yet. Retrying every ${HEARTBEAT_INTERVAL_MS / 1000} s.`, 5000);
+    } else {
+        showNotification(`Task "${label}" started.`);
+    }
+    startPulsing();
+    await onTaskChanged();
+}
+
+/**
+ * Останавливает активную задачу последним heartbeat-запросом.
+ * @returns {Promise<void>}
+ */
+export async function stopHeartbeatTask() {
+    const task = getActiveTask();
+    if (!task) return;
+
+    clearInterval(heartbeatIntervalId);
+    heartbeatIntervalId = null;
+    await pulse();
+    saveActiveTask(null);
+    showNotification(`Task "${task.label}" stopped.`);
+    await onTaskChanged();
+}
+
+/**
+ * Обновляет строку состояния активной задачи.
+ */
+function renderHeartbeatStatus() {
+    const status = window.d3.select(HEARTBEAT_STATUS_SELECTOR);
+    if (status.empty()) return;
+
+    const task = getActiveTask();
+    status.style("display", task ? null : "none");
+    if (!task) return;
+
+    const lastHeartbeat = task.lastHeartbeatAt ? formatDateTime(new Date(task.lastHeartbeatAt)) : "not recorded yet";
+    window.d3.select(HEARTBEAT_LABEL_SELECTOR)
+        .text(`Tracking "${task.label}" since ${formatDateTime(new Date(task.startedAt))}`)
+        .attr("title", `Last heartbeat: ${lastHeartbeat}`);
+}
+
+/**
+ * Предлагает закрыть задачу, оставшуюся активной после закрытия или сбоя страницы.
+ * Событие на сервере уже заканчивается на последнем heartbeat-запросе, поэтому закрытие — это только
+ * удаление локальной задачи; при продолжении время простоя не учитывается, задача продолжится новым событием.
+ * @param {HeartbeatTask} task - Оставшаяся активной задача.
+ * @returns {Promise<void>}
+ */
+async function recoverActiveTask(task) {
+    const lastHeartbeat = task.lastHeartbeatAt ? formatDateTime(new Date(task.lastHeartbeatAt)) : "never";
+    const closeTask = confirm(`Task "${task.label}" was still active when the page was closed.\nLast heartbeat: ${lastHeartbeat}.\n\nOK — close the task at its last heartbeat.\nCancel — continue tracking it from now.`);
+    if (closeTask) {
+        saveActiveTask(null);
+        showNotification(`Task "${task.label}" closed at ${lastHeartbeat}.`);
+        return;
+    }
+    await pulse();
+    startPulsing();
+}
+
+/**
+ * Устанавливает выбор режима учета, строку состояния активной задачи и восстановление после сбоя.
+ * Восстановление предлагается, только если heartbeat-запросов не было дольше двух интервалов.
+ * @param {function(): Promise<void>} onChanged - Функция обратного вызова для перерисовки таймлайна после запуска или остановки задачи.
+ * @returns {Promise<void>}
+ */
+export async function setupHeartbeatTracker(onChanged) {
+    onTaskChanged = onChanged;
+
+    const modeSelect = window.d3.select(TRACKING_MODE_SELECT_SELECTOR);
+    modeSelect.property("value", getTrackingMode());
+    modeSelect.on("change", () => {
+        setSyncedSetting(TRACKING_MODE_STORAGE_KEY, modeSelect.property("value"));
+    });
+
+    window.d3.select(HEARTBEAT_STOP_BUTTON_SELECTOR).on("click", () => stopHeartbeatTask());
+
+    renderHeartbeatStatus();
+
+    // A running interval means this is a re-initialization (e.g. after switching servers), not a crash
+    const task = getActiveTask();
+    if (!task || heartbeatIntervalId) return;
+    // A recent heartbeat comes from another open tab or from a page that was just reloaded:
+    // the server still merges the next heartbeat into the same event, so tracking simply goes on
+    const lastAliveAt = new Date(task.lastHeartbeatAt || task.startedAt).getTime();
+    if (Date.now() - lastAliveAt < 2 * HEARTBEAT_INTERVAL_MS) {
+        startPulsing();
+        return;
+    }
+    await recoverActiveTask(task);
+}
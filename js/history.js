@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Модуль истории изменений событий: каждая транзакция, примененная через api.js,
+ * записывается вместе с результатами сервера, чтобы ее можно было отменить обратными операциями
+ * и повторить снова (Ctrl+Z / Ctrl+Shift+Z, кнопка "Undo" в уведомлении, панель истории).
+ * @module history
+ */
+
+import { addEventTransactionListener, runEventTransaction, invertEventOperation, getApiBaseUrl } from './api.js';
+import { showNotification } from './notification.js';
+import { formatDateTime } from './utils.js';
+
+const MAX_HISTORY_ENTRIES = 50;
+const UNDO_NOTIFICATION_DURATION_MS = 8000;
+
+const OPEN_HISTORY_BUTTON_SELECTOR = "#open-history-button";
+const HISTORY_LIST_SELECTOR = "#history-list";
+const UNDO_BUTTON_SELECTOR = "#history-undo-button";
+const REDO_BUTTON_SELECTOR = "#history-redo-button";
+
+/**
+ * Запись истории.
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - ID записи.
+ * @property {string} server - URL сервера, на котором выполнено изменение.
+ * @property {string} description - Описание изменения.
+ * @property {Date} at - Время изменения.
+ * @property {Array<{operation: import('./api.js').EventOperation, result: (Object|null)}>} applied - Операции,
+ * примененные последними (исходные или, после отмены, обратные), с результатами сервера.
+ * @property {boolean} undone - Отменено ли изменение.
+ */
+
+/** @type {Array<HistoryEntry>} */
+let undoStack = [];
+/** @type {Array<HistoryEntry>} */
+let redoStack = [];
+let nextEntryId = 1;
+let isBusy = false;
+let onHistoryChanged = async () => {};
+
+/**
+ * Описывает транзакцию по ее операциям.
+ * @param {Array<import('./api.js').EventOperation>} operations - Операции транзакции.
+ * @returns {string} Описание для списка истории.
+ */
+function describeOperations(operations) {
+    const first = operations[0];
+    const eventOf = operation => operation.event || operation.previous;
+    const label = eventOf(first).data.label || eventOf(first).data.title || eventOf(first).data.status || 'untitled';
+
+    if (operations.length === 2 && first.type === 'replace' && operations[1].type === 'create') {
+        return `Split "${label}"`;
+    }
+    if (operations.length > 1) {
+        return `${operations.length} changes`;
+    }
+    if (first.type === 'create') return `Create "${label}"`;
+    if (first.type === 'delete') return `Delete "${label}"`;
+    if (first.previous && first.previous.data.running === true && first.event.data.running !== true) {
+        return `Stop "${label}"`;
+    }
+    return `Edit "${label}"`;
+}
+
+/**
+ * Возвращает операции, отменяющие примененные, в обратном порядке.
+ * @param {Array<{operation: import('./api.js').EventOperation, result: (Object|null)}>} applied - Примененные операции.
+ * @returns {Array<import('./api.js').EventOperation>|null} Обратные операции или null, если изменение нельзя отменить.
+ */
+function invertApplied(applied) {
+    const inverse = [...applied].reverse().map(({ operation, result }) => invertEventOperation(operation, result));
+    return inverse.includes(null) ? null : inverse;
+}
+
+/**
+ * Записывает транзакцию в историю; новая транзакция очищает список для повтора.
+ * @param {Array<{operation: import('./api.js').EventOperation, result: (Object|null)}>} applied - Примененные операции.
+ */
+function recordTransaction(applied) {
+    if (applied.length === 0) return;
+    undoStack.push({
+        id: nextEntryId++,
+        server: getApiBaseUrl(),
+        description: describeOperations(applied.map(({ operation }) => operation)),
+        at: new Date(),
+        applied: applied,
+        undone: false,
+    });
+    if (undoStack.length > MAX_HISTORY_ENTRIES) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    renderHistoryList();
+}
+
+addEventTransactionListener(recordTransaction);
+
+/**
+ * Применяет операции, обратные последним примененным операциям записи, и переносит запись в другой стек.
+ * @param {Array<HistoryEntry>} fromStack - Стек, из которого берется запись.
+ * @param {Array<HistoryEntry>} toStack - Стек, в который запись переносится после успешного применения.
+ * @param {'Undo'|'Redo'} actionName - Название действия для уведомлений.
+ * @returns {Promise<boolean>} true, если действие выполнено.
+ */
+async function replayTopEntry(fromStack, toStack, actionName) {
+    if (isBusy) return false;
+    const server = getApiBaseUrl();
+    const entry = fromStack[fromStack.length - 1];
+    if (!entry || entry.server !== server) {
+        showNotification(`Nothing to ${actionName.toLowerCase()}.`);
+        return false;
+    }
+
+    const operations = invertApplied(entry.applied);
+    if (!operations) {
+        showNotification(`"${entry.description}" cannot be ${actionName === 'Undo' ? 'undone' : 'redone'}: the server did not return the created event.`, 5000);
+        return false;
+    }
+
+    isBusy = true;
+    try {
+        entry.applied = await runEventTransaction(operations, { record: false });
+    } catch (error) {
+        console.error(`${actionName} of "${entry.description}" failed:`, error);
+        showNotification(`${actionName} failed: ${error.message}`, 5000);
+        return false;
+    } finally {
+        isBusy = false;
+    }
+
+    fromStack.pop();
+    entry.undone = actionName === 'Undo';
+    toStack.push(entry);
+    renderHistoryList();
+    showNotification(`${actionName}: ${entry.description}`);
+    await onHistoryChanged();
+    return true;
+}
+
+/**
+ * Отменяет последнее изменение.
+ * @returns {Promise<boolean>} true, если изменение отменено.
+ */
+export function undo() {
+    return replayTopEntry(undoStack, redoStack, 'Undo');
+}
+
+/**
+ * Повторяет последнее отмененное изменение.
+ * @returns {Promise<boolean>} true, если изменение повторено.
+ */
+export function redo() {
+    return replayTopEntry(redoStack, undoStack, 'Redo');
+}
+
+/**
+ * Показывает уведомление об успешном изменении с кнопкой "Undo" для только что записанного изменения.
+ * Если к моменту щелчка появились более новые изменения, отменить это изменение отдельно нельзя.
+ * @param {string} message - Текст уведомления.
+ */
+export function showUndoableNotification(message) {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) {
+        showNotification(message);
+        return;
+    }
+    showNotification(message, UNDO_NOTIFICATION_DURATION_MS, {
+        label: "Undo",
+        onClick: () => {
+            if (undoStack[undoStack.length - 1] !== entry) {
+                showNotification("Newer changes were made since then, undo them first in the History panel.", 5000);
+                return;
+            }
+            undo();
+        },
+    });
+}
+
+/**
+ * Рендерит список истории (новые изменения сверху) и состояние кнопок отмены и повтора.
+ */
+function renderHistoryList() {
+    const list = window.d3.select(HISTORY_LIST_SELECTOR);
+    if (list.empty()) return;
+
+    const server = getApiBaseUrl();
+    const canUndo = undoStack.length > 0 && undoStack[undoStack.length - 1].server === server;
+    const canRedo = redoStack.length > 0 && redoStack[redoStack.length - 1].server === server;
+    window.d3.select(UNDO_BUTTON_SELECTOR).property("disabled", !canUndo);
+    window.d3.select(REDO_BUTTON_SELECTOR).property("disabled", !canRedo);
+
+    // Changes are undone newest first, so the redo stack already lists them from newest to oldest
+    const entries = redoStack.concat([...undoStack].reverse()).filter(entry => entry.server === server);
+    list.html("");
+    if (entries.length === 0) {
+        list.append("p").attr("class", "ligth-font").text("No changes in this session yet.");
+        return;
+    }
+
+    const items = list.append("ul").attr("class", "history-list");
+    entries.forEach(entry => {
+        const item = items.append("li").classed("undone", entry.undone);
+        item.append("span").attr("class", "ligth-font").text(formatDateTime(entry.at));
+        item.append("span").text(entry.description);
+        if (entry.undone) {
+            item.append("span").attr("class", "ligth-font").text("(undone)");
+        }
+    });
+}
+
+/**
+ * Проверяет, вводит ли пользователь текст: тогда Ctrl+Z остается стандартной отменой ввода.
+ * @param {EventTarget} target - Элемент, получивший событие клавиатуры.
+ * @returns {boolean} true для полей ввода.
+ */
+function isTextInput(target) {
+    return target instanceof HTMLElement
+        && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+}
+
+/**
+ * Обрабатывает сочетания клавиш отмены (Ctrl+Z) и повтора (Ctrl+Shift+Z, Ctrl+Y).
+ * @param {KeyboardEvent} event - Событие клавиатуры.
+ */
+function handleHistoryKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextInput(event.target)) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+    }
+}
+
+/**
+ * Устанавливает панель истории и сочетания клавиш отмены и повтора.
+ * @param {d3.Selection} panel - D3-выборка панели истории.
+ * @param {function(): Promise<void>} onChanged - Функция обратного вызова для перезагрузки событий после отмены или повтора.
+ */
+export function setupHistoryPanel(panel, onChanged) {
+    onHistoryChanged = onChanged;
+
+    window.d3.select(OPEN_HISTORY_BUTTON_SELECTOR).on("click", () => {
+        renderHistoryList();
+        panel.style("display", panel.style("display") === "none" ? "block" : "none");
+    });
+    window.d3.select(UNDO_BUTTON_SELECTOR).on("click", () => undo());
+    window.d3.select(REDO_BUTTON_SELECTOR).on("click", () => redo());
+
+    document.addEventListener("keydown", handleHistoryKeydown);
+    renderHistoryList();
+}
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Ранжирование названий задач для автодополнения: по давности и частоте использования
+ * и по тому, работали ли под этим названием с приложениями и окнами, активными сейчас,
+ * или связано ли оно с проектом редактора, открытым сейчас (см. editorProjects.js).
+ * Названия, отличающиеся только регистром, считаются одной задачей. Модуль не обращается к DOM;
+ * профиль названий строится в фоновом потоке (см. processingTasks.js).
+ * @module labelRanking
+ */
+
+import { collectLabelHistory } from './gapDetection.js';
+import { normalizeTitle, isEditorBucket, isGroupBucket } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENCY_HALF_LIFE_DAYS = 7;
+const CONTEXT_WEIGHT = 2;
+const PREFIX_MATCH_BONUS = 0.5;
+
+/**
+ * Название задачи из истории.
+ * @typedef {Object} LabelStats
+ * @property {string} key - Название в нижнем регистре, по которому объединяются варианты написания.
+ * @property {string} label - Самый частый вариант написания.
+ * @property {number} count - Число сессий секундомера с этим названием.
+ * @property {number} lastUsed - Начало последней сессии в миллисекундах.
+ */
+
+/**
+ * Профиль названий задач.
+ * @typedef {Object} LabelProfile
+ * @property {Array<LabelStats>} labels - Названия задач.
+ * @property {Map<string, Map<string, number>>} byTitle - Время по ключу названия для каждого заголовка окна.
+ * @property {Map<string, Map<string, number>>} byApp - Время по ключу названия для каждого приложения.
+ */
+
+/**
+ * Переводит время по названиям задач во время по ключам названий.
+ * @param {Map<string, Map<string, number>>} history - Время по названию задачи для каждого заголовка или приложения.
+ * @returns {Map<string, Map<string, number>>} Время по ключу названия.
+ */
+function keyByLabel(history) {
+    const result = new Map();
+    history.forEach((durations, name) => {
+        const keyed = new Map();
+        durations.forEach((duration, label) => {
+            const key = label.toLowerCase();
+            keyed.set(key, (keyed.get(key) || 0) + duration);
+        });
+        result.set(name, keyed);
+    });
+    return result;
+}
+
+/**
+ * Строит профиль названий задач по событиям секундомера и окон.
+ * @param {Array<Object>} events - События секундомера и окон.
+ * @param {number} [now=Date.now()] - Текущее время в миллисекундах.
+ * @returns {LabelProfile} Профиль названий.
+ */
+export function buildLabelProfile(events, now = Date.now()) {
+    const stopwatchEvents = events
+        .filter(event => event.bucket.startsWith('aw-stopwatch') && event.data.label)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const windowEvents = events
+        .filter(event => event.bucket.startsWith('aw-watcher-window') && !isGroupBucket(event.bucket))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    const statsByKey = new Map();
+    stopwatchEvents.forEach(event => {
+        const label = event.data.label.trim();
+        if (!label) return;
+        const key = label.toLowerCase();
+        if (!statsByKey.has(key)) {
+            statsByKey.set(key, { key, count: 0, lastUsed: 0, spellings: new Map() });
+        }
+        const stats = statsByKey.get(key);
+        stats.count++;
+        stats.lastUsed = Math.max(stats.lastUsed, event.timestamp.getTime());
+        stats.spellings.set(label, (stats.spellings.get(label) || 0) + 1);
+    });
+
+    const labels = Array.from(statsByKey.values()).map(({ key, count, lastUsed, spellings }) => ({
+        key,
+        label: Array.from(spellings.entries()).sort((a, b) => b[1] - a[1])[0][0],
+        count,
+        lastUsed,
+    }));
+    const { byTitle, byApp } = collectLabelHistory(windowEvents, stopwatchEvents, now);
+    return { labels, byTitle: keyByLabel(byTitle), byApp: keyByLabel(byApp) };
+}
+
+/**
+ * Вычисляет, какая доля текущей активности связана с названием задачи: время каждого текущего заголовка
+ * и приложения делится между названиями пропорционально времени, которое под ними с ним работали.
+ * @param {LabelProfile} profile - Профиль названий.
+ * @param {Array<Object>} contextEvents - События окон за последние минуты.
+ * @returns {Map<string, number>} Доля от 0 до 1 по ключу названия.
+ */
+function calculateContextShares(profile, contextEvents) {
+    const shares = new Map();
+    const totalDuration = contextEvents.reduce((sum, event) => sum + event.duration, 0);
+    if (totalDuration <= 0) return shares;
+
+    const addShares = (durations, weight) => {
+        if (!durations) return;
+        const total = Array.from(durations.values()).reduce((sum, duration) => sum + duration, 0);
+        durations.forEach((duration, key) => {
+            shares.set(key, (shares.get(key) || 0) + weight * duration / total);
+        });
+    };
+    contextEvents.forEach(event => {
+        // Titles and apps count half each, so a label seen with both the window and the app gets the full share
+        const weight = event.duration / totalDuration / 2;
+        addShares(profile.byTitle.get(normalizeTitle(event.data.title || '')), weight);
+        addShares(profile.byApp.get(event.data.app), weight);
+    });
+    return shares;
+}
+
+/**
+ * Вычисляет, какая доля текущей работы в редакторах приходится на проекты, связанные с названиями задач.
+ * @param {Array<Object>} editorEvents - События редакторов за последние минуты.
+ * @param {Object<string, string>} projectLinks - Название задачи по пути проекта.
+ * @returns {Map<string, number>} Доля от 0 до 1 по ключу названия.
+ */
+function calculateProjectShares(editorEvents, projectLinks) {
+    const shares = new Map();
+    const totalDuration = editorEvents.reduce((sum, event) => sum + event.duration, 0);
+    if (totalDuration <= 0) return shares;
+
+    editorEvents.forEach(event => {
+        const label = projectLinks[event.data.project];
+        if (!label) return;
+        const key = label.toLowerCase();
+        shares.set(key, (shares.get(key) || 0) + event.duration / totalDuration);
+    });
+    return shares;
+}
+
+/**
+ * Ранжирует названия задач, подходящие к введенному тексту.
+ * @param {LabelProfile} profile - Профиль названий.
+ * @param {Array<Object>} contextEvents - События окон и редакторов за последние минуты (текущая активность).
+ * @param {string} query - Введенный текст; пустой текст подходит ко всем названиям.
+ * @param {number} limit - Максимальное число названий.
+ * @param {number} [now=Date.now()] - Текущее время в миллисекундах.
+ * @param {Object<string, string>} [projectLinks={}] - Название задачи по пути проекта редактора.
+ * @returns {Array<LabelStats & {contextShare: number, score: number}>} Названия по убыванию оценки.
+ */
+export function rankLabels(profile, contextEvents, query, limit, now = Date.now(), projectLinks = {}) {
+    const normalizedQuery = query.trim().toLowerCase();
+    const maxCount = profile.labels.reduce((max, stats) => Math.max(max, stats.count), 1);
+    const contextShares = calculateContextShares(profile, contextEvents.filter(event => !isEditorBucket(event.bucket)));
+    const projectShares = calculateProjectShares(contextEvents.filter(event => isEditorBucket(event.bucket)), projectLinks);
+
+    return profile.labels
+        .filter(stats => stats.key.includes(normalizedQuery))
+        .map(stats => {
+            const recency = Math.pow(0.5, Math.max(0, now - stats.lastUsed) / DAY_MS / RECENCY_HALF_LIFE_DAYS);
+            const frequency = Math.log1p(stats.count) / Math.log1p(maxCount);
+            // A linked project counts as much as matching windows, they are not added up
+            const contextShare = Math.max(contextShares.get(stats.key) || 0, projectShares.get(stats.key) || 0);
+            const prefixBonus = normalizedQuery && stats.key.startsWith(normalizedQuery) ? PREFIX_MATCH_BONUS : 0;
+            return { ...stats, contextShare, score: recency + frequency + CONTEXT_WEIGHT * contextShare + prefixBonus };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
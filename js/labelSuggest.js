@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Автодополнение названия нового события: список прежних названий задач секундомера,
+ * ранжированных по давности, частоте и совпадению с приложениями и окнами последних минут (см. labelRanking.js).
+ * @module labelSuggest
+ */
+
+import { getAllEventsData, subscribe } from './state.js';
+import { runProcessingTask, isProcessingCancelled } from './processing.js';
+import { rankLabels } from './labelRanking.js';
+import { getProjectLinks } from './editorProjects.js';
+import { showNotification } from './notification.js';
+import { formatRelativeTime, isEditorBucket, isGroupBucket } from './utils.js';
+
+const SUGGESTIONS_LIMIT = 8;
+const CONTEXT_WINDOW_MS = 15 * 60 * 1000;
+const CONTEXT_MATCH_THRESHOLD = 0.1;
+
+/** @type {Promise<import('./labelRanking.js').LabelProfile>|null} */
+let profilePromise = null;
+
+/**
+ * Возвращает профиль названий задач загруженных событий; профиль строится в фоновом потоке один раз
+ * до следующей перезагрузки событий.
+ * @returns {Promise<import('./labelRanking.js').LabelProfile>} Профиль названий.
+ */
+function loadLabelProfile() {
+    if (!profilePromise) {
+        const events = getAllEventsData().filter(event => event.bucket.startsWith('aw-stopwatch')
+            || (event.bucket.startsWith('aw-watcher-window') && !isGroupBucket(event.bucket)));
+        const request = runProcessingTask('labels', 'labelProfile', { events });
+        // A failed or cancelled build is retried on the next request
+        request.catch(() => {
+            if (profilePromise === request) profilePromise = null;
+        });
+        profilePromise = request;
+    }
+    return profilePromise;
+}
+
+/**
+ * Возвращает события окон и редакторов за последние минуты — текущую активность пользователя.
+ * @param {number} now - Текущее время в миллисекундах.
+ * @returns {Array<Object>} События окон и редакторов.
+ */
+function getContextEvents(now) {
+    return getAllEventsData().filter(event => ((event.bucket.startsWith('aw-watcher-window') && !isGroupBucket(event.bucket))
+        || isEditorBucket(event.bucket))
+        && event.timestamp.getTime() + event.duration * 1000 > now - CONTEXT_WINDOW_MS);
+}
+
+/**
+ * Описывает название задачи в списке: число сессий, давность и совпадение с текущей активностью.
+ * @param {Object} suggestion - Название задачи из `rankLabels`.
+ * @param {number} now - Текущее время в миллисекундах.
+ * @returns {string} Описание.
+ */
+function describeSuggestion(suggestion, now) {
+    const lastUsed = `${formatRelativeTime(new Date(suggestion.lastUsed), new Date(now), true).trim()} ago`;
+    const context = suggestion.contextShare >= CONTEXT_MATCH_THRESHOLD ? ' · current window' : '';
+    return `${suggestion.count}× · ${lastUsed}${context}`;
+}
+
+/**
+ * Устанавливает автодополнение для поля названия нового события.
+ * @param {d3.Selection} input - D3-выборка поля ввода.
+ */
+export function setupLabelSuggestions(input) {
+    if (input.empty()) return;
+    const list = window.d3.select(input.node().parentNode)
+        .append("ul")
+        .attr("id", "label-suggestions")
+        .attr("class", "label-suggestions")
+        .style("display", "none");
+    let suggestions = [];
+    let highlightedIndex = -1;
+
+    const hideSuggestions = () => {
+        suggestions = [];
+        highlightedIndex = -1;
+        list.style("display", "none");
+    };
+
+    const renderSuggestions = () => {
+        const now = Date.now();
+        list.selectAll("li")
+            .data(suggestions)
+            .join("li")
+            .classed("highlighted", (d, i) => i === highlightedIndex)
+            .classed("context-match", d => d.contextShare >= CONTEXT_MATCH_THRESHOLD)
+            .html("")
+            .on("mousedown", (event, d) => {
+                // Keeps the focus in the input, otherwise blur hides the list before the click
+                event.preventDefault();
+                acceptSuggestion(d);
+            })
+            .call(item => item.append("span").attr("class", "label-suggestion-name").text(d => d.label))
+            .call(item => item.append("span").attr("class", "label-suggestion-meta").text(d => describeSuggestion(d, now)));
+        list.style("display", suggestions.length > 0 ? null : "none");
+    };
+
+    const acceptSuggestion = (suggestion) => {
+        input.property("value", suggestion.label);
+        hideSuggestions();
+    };
+
+    const showSuggestions = async () => {
+        let profile;
+        try {
+            profile = await loadLabelProfile();
+        } catch (error) {
+            if (isProcessingCancelled(error)) return;
+            console.error("Failed to collect label suggestions:", error);
+            showNotification(`Failed to collect label suggestions: ${error.message}`, 5000);
+            return;
+        }
+        // The input may have lost the focus while the profile was being built
+        if (document.activeElement !== input.node()) return;
+        const now = Date.now();
+        suggestions = rankLabels(profile, getContextEvents(now), input.property("value"), SUGGESTIONS_LIMIT, now, getProjectLinks());
+        highlightedIndex = -1;
+        renderSuggestions();
+    };
+
+    input
+        .attr("autocomplete", "off")
+        .on("focus.suggestions", showSuggestions)
+        .on("input.suggestions", showSuggestions)
+        .on("blur.suggestions", hideSuggestions)
+        .on("keydown.suggestions", (event) => {
+            if (suggestions.length === 0) return;
+            if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+                event.preventDefault();
+                // Moving past either end returns to the typed text (index -1)
+                const step = event.key === "ArrowDown" ? 1 : -1;
+                const positions = suggestions.length + 1;
+                highlightedIndex = (highlightedIndex + 1 + step + positions) % positions - 1;
+                renderSuggestions();
+            } else if (event.key === "Enter" && highlightedIndex !== -1) {
+                event.preventDefault();
+                acceptSuggestion(suggestions[highlightedIndex]);
+            } else if (event.key === "Escape") {
+                // The list closes first, the panels on the next Escape
+                event.stopPropagation();
+                hideSuggestions();
+            }
+        });
+
+    // A created or edited event reloads the events and may add a label
+    subscribe('events', (changedSlices, eventsChange) => {
+        if (eventsChange === 'extend') return;
+        profilePromise = null;
+    });
+}
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Модуль живого обновления: периодически догружает новые события видимых "корзин"
+ * и продлевает запущенные события, не сбрасывая масштаб таймлайна.
+ * @module liveRefresh
+ */
+
+import { fetchEventsForBucketPaged } from './api.js';
+import { getAllEventsData, setAllEventsData, getVisibleBuckets, getAfkBucketIds, getWindowGroupingOptions, subscribe } from './state.js';
+import { runProcessingTask, isProcessingCancelled } from './processing.js';
+import { isGroupBucket } from './utils.js';
+
+const LIVE_REFRESH_STORAGE_KEY = "liveRefreshEnabled";
+const LIVE_REFRESH_CHECKBOX_SELECTOR = "#live-refresh-checkbox";
+const POLL_INTERVAL_MS = 15000;
+const RUNNING_TICK_MS = 1000;
+
+let pollIntervalId = null;
+let tickIntervalId = null;
+let isPolling = false;
+let liveStartedAt = null;
+
+/**
+ * Длительности запущенных событий в последней полученной с сервера копии, по ключу "корзина/ID".
+ * Тик продлевает локальные копии каждую секунду, поэтому сравнивать с сервером нужно эти значения.
+ * @type {Map<string, number>}
+ */
+const serverDurations = new Map();
+
+/**
+ * Псевдо-"корзины" групп и "корзины", из событий которых они строятся.
+ */
+const GROUP_SOURCES = [
+    { groupBucket: 'aw-watcher-window-group', isSource: bucketId => bucketId.startsWith('aw-watcher-window') },
+    { groupBucket: 'aw-watcher-web-group', isSource: bucketId => bucketId.startsWith('aw-watcher-web') },
+];
+
+/**
+ * Возвращает ключ события, уникальный среди всех "корзин".
+ * @param {Object} event - Событие.
+ * @returns {string} Ключ "корзина/ID".
+ */
+function getEventKey(event) {
+    return `${event.bucket}/${event.id}`;
+}
+
+/**
+ * Возвращает время окончания события; запущенные события длятся до текущего момента.
+ * @param {Object} event - Событие.
+ * @param {number} now - Текущее время в мс.
+ * @returns {number} Время окончания в мс.
+ */
+function getEventEnd(event, now) {
+    return event.data.running === true ? now : event.timestamp.getTime() + event.duration * 1000;
+}
+
+/**
+ * Возвращает период, который охватывают прежние и новые версии измененных событий.
+ * @param {Array<{previous: (Object|undefined), current: Object}>} changes - Измененные события.
+ * @param {number} now - Текущее время в мс.
+ * @returns {{start: number, end: number}|null} Период в мс или null, если изменений нет.
+ */
+function getChangedSpan(changes, now) {
+    if (changes.length === 0) return null;
+    let start = Infinity;
+    let end = -Infinity;
+    changes.forEach(({ previous, current }) => [previous, current].forEach(event => {
+        if (!event) return;
+        start = Math.min(start, event.timestamp.getTime());
+        end = Math.max(end, getEventEnd(event, now));
+    }));
+    return { start, end };
+}
+
+/**
+ * Возвращает время окончания группы: группа охватывает свои события, даже если ее длительность — их сумма.
+ * @param {Object} group - Событие группы.
+ * @returns {number} Время окончания в мс.
+ */
+function getGroupEnd(group) {
+    return group.data.events.reduce((end, event) => Math.max(end, event.timestamp.getTime() + event.duration * 1000),
+        group.timestamp.getTime() + group.duration * 1000);
+}
+
+/**
+ * Возвращает время начала самого нового события для каждой "корзины".
+ * @param {Array<Object>} events - Загруженные события.
+ * @returns {Map<string, Date>} Время последнего события по ID "корзины".
+ */
+function getLatestTimestamps(events) {
+    const latest = new Map();
+    events.forEach(event => {
+        const current = latest.get(event.bucket);
+        if (!current || event.timestamp > current) {
+            latest.set(event.bucket, event.timestamp);
+        }
+    });
+    return latest;
+}
+
+/**
+ * Загружает события, начавшиеся после последнего известного события каждой видимой "корзины",
+ * и объединяет их с уже загруженными по ID. Последнее событие запрашивается повторно,
+ * потому что наблюдатели продлевают его heartbeat-запросами.
+ * Заново обрабатываются только затронутые изменениями события: сегменты активности пересчитываются
+ * для событий секундомера, пересекающих измененный период, а группы — начиная с последней группы,
+ * закончившейся до него (с учетом допуска на короткие переключения).
+ */
+async function pollNewEvents() {
+    if (isPolling || document.hidden) return;
+    isPolling = true;
+
+    try {
+        const loadedEvents = getAllEventsData();
+        const rawEvents = loadedEvents.filter(event => !isGroupBucket(event.bucket));
+        const latestTimestamps = getLatestTimestamps(rawEvents);
+
+        const results = await Promise.all(getVisibleBuckets().map(bucketId =>
+            fetchEventsForBucketPaged(bucketId, latestTimestamps.get(bucketId) || liveStartedAt, undefined, undefined, { notify: false })
+        ));
+
+        // A full reload (edit, bucket toggle) replaced the data while we were waiting
+        if (getAllEventsData() !== loadedEvents) return;
+
+        const eventsByKey = new Map(rawEvents.map(event => [getEventKey(event), event]));
+        const changes = [];
+        results.forEach(result => {
+            // An incomplete result would leave a hole, so it is retried on the next poll
+            if (!result.complete) return;
+            result.events.forEach(event => {
+                const key = getEventKey(event);
+                const existing = eventsByKey.get(key);
+                // Running events are extended locally, so their duration is compared with the previous server copy
+                const serverDuration = existing && serverDurations.has(key) ? serverDurations.get(key) : existing && existing.duration;
+                if (!existing || serverDuration !== event.duration || JSON.stringify(existing.data) !== JSON.stringify(event.data)) {
+                    eventsByKey.set(key, event);
+                    changes.push({ previous: existing, current: event });
+                }
+            });
+        });
+
+        if (changes.length === 0) return;
+        const now = Date.now();
+        const mergedEvents = Array.from(eventsByKey.values());
+        const afkBucketIds = getAfkBucketIds();
+        const overlaps = (event, span) => event.timestamp.getTime() <= span.end && getEventEnd(event, now) >= span.start;
+
+        // Stopwatch events whose activity segments may have changed, with the AFK events they overlap
+        const activitySpan = getChangedSpan(changes.filter(({ current }) =>
+            current.bucket.startsWith('aw-stopwatch') || afkBucketIds.includes(current.bucket)), now);
+        const stopwatchEvents = activitySpan
+            ? mergedEvents.filter(event => event.bucket.startsWith('aw-stopwatch') && overlaps(event, activitySpan))
+            : [];
+        const stopwatchSpan = getChangedSpan(stopwatchEvents.map(event => ({ current: event })), now);
+        const afkEvents = stopwatchSpan
+            ? mergedEvents.filter(event => afkBucketIds.includes(event.bucket) && overlaps(event, stopwatchSpan))
+            : [];
+
+        // The latest group that ends before the changes (with the gap tolerance) may still be continued by them,
+        // so only the groups before it are kept and the tail starting with it is regrouped
+        const gapToleranceMs = getWindowGroupingOptions().gapTolerance * 1000;
+        const keptGroups = [];
+        const tailEvents = [];
+        GROUP_SOURCES.forEach(({ groupBucket, isSource }) => {
+            const groups = loadedEvents.filter(event => event.bucket === groupBucket);
+            const changedSpan = getChangedSpan(changes.filter(({ current }) => isSource(current.bucket)), now);
+            if (!changedSpan) {
+                keptGroups.push(...groups);
+                return;
+            }
+            const cut = groups.reduce((latest, group) => getGroupEnd(group) <= changedSpan.start - gapToleranceMs
+                ? Math.max(latest, group.timestamp.getTime())
+                : latest, -Infinity);
+            keptGroups.push(...groups.filter(group => group.timestamp.getTime() < cut));
+            tailEvents.push(...mergedEvents.filter(event => isSource(event.bucket) && event.timestamp.getTime() >= cut));
+        });
+
+        const affectedEvents = stopwatchEvents.concat(afkEvents, tailEvents);
+        const processedEvents = affectedEvents.length > 0
+            ? await runProcessingTask('live', 'processEvents', {
+                events: affectedEvents,
+                afkBucketIds: afkBucketIds,
+                groupingOptions: getWindowGroupingOptions(),
+            })
+            : [];
+        if (getAllEventsData() !== loadedEvents) return;
+
+        changes.forEach(({ current }) => {
+            if (current.data.running === true) {
+                serverDurations.set(getEventKey(current), current.duration);
+            } else {
+                serverDurations.delete(getEventKey(current));
+            }
+        });
+        const processedStopwatchEvents = new Map(processedEvents
+            .filter(event => event.bucket.startsWith('aw-stopwatch'))
+            .map(event => [getEventKey(event), event]));
+        const groupEvents = keptGroups.concat(processedEvents.filter(event => isGroupBucket(event.bucket)));
+        setAllEventsData(mergedEvents.map(event => processedStopwatchEvents.get(getEventKey(event)) || event).concat(groupEvents), 'merge');
+    } catch (error) {
+        if (isProcessingCancelled(error)) return;
+        console.warn("Live refresh failed, will retry:", error);
+    } finally {
+        isPolling = false;
+    }
+}
+
+/**
+ * Продлевает запущенные события до текущего момента (вместе с последним сегментом активности).
+ */
+function extendRunningEvents() {
+    // While a poll is waiting for the server the data must stay untouched, see pollNewEvents
+    if (isPolling || document.hidden) return;
+
+    const now = Date.now();
+    let changed = false;
+    const events = getAllEventsData().map(event => {
+        if (event.data.running !== true) return event;
+        changed = true;
+
+        const key = getEventKey(event);
+        if (!serverDurations.has(key)) {
+            serverDurations.set(key, event.duration);
+        }
+
+        const extended = { ...event, duration: (now - event.timestamp.getTime()) / 1000 };
+        if (event.activitySegments && event.activitySegments.length > 0) {
+            const segments = event.activitySegments.slice();
+            const lastSegment = segments[segments.length - 1];
+            segments[segments.length - 1] = { ...lastSegment, duration: (now - lastSegment.startTimestamp.getTime()) / 1000 };
+            extended.activitySegments = segments;
+        }
+        return extended;
+    });
+
+    if (changed) {
+        setAllEventsData(events, 'extend');
+    }
+}
+
+/**
+ * Сразу догружает события, когда вкладка снова становится видимой.
+ */
+function handleVisibilityChange() {
+    if (!document.hidden && pollIntervalId) {
+        pollNewEvents();
+    }
+}
+
+/**
+ * Включает живое обновление.
+ */
+function startLiveRefresh() {
+    stopLiveRefresh();
+    liveStartedAt = new Date();
+    pollIntervalId = setInterval(pollNewEvents, POLL_INTERVAL_MS);
+    tickIntervalId = setInterval(extendRunningEvents, RUNNING_TICK_MS);
+    pollNewEvents();
+}
+
+/**
+ * Выключает живое обновление.
+ */
+function stopLiveRefresh() {
+    clearInterval(pollIntervalId);
+    clearInterval(tickIntervalId);
+    pollIntervalId = null;
+    tickIntervalId = null;
+}
+
+/**
+ * Устанавливает переключатель живого обновления. Состояние переключателя сохраняется в локальном хранилище.
+ * Новые события записываются в состояние как 'merge', продленные — как 'extend', и представления обновляются по подписке.
+ */
+export function setupLiveRefresh() {
+    const checkbox = window.d3.select(LIVE_REFRESH_CHECKBOX_SELECTOR);
+
+    const enabled = localStorage.getItem(LIVE_REFRESH_STORAGE_KEY) === "true";
+    checkbox.property("checked", enabled);
+    if (enabled) {
+        startLiveRefresh();
+    } else {
+        stopLiveRefresh();
+    }
+
+    checkbox.on("change", () => {
+        const isChecked = checkbox.property("checked");
+        localStorage.setItem(LIVE_REFRESH_STORAGE_KEY, isChecked);
+        if (isChecked) {
+            startLiveRefresh();
+        } else {
+            stopLiveRefresh();
+        }
+    });
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    // Reloaded events are the server copies again
+    subscribe('events', (changedSlices, eventsChange) => {
+        if (eventsChange === 'reload') {
+            serverDurations.clear();
+        }
+    });
+}
@@ -1,18 +1,35 @@
 
-import { fetchBuckets, fetchEventsForBucket, createEvent } from './api.js';
-import { setupChart, setupZoom, redrawTimeline, svg, g, xScale, yScale, xAxisGroup, xAxisTopGroup, timeExtent, zoomBehavior, width, height } from './timeline.js';
+import { fetchBuckets, createEvent, getApiBaseUrl } from './api.js';
+import { setupChart, setupZoom, subscribeTimeline, svg, g, xScale, yScale, xAxisGroup, xAxisTopGroup, timeExtent, zoomBehavior, width, height } from './timeline.js';
 import { renderEventPoints } from './timelineRenderer.js';
 import { panAndZoomToEvent, zoomToRange } from './timelineInteraction.js';
-import { renderEventTable, renderLatestEventsTable, setupZoomControls } from './ui.js';
+import { renderEventTable, renderLatestEventsTable, subscribeLatestEventsTable, setupZoomControls, loadZoomPresetValues } from './ui.js';
 import { setupTimelineHoverInteraction } from './timelineInteraction.js';
-import { calculateActivitySegments, groupWindowWatcherEvents } from './events.js';
-import { generateTaskReport } from './report.js';
 import { loadColorRules, saveColorRules } from './colorRules.js';
-import { initCalendar, renderCalendar } from './calendar.js';
-import { getAppState, setAllEventsData, setVisibleBuckets, setColorRules, setAfkBucketId, getAllEventsData, getVisibleBuckets, getColorRules, getAfkBucketId } from './state.js';
-import { showNotification } from './notification.js';
-import { setupPanelDragging, loadPanelPosition, renderReportPanel, renderColorRulesPanel, setupEscapeListener, renderBucketFilterPanel } from './panelManager.js';
-import { renderEventEditPanel, setupEditControls } from './eventForm.js';
+import { initCalendar } from './calendar.js';
+import { getAppState, setAllEventsData, setVisibleBuckets, setColorRules, getAllEventsData, getVisibleBuckets, getColorRules, getAfkBucketIds, setWindowGroupingOptions, getWindowGroupingOptions, subscribe } from './state.js';
+import { showNotification, showProgressNotification } from './notification.js';
+import { setupPanelDragging, loadPanelPosition, showTaskReport, subscribeReportPanel, renderColorRulesPanel, setupEscapeListener, renderBucketFilterPanel, registerEscapablePanel, reloadPanelLayout } from './panelManager.js';
+import { renderEventEditPanel, setupEditControls, openNewEventInEditPanel } from './eventForm.js';
+import { applyActiveServerProfile, renderServerProfilesPanel } from './serverProfiles.js';
+import { setupQueryPanel } from './queryPanel.js';
+import { setupBackupPanel, renderBackupPanel } from './backup.js';
+import { syncSettings, setupSettingsSyncControls, renderSyncStatus } from './settingsSync.js';
+import { setupLiveRefresh } from './liveRefresh.js';
+import { fetchCachedEvents, setupEventCacheControls, renderEventCacheStatus } from './eventCache.js';
+import { setupConnectionIndicator, checkConnection } from './connection.js';
+import { setupOutbox, replayOutbox } from './outbox.js';
+import { setupBucketManagerPanel, renderBucketManagerPanel } from './bucketManager.js';
+import { setupHeartbeatTracker, getTrackingMode, startHeartbeatTask } from './heartbeatTracker.js';
+import { readUrlView, applyUrlView, setupUrlState } from './urlState.js';
+import { setupHistoryPanel } from './history.js';
+import { setupWorkspaces } from './workspaces.js';
+import { setupWindowGroupingPanel, loadWindowGroupingOptions } from './windowGrouping.js';
+import { setupTitleNormalizationPanel, loadTitleNormalizationRules } from './titleNormalization.js';
+import { setTitleNormalizationRules, isGroupBucket } from './utils.js';
+import { setupGapsPanel } from './gaps.js';
+import { setupLabelSuggestions } from './labelSuggest.js';
+import { runProcessingTask, isProcessingCancelled } from './processing.js';
 
 const TIMELINE_CONTAINER_SELECTOR = ".timeline-container";
 const INFO_PANEL_SELECTOR = "#event-info-panel";
@@ -29,94 +46,270 @@ const COLOR_RULES_TEXTAREA_SELECTOR = "#color-rules-textarea";
 const SAVE_COLOR_RULES_BUTTON_SELECTOR = "#save-color-rules-button";
 const OPEN_CALENDAR_BUTTON_SELECTOR = "#open-calendar-button";
 const CALENDAR_PANEL_SELECTOR = "#calendar-panel";
+const OPEN_QUERY_BUTTON_SELECTOR = "#open-query-button";
+const QUERY_PANEL_SELECTOR = "#query-panel";
+const OPEN_BACKUP_BUTTON_SELECTOR = "#open-backup-button";
+const BACKUP_PANEL_SELECTOR = "#backup-panel";
+const SERVER_PROFILES_BUTTON_SELECTOR = "#server-profiles-button";
+const SERVER_PROFILES_PANEL_SELECTOR = "#server-profiles-panel";
+const OPEN_SETTINGS_BUTTON_SELECTOR = "#open-settings-button";
+const SETTINGS_PANEL_SELECTOR = "#settings-panel";
+const SERVER_INFO_PANEL_SELECTOR = "#server-info-panel";
+const OPEN_BUCKET_MANAGER_BUTTON_SELECTOR = "#open-bucket-manager-button";
+const BUCKET_MANAGER_PANEL_SELECTOR = "#bucket-manager-panel";
+const HISTORY_PANEL_SELECTOR = "#history-panel";
+const WORKSPACES_PANEL_SELECTOR = "#workspaces-panel";
+const WINDOW_GROUPING_PANEL_SELECTOR = "#window-grouping-panel";
+const TITLE_NORMALIZATION_PANEL_SELECTOR = "#title-normalization-panel";
+const GAPS_PANEL_SELECTOR = "#gaps-panel";
+const STATUS_MESSAGE_SELECTOR = "#status-message";
+
+let reloadTimeline = null;
+let timelineLoad = null;
+
+/**
+ * Shows a status message under the controls (an empty string hides it).
+ * @param {string} text - The message text.
+ */
+function setStatusMessage(text) {
+    window.d3.select(STATUS_MESSAGE_SELECTOR)
+        .text(text)
+        .style("display", text ? "block" : "none");
+}
+
+/**
+ * Restores the visible buckets from the given list (e.g. from the URL) or, if it has none, from localStorage,
+ * keeping only buckets that exist on the current server. If none of the saved buckets exist (e.g. after switching servers),
+ * all buckets become visible.
+ * @param {Array<{id: string, count: number}>} allBucketsWithCounts - All buckets of the current server.
+ * @param {Array<string>|null} [preferredBucketIds] - Buckets that take precedence over the saved ones.
+ */
+function restoreVisibleBuckets(allBucketsWithCounts, preferredBucketIds = null) {
+    const allBucketIds = allBucketsWithCounts.map(b => b.id);
+    if (preferredBucketIds) {
+        const existingPreferredBuckets = preferredBucketIds.filter(bucketId => allBucketIds.includes(bucketId));
+        if (existingPreferredBuckets.length > 0) {
+            setVisibleBuckets(existingPreferredBuckets);
+            return;
+        }
+    }
+    const savedVisibleBuckets = localStorage.getItem("visibleBuckets");
+    if (savedVisibleBuckets) {
+        try {
+            const savedBucketIds = JSON.parse(savedVisibleBuckets);
+            const existingBucketIds = savedBucketIds.filter(bucketId => allBucketIds.includes(bucketId));
+            setVisibleBuckets(savedBucketIds.length > 0 && existingBucketIds.length === 0 ? allBucketIds : existingBucketIds);
+        } catch (e) {
+            console.error("Failed to parse visibleBuckets from localStorage, resetting.", e);
+            setVisibleBuckets(allBucketIds);
+        }
+    } else {
+        setVisibleBuckets(allBucketIds);
+    }
+}
+
+/**
+ * Reloads buckets and events after the server profile changes or the server comes back online.
+ * If the timeline has not been initialized yet (e.g. the previous server had no buckets), loads it.
+ */
+async function reloadFromServer() {
+    if (await checkConnection() === 'offline') {
+        setStatusMessage(`Cannot connect to ${getApiBaseUrl()}. Retrying automatically...`);
+        return;
+    }
+    if (!reloadTimeline) {
+        await ensureTimelineLoaded();
+        return;
+    }
+    await reloadTimeline();
+}
+
+/**
+ * Runs loadTimeline, or waits for the load that is already running (e.g. the startup is still waiting for the server).
+ */
+async function ensureTimelineLoaded() {
+    if (!timelineLoad) {
+        timelineLoad = loadTimeline().finally(() => {
+            timelineLoad = null;
+        });
+    }
+    await timelineLoad;
+}
+
+/**
+ * Applies settings pulled from the server: color rules, window grouping, title rules, panel layout, zoom presets and visible buckets.
+ */
+async function applySyncedSettings() {
+    setColorRules(loadColorRules());
+    setWindowGroupingOptions(loadWindowGroupingOptions());
+    setTitleNormalizationRules(loadTitleNormalizationRules());
+    reloadPanelLayout();
+    loadZoomPresetValues();
+    if (reloadTimeline) {
+        await reloadTimeline();
+    }
+}
 
 async function loadAndProcessEvents(buckets) {
-    const allEvents = await Promise.all(buckets.map(bucketId => fetchEventsForBucket(bucketId))).then(arrays => arrays.flat());
-
-    const stopwatchEvents = allEvents.filter(e => e.bucket.startsWith('aw-stopwatch'));
-    const afkEvents = allEvents.filter(e => e.bucket === getAfkBucketId());
-
-    const processedEvents = calculateActivitySegments(stopwatchEvents, afkEvents);
-
-    // Group window watcher events
-    const windowGroups = groupWindowWatcherEvents(allEvents);
-    const groupedEvents = windowGroups.map((group) => ({
-        id: group.id,
-        bucket: 'aw-watcher-window-group',
-        timestamp: group.startTime,
-        duration: group.totalDuration,
-        data: {
-            app: group.app,
-            titleDurations: group.titleDurations,
-            events: group.events
+    const loadedCounts = new Map();
+    let progressNotification = null;
+    const onProgress = ({ bucket, pages, count }) => {
+        loadedCounts.set(bucket, count);
+        if (pages < 2 && !progressNotification) return;
+        const total = Array.from(loadedCounts.values()).reduce((sum, c) => sum + c, 0);
+        const message = `Loading events: ${total} so far...`;
+        if (progressNotification) {
+            progressNotification.update(message);
+        } else {
+            progressNotification = showProgressNotification(message);
         }
-    }));
+    };
 
-    // Return all events with processed stopwatch and added groups
-    const baseEvents = allEvents.map(event => {
-        const processed = processedEvents.find(p => p.id === event.id);
-        return processed ? processed : event;
-    });
+    const results = await Promise.all(buckets.map(bucketId => fetchCachedEvents(bucketId, undefined, undefined, onProgress)));
+    if (progressNotification) {
+        progressNotification.close();
+    }
+
+    const truncatedBuckets = buckets.filter((bucketId, index) => !results[index].complete);
+    if (truncatedBuckets.length > 0) {
+        showNotification(`Data is incomplete for: ${truncatedBuckets.join(', ')}`, 5000);
+    }
+
+    const events = results.flatMap(result => result.events);
+    return runProcessingTask('events', 'processEvents', { events, afkBucketIds: getAfkBucketIds(), groupingOptions: getWindowGroupingOptions() }, `Processing ${events.length} events`);
+}
+
+/**
+ * Reloads the events of the visible buckets into the application state.
+ * The timeline and the other subscribed views re-render themselves.
+ */
+async function reloadEvents() {
+    let events;
+    try {
+        events = await loadAndProcessEvents(getVisibleBuckets());
+    } catch (error) {
+        // A newer reload superseded this one, or the user cancelled it and keeps the events shown so far
+        if (isProcessingCancelled(error)) return;
+        throw error;
+    }
+    setAllEventsData(events);
+}
 
-    return baseEvents.concat(groupedEvents);
+/**
+ * Regroups the loaded window and browser events with the current grouping options in the processing worker.
+ * The events themselves are not reloaded; a reload that finishes first wins.
+ */
+async function regroupEvents() {
+    const loadedEvents = getAllEventsData();
+    const events = loadedEvents.filter(event => !isGroupBucket(event.bucket));
+    let groupEvents;
+    try {
+        groupEvents = await runProcessingTask('grouping', 'groupEvents', { events, groupingOptions: getWindowGroupingOptions() }, "Grouping window events");
+    } catch (error) {
+        if (isProcessingCancelled(error)) return;
+        console.error("Failed to group window events:", error);
+        showNotification(`Failed to group window events: ${error.message}`, 5000);
+        return;
+    }
+    if (getAllEventsData() === loadedEvents) {
+        setAllEventsData(events.concat(groupEvents), 'merge');
+    }
 }
 
+/**
+ * Starts the application: sets up the panels that work without a timeline (server profiles, settings,
+ * connection indicator) once, then loads the timeline.
+ */
 async function main() {
     const zoomPanel = window.d3.select("#zoom-panel");
     loadPanelPosition(zoomPanel, 'zoomPanelPosition');
     zoomPanel.style("visibility", "visible");
 
+    const serverProfilesPanel = window.d3.select(SERVER_PROFILES_PANEL_SELECTOR);
+    applyActiveServerProfile();
+    setupPanelDragging(serverProfilesPanel);
+    registerEscapablePanel(serverProfilesPanel);
+    window.d3.select(SERVER_PROFILES_BUTTON_SELECTOR).on("click", () => {
+        renderServerProfilesPanel(serverProfilesPanel, reloadFromServer);
+    });
+
+    const settingsPanel = window.d3.select(SETTINGS_PANEL_SELECTOR);
+    setupPanelDragging(settingsPanel);
+    registerEscapablePanel(settingsPanel);
+    setupSettingsSyncControls(applySyncedSettings);
+    setupEventCacheControls();
+    window.d3.select(OPEN_SETTINGS_BUTTON_SELECTOR).on("click", () => {
+        renderSyncStatus();
+        renderEventCacheStatus();
+        settingsPanel.style("display", settingsPanel.style("display") === "none" ? "block" : "none");
+    });
+
+    const serverInfoPanel = window.d3.select(SERVER_INFO_PANEL_SELECTOR);
+    setupPanelDragging(serverInfoPanel);
+    registerEscapablePanel(serverInfoPanel);
+    setupConnectionIndicator(serverInfoPanel, async () => {
+        await replayOutbox();
+        await reloadFromServer();
+    });
+    setupOutbox(reloadFromServer);
+
     const newEventLabelInput = window.d3.select(NEW_EVENT_LABEL_INPUT_SELECTOR);
     if (newEventLabelInput.empty()) {
         console.warn("main: new-event-label-input not found");
     }
+    setupLabelSuggestions(newEventLabelInput);
+
+    await ensureTimelineLoaded();
+}
+
+/**
+ * Loads the buckets and events and builds the timeline with the views and panels that depend on it.
+ * Stops early if the server is offline or has no data; reloadFromServer runs it again later.
+ * Everything after the early exits runs once, after that reloadTimeline is used instead.
+ */
+async function loadTimeline() {
+    if (await checkConnection() === 'offline') {
+        // The connection indicator keeps retrying and calls reloadFromServer once the server is back
+        setStatusMessage(`Cannot connect to ${getApiBaseUrl()}. Retrying automatically...`);
+        return;
+    }
+    // Changes queued while the server was down (possibly before a page reload) go out before anything is loaded
+    await replayOutbox();
 
+    // Before the timeline exists applySyncedSettings only updates localStorage-backed state,
+    // so the startup below picks up the pulled values directly.
+    await syncSettings(applySyncedSettings);
+
+    const newEventLabelInput = window.d3.select(NEW_EVENT_LABEL_INPUT_SELECTOR);
+    const zoomPanel = window.d3.select("#zoom-panel");
     const container = window.d3.select(TIMELINE_CONTAINER_SELECTOR);
     const chartWidth = container.node().clientWidth;
     const chartHeight = container.node().clientHeight;
 
     const allBucketsWithCounts = await fetchBuckets();
     if (allBucketsWithCounts.length === 0) {
-        document.body.innerHTML += "<p>No buckets found.</p>";
+        setStatusMessage(`No buckets found on ${getApiBaseUrl()}.`);
         return;
     }
-
-    const afkBucket = allBucketsWithCounts.find(b => b.id.startsWith('aw-watcher-afk'));
-    if (afkBucket) {
-        setAfkBucketId(afkBucket.id);
-    }
+    setStatusMessage("");
 
     setColorRules(loadColorRules());
+    setWindowGroupingOptions(loadWindowGroupingOptions());
+    setTitleNormalizationRules(loadTitleNormalizationRules());
 
-    const savedVisibleBuckets = localStorage.getItem("visibleBuckets");
-    if (savedVisibleBuckets) {
-        try {
-            setVisibleBuckets(JSON.parse(savedVisibleBuckets));
-            const allBucketIds = allBucketsWithCounts.map(b => b.id);
-            setVisibleBuckets(getVisibleBuckets().filter(bucketId => allBucketIds.includes(bucketId)));
-        } catch (e) {
-            console.error("Failed to parse visibleBuckets from localStorage, resetting.", e);
-            setVisibleBuckets(allBucketsWithCounts.map(b => b.id));
-        }
-    } else {
-        setVisibleBuckets(allBucketsWithCounts.map(b => b.id));
-    }
+    restoreVisibleBuckets(allBucketsWithCounts, readUrlView().buckets);
 
     const bucketFilterPanel = window.d3.select("#bucket-filter-panel");
     renderBucketFilterPanel(allBucketsWithCounts, async () => {
-        setAllEventsData(await loadAndProcessEvents(getVisibleBuckets()));
-        await redrawTimeline(getAllEventsData(), getVisibleBuckets(), window.d3.select(INFO_PANEL_SELECTOR), window.d3.select(EDIT_PANEL_SELECTOR), window.d3.select(EVENT_DATA_SELECTOR), renderEventTable, renderEventEditPanel, renderLatestEventsTable, panAndZoomToEvent, newEventLabelInput);
+        await reloadEvents();
         const updatedBucketsWithCounts = await fetchBuckets();
-        renderBucketFilterPanel(updatedBucketsWithCounts, async () => {
-            setAllEventsData(await loadAndProcessEvents(getVisibleBuckets()));
-            await redrawTimeline(getAllEventsData(), getVisibleBuckets(), window.d3.select(INFO_PANEL_SELECTOR), window.d3.select(EDIT_PANEL_SELECTOR), window.d3.select(EVENT_DATA_SELECTOR), renderEventTable, renderEventEditPanel, renderLatestEventsTable, panAndZoomToEvent, newEventLabelInput);
-        }, getVisibleBuckets());
+        renderBucketFilterPanel(updatedBucketsWithCounts, reloadEvents, getVisibleBuckets());
     }, getVisibleBuckets());
 
-    setAllEventsData(await loadAndProcessEvents(getVisibleBuckets()));
+    await reloadEvents();
 
     if (getAllEventsData().length === 0) {
-        document.body.innerHTML += "<p>No data found for initial buckets.</p>";
+        setStatusMessage("No data found for initial buckets.");
         return;
     }
 
@@ -131,9 +324,14 @@ async function main() {
     renderEventPoints(getAllEventsData(), infoPanel, editPanel, dataPre, renderEventTable, renderEventEditPanel, panAndZoomToEvent, getColorRules);
     setupZoom();
 
+    // From here on the timeline and the views below re-render themselves when the state changes
+    subscribeTimeline(infoPanel, editPanel, dataPre, renderEventTable, renderEventEditPanel);
+    subscribe('windowGrouping', regroupEvents);
+
     const latestEventsTable = window.d3.select("#latest-events-table");
     if (!latestEventsTable.empty()) {
         renderLatestEventsTable(getAllEventsData(), latestEventsTable, panAndZoomToEvent, newEventLabelInput);
+        subscribeLatestEventsTable(latestEventsTable, panAndZoomToEvent, newEventLabelInput);
     } else {
         console.warn("main: latest-events-table not found");
     }
@@ -142,30 +340,33 @@ async function main() {
 
     setupZoomControls(svg, zoomToRange);
     const reportPanel = window.d3.select(REPORT_PANEL_SELECTOR);
+    subscribeReportPanel(reportPanel, window.d3.select(REPORT_CONTENT_SELECTOR));
     setupPanelDragging(infoPanel, editPanel, zoomPanel, window.d3.select("#bucket-filter-panel"), reportPanel, colorRulesPanel, calendarPanel);
     setupEscapeListener(infoPanel, editPanel, zoomPanel, reportPanel, colorRulesPanel, calendarPanel);
-    setupEditControls(editPanel, async () => {
-        setAllEventsData(await loadAndProcessEvents(getVisibleBuckets()));
-        await redrawTimeline(getAllEventsData(), getVisibleBuckets(), infoPanel, editPanel, dataPre, renderEventTable, renderEventEditPanel, renderLatestEventsTable, panAndZoomToEvent, newEventLabelInput);
-    }, svg, zoomBehavior);
+    setupEditControls(editPanel, reloadEvents, svg, zoomBehavior);
 
     setupTimelineHoverInteraction(editPanel);
 
-    window.d3.select("#zoom-last-hour-option").dispatch('click');
+    reloadTimeline = async (preferredBucketIds = null) => {
+        const bucketsWithCounts = await fetchBuckets();
+        setStatusMessage(bucketsWithCounts.length === 0 ? `No buckets found on ${getApiBaseUrl()}.` : "");
+        restoreVisibleBuckets(bucketsWithCounts, preferredBucketIds);
+        renderBucketFilterPanel(bucketsWithCounts, reloadEvents, getVisibleBuckets());
+        await reloadEvents();
+    };
+
+    setupLiveRefresh();
 
     window.d3.select(COLOR_RULES_BUTTON_SELECTOR).on("click", () => {
         renderColorRulesPanel(getColorRules(), colorRulesPanel, colorRulesTextarea);
     });
 
-    window.d3.select(SAVE_COLOR_RULES_BUTTON_SELECTOR).on("click", async () => {
+    window.d3.select(SAVE_COLOR_RULES_BUTTON_SELECTOR).on("click", () => {
         const rulesText = colorRulesTextarea.property("value");
         saveColorRules(rulesText);
         setColorRules(loadColorRules()); // Reload parsed rules
         showNotification("Color rules saved!");
         colorRulesPanel.style("display", "none");
-        setAllEventsData(await loadAndProcessEvents(getVisibleBuckets()));
-        await redrawTimeline(getAllEventsData(), getVisibleBuckets(), infoPanel, editPanel, dataPre, renderEventTable, renderEventEditPanel, renderLatestEventsTable, panAndZoomToEvent, newEventLabelInput);
-        renderCalendar();
     });
 
     window.d3.select(CREATE_EVENT_BUTTON_SELECTOR).on("click", async () => {
@@ -177,6 +378,12 @@ async function main() {
             return;
         }
 
+        if (getTrackingMode() === 'heartbeat') {
+            labelInput.property("value", "");
+            await startHeartbeatTask(label);
+            return;
+        }
+
         // Prepare data for new event
         const now = new Date();
         const newEventData = {
@@ -191,19 +398,74 @@ async function main() {
         };
 
         // Show edit panel for new event
-        const editPanel = window.d3.select(EDIT_PANEL_SELECTOR);
-        editPanel.property("originalEvent", newEventData);
-        editPanel.property("isNewEvent", true);
-        renderEventEditPanel(newEventData, window.d3.select("#edit-event-data-table"), false);
-        editPanel.style("display", "block");
+        openNewEventInEditPanel(newEventData);
 
         // Clear input field
         labelInput.property("value", "");
     });
 
     window.d3.select(GENERATE_REPORT_BUTTON_SELECTOR).on("click", () => {
-        const reportData = generateTaskReport(getAllEventsData());
-        renderReportPanel(reportData, reportPanel, window.d3.select(REPORT_CONTENT_SELECTOR));
+        showTaskReport(reportPanel, window.d3.select(REPORT_CONTENT_SELECTOR));
+    });
+
+    const queryPanel = window.d3.select(QUERY_PANEL_SELECTOR);
+    setupPanelDragging(queryPanel);
+    registerEscapablePanel(queryPanel);
+    setupQueryPanel(queryPanel);
+    window.d3.select(OPEN_QUERY_BUTTON_SELECTOR).on("click", () => {
+        queryPanel.style("display", queryPanel.style("display") === "none" ? "block" : "none");
+    });
+
+    const backupPanel = window.d3.select(BACKUP_PANEL_SELECTOR);
+    setupPanelDragging(backupPanel);
+    registerEscapablePanel(backupPanel);
+    setupBackupPanel(reloadTimeline);
+    window.d3.select(OPEN_BACKUP_BUTTON_SELECTOR).on("click", () => {
+        if (backupPanel.style("display") === "none") {
+            renderBackupPanel(backupPanel);
+        } else {
+            backupPanel.style("display", "none");
+        }
+    });
+
+    await setupHeartbeatTracker(reloadEvents);
+
+    const historyPanel = window.d3.select(HISTORY_PANEL_SELECTOR);
+    setupPanelDragging(historyPanel);
+    registerEscapablePanel(historyPanel);
+    setupHistoryPanel(historyPanel, reloadEvents);
+
+    const workspacesPanel = window.d3.select(WORKSPACES_PANEL_SELECTOR);
+    setupPanelDragging(workspacesPanel);
+    registerEscapablePanel(workspacesPanel);
+    // A workspace writes the same settings a server pull does, so it is applied the same way
+    setupWorkspaces(workspacesPanel, applySyncedSettings);
+
+    const windowGroupingPanel = window.d3.select(WINDOW_GROUPING_PANEL_SELECTOR);
+    setupPanelDragging(windowGroupingPanel);
+    registerEscapablePanel(windowGroupingPanel);
+    setupWindowGroupingPanel(windowGroupingPanel);
+
+    const titleNormalizationPanel = window.d3.select(TITLE_NORMALIZATION_PANEL_SELECTOR);
+    setupPanelDragging(titleNormalizationPanel);
+    registerEscapablePanel(titleNormalizationPanel);
+    setupTitleNormalizationPanel(titleNormalizationPanel, reloadEvents);
+
+    const gapsPanel = window.d3.select(GAPS_PANEL_SELECTOR);
+    setupPanelDragging(gapsPanel);
+    registerEscapablePanel(gapsPanel);
+    setupGapsPanel(gapsPanel);
+
+    const bucketManagerPanel = window.d3.select(BUCKET_MANAGER_PANEL_SELECTOR);
+    setupPanelDragging(bucketManagerPanel);
+    registerEscapablePanel(bucketManagerPanel);
+    setupBucketManagerPanel(bucketManagerPanel, reloadTimeline);
+    window.d3.select(OPEN_BUCKET_MANAGER_BUTTON_SELECTOR).on("click", () => {
+        if (bucketManagerPanel.style("display") === "none") {
+            renderBucketManagerPanel(bucketManagerPanel);
+        } else {
+            bucketManagerPanel.style("display", "none");
+        }
     });
 
     window.d3.select(OPEN_CALENDAR_BUTTON_SELECTOR).on("click", () => {
@@ -211,6 +473,16 @@ async function main() {
             initCalendar();
         calendarPanel.style("display", calendarPanel.style("display") === "none" ? "block" : "none");
     });
+
+    // A shared or bookmarked link restores its view instead of the default last hour
+    if (!applyUrlView(readUrlView())) {
+        window.d3.select("#zoom-last-hour-option").dispatch('click');
+    }
+    setupUrlState(async () => {
+        const urlView = readUrlView();
+        await reloadTimeline(urlView.buckets);
+        applyUrlView(urlView);
+    });
 }
 
 document.addEventListener('DOMContentLoaded', main);
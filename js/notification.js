@@ -9,8 +9,10 @@ const NOTIFICATION_CONTAINER_SELECTOR = "#notification-container";
  * Отображает неинтрузивное уведомление в углу экрана.
  * @param {string} message - Сообщение для отображения в уведомлении.
  * @param {number} duration - Продолжительность в миллисекундах, в течение которой уведомление должно быть видно.
+ * @param {{label: string, onClick: function(): void}} [action] - Кнопка действия в уведомлении (например, "Undo");
+ * щелчок по ней закрывает уведомление.
  */
-export function showNotification(message, duration = 3000) {
+export function showNotification(message, duration = 3000, action) {
     const container = window.d3.select(NOTIFICATION_CONTAINER_SELECTOR);
     if (container.empty()) {
         console.error("Notification container not found.");
@@ -21,7 +23,57 @@ export function showNotification(message, duration = 3000) {
         .attr("class", "notification-item")
         .text(message);
 
+    if (action) {
+        // The fade-out follows the duration, so the button stays clickable until the notification disappears
+        notification.classed("with-action", true).style("animation-duration", `${duration}ms`);
+        notification.append("button")
+            .attr("type", "button")
+            .attr("class", "notification-action")
+            .text(action.label)
+            .on("click", () => {
+                notification.remove();
+                action.onClick();
+            });
+    }
+
     setTimeout(() => {
         notification.remove();
     }, duration);
 }
+
+/**
+ * Отображает постоянное уведомление о ходе длительной операции.
+ * Уведомление остается на экране, пока не будет вызван метод `close`.
+ * @param {string} message - Начальный текст уведомления.
+ * @param {{label: string, onClick: function(): void}} [action] - Кнопка действия в уведомлении (например, "Cancel");
+ * щелчок по ней закрывает уведомление.
+ * @returns {{update: function(string): void, close: function(): void}} Объект для обновления текста и закрытия уведомления.
+ */
+export function showProgressNotification(message, action) {
+    const container = window.d3.select(NOTIFICATION_CONTAINER_SELECTOR);
+    if (container.empty()) {
+        console.error("Notification container not found.");
+        return { update: () => {}, close: () => {} };
+    }
+
+    const notification = container.append("div")
+        .attr("class", "notification-item persistent");
+    const text = notification.append("span").text(message);
+
+    if (action) {
+        notification.classed("with-action", true);
+        notification.append("button")
+            .attr("type", "button")
+            .attr("class", "notification-action")
+            .text(action.label)
+            .on("click", () => {
+                notification.remove();
+                action.onClick();
+            });
+    }
+
+    return {
+        update: (message) => text.text(message),
+        close: () => notification.remove(),
+    };
+}
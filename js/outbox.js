@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Модуль очереди исходящих изменений: если сервер недоступен, правки событий сохраняются
+ * в локальном хранилище и отправляются по порядку, когда соединение восстановится.
+ * Пока правки не отправлены, они показываются на таймлайне как предварительные события.
+ * @module outbox
+ */
+
+import { runEventTransaction, recordEventTransaction, isNetworkError, getApiBaseUrl } from './api.js';
+import { showUndoableNotification } from './history.js';
+import { showNotification } from './notification.js';
+
+const OUTBOX_STORAGE_KEY = "eventOutbox";
+const OUTBOX_COUNTER_SELECTOR = "#outbox-counter";
+
+let isReplaying = false;
+let onOutboxReplayed = async () => {};
+
+/**
+ * Отложенная транзакция.
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - ID записи.
+ * @property {string} server - URL сервера, на который нужно отправить изменения.
+ * @property {string} queuedAt - Время постановки в очередь (ISO).
+ * @property {Array<import('./api.js').EventOperation>} operations - Операции транзакции.
+ */
+
+/**
+ * Загружает очередь из локального хранилища.
+ * @returns {Array<OutboxEntry>} Все отложенные транзакции.
+ */
+function loadOutbox() {
+    const outboxString = localStorage.getItem(OUTBOX_STORAGE_KEY);
+    if (!outboxString) return [];
+    try {
+        return JSON.parse(outboxString);
+    } catch (e) {
+        console.error("Failed to parse the event outbox from localStorage, resetting.", e);
+        return [];
+    }
+}
+
+/**
+ * Сохраняет очередь в локальное хранилище и обновляет счетчик.
+ * @param {Array<OutboxEntry>} outbox - Отложенные транзакции.
+ */
+function saveOutbox(outbox) {
+    localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+    renderOutboxCounter();
+}
+
+/**
+ * Возвращает отложенные транзакции текущего сервера.
+ * @returns {Array<OutboxEntry>} Транзакции в порядке постановки в очередь.
+ */
+export function getPendingTransactions() {
+    const server = getApiBaseUrl();
+    return loadOutbox().filter(entry => entry.server === server);
+}
+
+/**
+ * Ставит транзакцию в очередь.
+ * @param {Array<import('./api.js').EventOperation>} operations - Операции транзакции.
+ */
+function enqueue(operations) {
+    const outbox = loadOutbox();
+    outbox.push({
+        id: `${Date.now()}-${outbox.length}`,
+        server: getApiBaseUrl(),
+        queuedAt: new Date().toISOString(),
+        operations: operations,
+    });
+    saveOutbox(outbox);
+    showNotification(`Server is not reachable. The change is queued and will be sent when the connection is back (${getPendingTransactions().length} pending).`, 5000);
+}
+
+/**
+ * Применяет операции как транзакцию, а если сервер недоступен — ставит их в очередь.
+ * Если в очереди уже есть изменения, новые операции тоже ставятся в очередь, чтобы сохранить порядок.
+ * @param {Array<import('./api.js').EventOperation>} operations - Операции транзакции.
+ * @returns {Promise<{queued: boolean, applied: Array<{operation: Object, result: (Object|null)}>}>} Была ли транзакция отложена
+ * и результаты примененных операций.
+ * @throws {Error} Ошибка транзакции, если она не связана с недоступностью сервера.
+ */
+export async function runOrQueueEventTransaction(operations) {
+    if (getPendingTransactions().length > 0) {
+        enqueue(operations);
+        return { queued: true, applied: [] };
+    }
+    try {
+        return { queued: false, applied: await runEventTransaction(operations) };
+    } catch (error) {
+        // Only a cleanly rolled back transaction can be repeated later without duplicates
+        if (error.rolledBack && isNetworkError(error)) {
+            enqueue(operations);
+            return { queued: true, applied: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Отправляет отложенные транзакции текущего сервера по порядку; отправленные транзакции, как и примененная часть
+ * частично примененной, записываются в историю правок и могут быть отменены. Отправка прекращается при первой
+ * сетевой ошибке; если транзакция при этом применилась частично, в очереди остаются только ее неприменённые операции.
+ * Транзакция, отклоненная сервером, удаляется из очереди с уведомлением.
+ * @returns {Promise<number>} Количество отправленных транзакций.
+ */
+export async function replayOutbox() {
+    if (isReplaying) return 0;
+    isReplaying = true;
+
+    let sent = 0;
+    try {
+        let entry;
+        while ((entry = getPendingTransactions()[0])) {
+            try {
+                await runEventTransaction(entry.operations);
+                sent++;
+            } catch (error) {
+                if (isNetworkError(error)) {
+                    // Operations that stayed applied must not be sent again, the rest waits for the connection
+                    if (!error.rolledBack) {
+                        recordEventTransaction(error.remainingApplied);
+                        const stillApplied = new Set(error.remainingApplied.map(({ operation }) => operation));
+                        saveOutbox(loadOutbox().map(e => e.id === entry.id
+                            ? { ...e, operations: entry.operations.filter(operation => !stillApplied.has(operation)) }
+                            : e));
+                    }
+                    break;
+                }
+                console.error("Queued change was rejected by the server:", entry, error);
+                showNotification(`A queued change from ${new Date(entry.queuedAt).toLocaleString('en-US')} was rejected and dropped: ${error.message}`, 8000);
+            }
+            saveOutbox(loadOutbox().filter(e => e.id !== entry.id));
+        }
+    } finally {
+        isReplaying = false;
+    }
+
+    // A single change can be undone right from the notification, several ones from the History panel
+    if (sent === 1) {
+        showUndoableNotification("1 queued change sent to the server.");
+    } else if (sent > 1) {
+        showNotification(`${sent} queued changes sent to the server.`);
+    }
+    return sent;
+}
+
+/**
+ * Накладывает отложенные изменения на загруженные события: замененные и удаленные события скрываются,
+ * а созданные и новые версии замененных добавляются как предварительные (`provisional: true`).
+ * @param {Array<Object>} events - Загруженные события.
+ * @returns {Array<Object>} События с учетом очереди.
+ */
+export function applyPendingOperations(events) {
+    const pending = getPendingTransactions();
+    if (pending.length === 0) return events;
+
+    const now = Date.now();
+    const hiddenKeys = new Set();
+    const provisionalEvents = [];
+    pending.forEach(entry => {
+        entry.operations.forEach((operation, index) => {
+            if (operation.type === 'delete' || operation.type === 'replace') {
+                const id = operation.type === 'delete' ? operation.previous.id : operation.event.id;
+                hiddenKeys.add(`${operation.bucket}/${id}`);
+            }
+            if (operation.type === 'create' || operation.type === 'replace') {
+                const timestamp = new Date(operation.event.timestamp);
+                provisionalEvents.push({
+                    id: `provisional-${entry.id}-${index}`,
+                    bucket: operation.bucket,
+                    timestamp: timestamp,
+                    duration: operation.event.data.running === true ? (now - timestamp.getTime()) / 1000 : operation.event.duration,
+                    data: operation.event.data,
+                    provisional: true,
+                });
+            }
+        });
+    });
+
+    return events
+        .filter(event => !hiddenKeys.has(`${event.bucket}/${event.id}`))
+        .concat(provisionalEvents);
+}
+
+/**
+ * Обновляет счетчик отложенных изменений.
+ */
+function renderOutboxCounter() {
+    const counter = window.d3.select(OUTBOX_COUNTER_SELECTOR);
+    if (counter.empty()) return;
+
+    const count = getPendingTransactions().length;
+    counter
+        .style("display", count > 0 ? null : "none")
+        .text(`${count} pending`);
+}
+
+/**
+ * Устанавливает счетчик отложенных изменений; по щелчку очередь отправляется немедленно.
+ * @param {function(): Promise<void>} onReplayed - Функция обратного вызова для перезагрузки данных после отправки очереди.
+ */
+export function setupOutbox(onReplayed) {
+    onOutboxReplayed = onReplayed;
+    window.d3.select(OUTBOX_COUNTER_SELECTOR).on("click", async () => {
+        if (await replayOutbox() > 0) {
+            await onOutboxReplayed();
+        }
+    });
+    renderOutboxCounter();
+}
@@ -3,9 +3,24 @@
  * @module panelManager
  */
 
+import { setSyncedSetting } from './settingsSync.js';
+import { getAllEventsData, getAfkBucketIds, getBucketHosts, subscribe } from './state.js';
+import { runProcessingTask, isProcessingCancelled } from './processing.js';
+import { showNotification } from './notification.js';
+import { formatColorRule } from './colorRules.js';
+import { renderProjectLabelOptions, appendProjectLinkInput } from './editorProjects.js';
+import { isEditorBucket, isGroupBucket } from './utils.js';
+
 const DRAG_CURSOR_GRABBING = "grabbing";
+const REPORT_PER_DEVICE_CHECKBOX_SELECTOR = "#report-per-device-checkbox";
 const DRAG_CURSOR_GRAB = "grab";
 
+/**
+ * Дополнительные панели, которые скрываются по Escape (в порядке регистрации).
+ * @type {Array<d3.Selection>}
+ */
+const escapablePanels = [];
+
 /**
  * Устанавливает функциональность перетаскивания для данной панели.
  * @param {d3.Selection} panel - D3-выборка панели, которую нужно сделать перетаскиваемой.
@@ -20,7 +35,7 @@ function setupPanelDrag(panel) {
 
     panel.on("mousedown", (event) => {
         const targetTagName = event.target.tagName;
-        if (targetTagName === 'INPUT' || targetTagName === 'BUTTON' || targetTagName === 'LABEL' || targetTagName === 'TEXTAREA' || window.d3.select(event.target).classed('calendar-resize-handle')) {
+        if (targetTagName === 'INPUT' || targetTagName === 'BUTTON' || targetTagName === 'LABEL' || targetTagName === 'TEXTAREA' || targetTagName === 'SELECT' || window.d3.select(event.target).classed('calendar-resize-handle')) {
             return;
         }
 
@@ -115,7 +130,7 @@ export function setupPanelDragging(...panels) {
 }
 
 /**
- * Загружает сохраненную позицию панели из локального хранилища.
+ * Загружает сохраненную позицию панели из локального хранилища; без сохраненной позиции действует позиция из стилей.
  * @param {d3.Selection} panel - D3-выборка панели.
  * @param {string} storageKey - Ключ, используемый для хранения позиции в локальном хранилище.
  */
@@ -127,18 +142,37 @@ export function loadPanelPosition(panel, storageKey) {
         if (panel.attr('id') !== 'calendar-panel') {
             panel.style("left", left);
         }
+    } else {
+        panel.style("top", null);
+        if (panel.attr('id') !== 'calendar-panel') {
+            panel.style("left", null);
+        }
     }
 }
 
+/**
+ * Повторно применяет сохраненные позиции и ширину всех панелей (например, после загрузки настроек с сервера).
+ */
+export function reloadPanelLayout() {
+    window.d3.selectAll(".draggable-panel").each(function () {
+        const panel = window.d3.select(this);
+        loadPanelPosition(panel, `${panel.attr('id')}Position`);
+    });
+    loadPanelPosition(window.d3.select("#zoom-panel"), 'zoomPanelPosition');
+    loadPanelWidth(window.d3.select("#calendar-panel"), 'calendar-panelWidth');
+}
+
 export function loadPanelWidth(panel, storageKey) {
     const savedWidth = localStorage.getItem(storageKey);
     if (savedWidth) {
         panel.style("width", savedWidth);
+    } else {
+        panel.style("width", null);
     }
 }
 
 export function savePanelWidth(panel, storageKey) {
-    localStorage.setItem(storageKey, panel.style("width"));
+    setSyncedSetting(storageKey, panel.style("width"));
 }
 
 /**
@@ -149,38 +183,115 @@ export function savePanelWidth(panel, storageKey) {
 export function savePanelPosition(panel, storageKey) {
     const computedStyle = window.getComputedStyle(panel.node());
     if (panel.attr('id') === 'calendar-panel') {
-        localStorage.setItem(storageKey, JSON.stringify({ top: computedStyle.top, left: 'auto' }));
+        setSyncedSetting(storageKey, JSON.stringify({ top: computedStyle.top, left: 'auto' }));
     } else {
-        localStorage.setItem(storageKey, JSON.stringify({ top: computedStyle.top, left: computedStyle.left }));
+        setSyncedSetting(storageKey, JSON.stringify({ top: computedStyle.top, left: computedStyle.left }));
     }
 }
 
 /**
- * Рендерит панель отчета о задачах.
- * @param {Array<Object>} reportData - Массив объектов отчета о задачах.
+ * Рендерит панель отчета о задачах и, если загружены события браузера и редакторов, самые посещаемые домены,
+ * время по проектам (с полем связи проекта с названием задачи) и по языкам.
+ * @param {{tasks: Array<Object>, domains: Array<Object>, editor: {projects: Array<Object>, languages: Array<Object>}}} reportData - Отчет
+ * о задачах, по доменам и по проектам редакторов.
  * @param {d3.Selection} panelContainer - D3-выборка контейнера панели отчета.
  * @param {d3.Selection} contentContainer - D3-выборка области содержимого внутри панели отчета.
  */
 export function renderReportPanel(reportData, panelContainer, contentContainer) {
     contentContainer.html(""); // Очистить предыдущее содержимое
 
-    if (reportData.length === 0) {
+    if (reportData.tasks.length === 0 && reportData.domains.length === 0 && reportData.editor.projects.length === 0) {
         contentContainer.append("p").text("Нет данных для отчета.");
         return;
     }
 
-    reportData.forEach(task => {
+    const perDevice = window.d3.select(REPORT_PER_DEVICE_CHECKBOX_SELECTOR).property("checked");
+    reportData.tasks.forEach(task => {
         const taskItem = contentContainer.append("div").attr("class", "task-report-item");
         taskItem.append("h3").text(task.label);
         taskItem.append("span").attr("class", "duration").text(task.totalCleanTimeFormatted);
+        if (perDevice && task.hostBreakdown.length > 0) {
+            taskItem.append("span").attr("class", "host-breakdown").text(task.hostBreakdown.join(', '));
+        }
         if (task.dailyBreakdown.length > 0) {
             taskItem.append("span").attr("class", "daily-breakdown").text(`(${task.dailyBreakdown.join(', ')})`);
         }
     });
 
+    if (reportData.domains.length > 0) {
+        contentContainer.append("h3").attr("class", "report-section-title").text("Top domains");
+        reportData.domains.forEach(domain => {
+            const domainItem = contentContainer.append("div").attr("class", "task-report-item breakdown-report-item");
+            domainItem.append("h3").text(domain.domain);
+            domainItem.append("span").attr("class", "duration").text(domain.totalTimeFormatted);
+            domainItem.append("span").attr("class", "daily-breakdown").text(`${Math.round(domain.share * 100)}% of browser time`);
+        });
+    }
+
+    if (reportData.editor.projects.length > 0) {
+        contentContainer.append("h3").attr("class", "report-section-title").text("Editor projects");
+        renderProjectLabelOptions(contentContainer);
+        reportData.editor.projects.forEach(project => {
+            const projectItem = contentContainer.append("div").attr("class", "task-report-item project-report-item");
+            projectItem.append("h3").attr("title", project.project).text(project.name);
+            projectItem.append("span").attr("class", "duration").text(project.totalTimeFormatted);
+            projectItem.append("span").attr("class", "daily-breakdown").text(`(${project.languages.join(', ')})`);
+            if (project.project) {
+                appendProjectLinkInput(projectItem, project.project);
+            }
+        });
+
+        contentContainer.append("h3").attr("class", "report-section-title").text("Editor languages");
+        reportData.editor.languages.forEach(language => {
+            const languageItem = contentContainer.append("div").attr("class", "task-report-item breakdown-report-item");
+            languageItem.append("h3").text(language.language);
+            languageItem.append("span").attr("class", "duration").text(language.totalTimeFormatted);
+        });
+    }
+
     panelContainer.style("display", "block");
 }
 
+/**
+ * Строит отчет по задачам из загруженных событий в фоновом потоке и показывает его в панели отчета.
+ * @param {d3.Selection} panelContainer - D3-выборка контейнера панели.
+ * @param {d3.Selection} contentContainer - D3-выборка контейнера для содержимого отчета.
+ * @returns {Promise<void>}
+ */
+export async function showTaskReport(panelContainer, contentContainer) {
+    // The report only needs stopwatch, AFK (for the per-device times), browser and editor events,
+    // so the rest is not copied to the worker
+    const afkBucketIds = getAfkBucketIds();
+    const reportEvents = getAllEventsData().filter(e => e.bucket.startsWith('aw-stopwatch')
+        || afkBucketIds.includes(e.bucket)
+        || (e.bucket.startsWith('aw-watcher-web') && !isGroupBucket(e.bucket))
+        || isEditorBucket(e.bucket));
+    try {
+        const reportData = await runProcessingTask('report', 'taskReport', { events: reportEvents, afkBucketIds, bucketHosts: getBucketHosts() }, "Generating the report");
+        renderReportPanel(reportData, panelContainer, contentContainer);
+    } catch (error) {
+        if (isProcessingCancelled(error)) return;
+        console.error("Failed to generate the report:", error);
+        showNotification(`Failed to generate the report: ${error.message}`, 5000);
+    }
+}
+
+/**
+ * Подписывает панель отчета на загруженные события: открытая панель пересчитывает отчет,
+ * когда события загружены заново или дополнены. Продление запущенных событий отчет не пересчитывает.
+ * Переключатель "Per device" показывает время задач по устройствам.
+ * @param {d3.Selection} panelContainer - D3-выборка контейнера панели.
+ * @param {d3.Selection} contentContainer - D3-выборка контейнера для содержимого отчета.
+ * @returns {function(): void} Функция отмены подписки.
+ */
+export function subscribeReportPanel(panelContainer, contentContainer) {
+    window.d3.select(REPORT_PER_DEVICE_CHECKBOX_SELECTOR).on("change", () => showTaskReport(panelContainer, contentContainer));
+    return subscribe('events', (changedSlices, eventsChange) => {
+        if (eventsChange === 'extend' || panelContainer.style("display") === "none") return;
+        showTaskReport(panelContainer, contentContainer);
+    });
+}
+
 /**
  * Рендерит панель правил раскраски.
  * @param {Array<Object>} colorRules - Массив объектов правил раскраски.
@@ -188,7 +299,7 @@ export function renderReportPanel(reportData, panelContainer, contentContainer)
  * @param {d3.Selection} textarea - D3-выборка текстового поля.
  */
 export function renderColorRulesPanel(colorRules, panelContainer, textarea) {
-    const rulesText = colorRules.map(rule => `${rule.regex.source} ${rule.color}`).join('\n');
+    const rulesText = colorRules.map(formatColorRule).join('\n');
     textarea.property("value", rulesText);
     panelContainer.style("display", "block");
 }
@@ -215,6 +326,8 @@ export function setupEscapeListener(infoPanel, editPanel, zoomPanel, reportPanel
                 colorRulesPanel.style('display', 'none');
             } else if (calendarPanel.style('display') === 'block') {
                 calendarPanel.style('display', 'none');
+            } else if (escapablePanels.some(panel => panel.style('display') === 'block')) {
+                escapablePanels.find(panel => panel.style('display') === 'block').style('display', 'none');
             }
             else {
                 zoomPanel.style('display', zoomPanel.style('display') === 'none' ? 'flex' : 'none');
@@ -223,6 +336,17 @@ export function setupEscapeListener(infoPanel, editPanel, zoomPanel, reportPanel
     });
 }
 
+/**
+ * Регистрирует панель, которая должна скрываться по нажатию Escape.
+ * Зарегистрированные панели скрываются после стандартных, но до переключения панели масштабирования.
+ * @param {d3.Selection} panel - D3-выборка панели.
+ */
+export function registerEscapablePanel(panel) {
+    if (!escapablePanels.some(registered => registered.node() === panel.node())) {
+        escapablePanels.push(panel);
+    }
+}
+
 export function setupCalendarResize(calendarPanel, calendarResizeHandle) {
     const storageKey = `${calendarPanel.attr('id')}Width`;
     loadPanelWidth(calendarPanel, storageKey);
@@ -230,7 +354,8 @@ export function setupCalendarResize(calendarPanel, calendarResizeHandle) {
 }
 
 /**
- * Рендерит панель фильтрации корзин с флажками для каждой корзины.
+ * Рендерит панель фильтрации корзин с флажками для каждой корзины. Если данные приходят с нескольких устройств,
+ * корзины сгруппированы по имени устройства.
  * @param {Array<{id: string, count: number}>} buckets - Массив объектов корзин с ID и количеством событий.
  * @param {function} onFilterChange - Функция обратного вызова, которая будет вызвана при изменении фильтра.
  * @param {Array<string>} visibleBuckets - Массив текущих видимых корзин (только ID).
@@ -239,32 +364,69 @@ export function renderBucketFilterPanel(buckets, onFilterChange, visibleBuckets)
     const bucketList = window.d3.select("#bucket-list");
     bucketList.html("");
 
-    buckets.forEach(bucket => {
+    const validBuckets = buckets.filter(bucket => {
         if (!bucket || !bucket.id) {
             console.warn("Skipping undefined or malformed bucket:", bucket);
-            return;
+            return false;
         }
-        const label = bucketList.append("label");
-        label.append("input")
-            .attr("type", "checkbox")
-            .attr("value", bucket.id)
-            .attr("checked", visibleBuckets.includes(bucket.id) ? true : null)
-            .on("change", function() {
-                const bucketId = d3.select(this).attr("value");
-                if (this.checked) {
-                    if (!visibleBuckets.includes(bucketId)) {
-                        visibleBuckets.push(bucketId);
-                    }
-                } else {
-                    const index = visibleBuckets.indexOf(bucketId);
-                    if (index > -1) {
-                        visibleBuckets.splice(index, 1);
-                    }
-                }
-                onFilterChange();
-                localStorage.setItem("visibleBuckets", JSON.stringify(visibleBuckets));
-            });
-        label.append("span").text(`${bucket.id} (${bucket.count})`);
+        return true;
+    });
+    const bucketHosts = getBucketHosts();
+    const getHost = bucket => bucketHosts[bucket.id] || bucket.hostname || "";
+    const hosts = Array.from(new Set(validBuckets.map(getHost))).sort();
+
+    const setBucketsVisible = (bucketIds, visible) => {
+        bucketIds.forEach(bucketId => {
+            const index = visibleBuckets.indexOf(bucketId);
+            if (visible && index === -1) {
+                visibleBuckets.push(bucketId);
+            } else if (!visible && index > -1) {
+                visibleBuckets.splice(index, 1);
+            }
+        });
+        onFilterChange();
+        setSyncedSetting("visibleBuckets", JSON.stringify(visibleBuckets));
+    };
+
+    // With several machines the buckets are grouped by hostname, and the host checkbox toggles all of its buckets
+    hosts.forEach(host => {
+        const hostBuckets = validBuckets.filter(bucket => getHost(bucket) === host);
+        const hostBucketIds = hostBuckets.map(bucket => bucket.id);
+        let container = bucketList;
+        let updateHostCheckbox = () => {};
+
+        if (hosts.length > 1) {
+            container = bucketList.append("div").attr("class", "bucket-host-group");
+            const hostLabel = container.append("label").attr("class", "bucket-host-label");
+            const hostCheckbox = hostLabel.append("input")
+                .attr("type", "checkbox")
+                .on("change", function() {
+                    container.selectAll(".bucket-checkbox").property("checked", this.checked);
+                    setBucketsVisible(hostBucketIds, this.checked);
+                });
+            hostLabel.append("span").text(host || "Unknown host");
+            updateHostCheckbox = () => {
+                const visibleCount = hostBucketIds.filter(bucketId => visibleBuckets.includes(bucketId)).length;
+                hostCheckbox
+                    .property("checked", visibleCount === hostBucketIds.length)
+                    .property("indeterminate", visibleCount > 0 && visibleCount < hostBucketIds.length);
+            };
+            updateHostCheckbox();
+        }
+
+        hostBuckets.forEach(bucket => {
+            const label = container.append("label");
+            label.append("input")
+                .attr("type", "checkbox")
+                .attr("class", "bucket-checkbox")
+                .attr("value", bucket.id)
+                .attr("checked", visibleBuckets.includes(bucket.id) ? true : null)
+                .on("change", function() {
+                    setBucketsVisible([d3.select(this).attr("value")], this.checked);
+                    updateHostCheckbox();
+                });
+            label.append("span").text(`${bucket.id} (${bucket.count})`);
+        });
     });
 
     window.d3.select("#bucket-filter-panel").style("display", "block");
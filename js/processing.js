@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Клиент фоновой обработки событий: выполняет задачи из processingTasks.js в Web Worker,
+ * чтобы загрузка большого периода не блокировала интерфейс. Задачи разделены по каналам (загрузка событий,
+ * живое обновление, отчет, календарь): новая задача канала отменяет предыдущую, а долгая задача показывает
+ * уведомление о ходе обработки с кнопкой отмены. Если Web Worker недоступен, задачи выполняются в основном потоке.
+ * @module processing
+ */
+
+import { PROCESSING_TASKS } from './processingTasks.js';
+import { showProgressNotification } from './notification.js';
+import { getTitleNormalizationRules } from './utils.js';
+
+// Short tasks finish before the indicator would appear, so it does not flash on every redraw
+const PROGRESS_DELAY_MS = 400;
+
+/**
+ * Выполняющаяся задача канала.
+ * @typedef {Object} ProcessingRequest
+ * @property {number} id - ID запроса, по которому сопоставляются ответы потока.
+ * @property {string} task - Название задачи.
+ * @property {Object} payload - Входные данные задачи.
+ * @property {function(*): void} resolve - Завершает запрос результатом.
+ * @property {function(Error): void} reject - Завершает запрос ошибкой.
+ * @property {string|null} progressMessage - Текст уведомления о ходе обработки (null — без уведомления).
+ * @property {string|null} stage - Текущий этап задачи.
+ * @property {number|null} progressTimeoutId - Таймер показа уведомления.
+ * @property {{update: function(string): void, close: function(): void}|null} progressNotification - Показанное уведомление.
+ */
+
+/**
+ * Фоновые потоки по каналам и выполняющиеся в них задачи.
+ * @type {Map<string, {worker: Worker, request: ProcessingRequest|null}>}
+ */
+const channels = new Map();
+let nextRequestId = 1;
+let isWorkerAvailable = typeof Worker !== 'undefined';
+
+/**
+ * Создает ошибку отмены задачи.
+ * @returns {Error} Ошибка с признаком `isCancelled`.
+ */
+function createCancelledError() {
+    const error = new Error("Processing was cancelled.");
+    error.isCancelled = true;
+    return error;
+}
+
+/**
+ * Проверяет, завершилась ли задача из-за отмены (новой задачей того же канала или пользователем).
+ * @param {*} error - Ошибка, с которой завершилась задача.
+ * @returns {boolean} true, если задача была отменена.
+ */
+export function isProcessingCancelled(error) {
+    return Boolean(error && error.isCancelled);
+}
+
+/**
+ * Выполняет задачу в основном потоке.
+ * @param {string} task - Название задачи.
+ * @param {Object} payload - Входные данные задачи.
+ * @returns {Promise<*>} Результат задачи.
+ */
+async function runInline(task, payload) {
+    return PROCESSING_TASKS[task](payload, () => {});
+}
+
+/**
+ * Убирает уведомление о ходе обработки и освобождает канал.
+ * @param {string} channelName - Название канала.
+ * @param {ProcessingRequest} request - Завершенная задача.
+ */
+function finishRequest(channelName, request) {
+    clearTimeout(request.progressTimeoutId);
+    if (request.progressNotification) {
+        request.progressNotification.close();
+    }
+    const channel = channels.get(channelName);
+    if (channel && channel.request === request) {
+        channel.request = null;
+    }
+}
+
+/**
+ * Возвращает текст уведомления о ходе обработки.
+ * @param {ProcessingRequest} request - Выполняющаяся задача.
+ * @returns {string} Текст уведомления.
+ */
+function describeProgress(request) {
+    return request.stage ? `${request.progressMessage}: ${request.stage}...` : `${request.progressMessage}...`;
+}
+
+/**
+ * Обрабатывает ответ потока. Ответы отмененных задач игнорируются.
+ * @param {string} channelName - Название канала.
+ * @param {{id: number, type: 'progress'|'result'|'error', stage: string, result: *, message: string}} message - Сообщение потока.
+ */
+function handleWorkerMessage(channelName, { id, type, stage, result, message }) {
+    const channel = channels.get(channelName);
+    const request = channel && channel.request;
+    if (!request || request.id !== id) return;
+
+    if (type === 'progress') {
+        request.stage = stage;
+        if (request.progressNotification) {
+            request.progressNotification.update(describeProgress(request));
+        }
+        return;
+    }
+    finishRequest(channelName, request);
+    if (type === 'result') {
+        request.resolve(result);
+    } else {
+        request.reject(new Error(message));
+    }
+}
+
+/**
+ * Обрабатывает сбой запуска потока (например, браузер не поддерживает модульные Web Worker):
+ * текущая и все следующие задачи выполняются в основном потоке.
+ * @param {string} channelName - Название канала.
+ * @param {ErrorEvent} event - Событие ошибки потока.
+ */
+function handleWorkerError(channelName, event) {
+    event.preventDefault();
+    console.warn("The processing worker failed, processing events on the main thread instead:", event.message);
+    isWorkerAvailable = false;
+
+    const channel = channels.get(channelName);
+    if (!channel) return;
+    channels.delete(channelName);
+    channel.worker.terminate();
+    const request = channel.request;
+    if (request) {
+        finishRequest(channelName, request);
+        runInline(request.task, request.payload).then(request.resolve, request.reject);
+    }
+}
+
+/**
+ * Возвращает канал, запуская для него поток при первом использовании.
+ * @param {string} channelName - Название канала.
+ * @returns {{worker: Worker, request: ProcessingRequest|null}} Канал.
+ */
+function getChannel(channelName) {
+    if (!channels.has(channelName)) {
+        const worker = new Worker(new URL('./processingWorker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener("message", ({ data }) => handleWorkerMessage(channelName, data));
+        worker.addEventListener("error", event => handleWorkerError(channelName, event));
+        channels.set(channelName, { worker, request: null });
+    }
+    return channels.get(channelName);
+}
+
+/**
+ * Отменяет выполняющуюся задачу канала. Синхронную задачу нельзя прервать сообщением,
+ * поэтому поток завершается, а следующая задача канала запускает новый.
+ * @param {string} channelName - Название канала.
+ */
+export function cancelProcessing(channelName) {
+    const channel = channels.get(channelName);
+    if (!channel || !channel.request) return;
+
+    const request = channel.request;
+    channels.delete(channelName);
+    channel.worker.terminate();
+    finishRequest(channelName, request);
+    request.reject(createCancelledError());
+}
+
+/**
+ * Выполняет задачу обработки в фоновом потоке канала, отменяя предыдущую задачу этого канала.
+ * @param {'events'|'live'|'grouping'|'report'|'calendar'|'gaps'|'labels'} channelName - Название канала.
+ * @param {string} task - Название задачи из PROCESSING_TASKS.
+ * @param {Object} payload - Входные данные задачи; передаются в поток копией.
+ * @param {string|null} [progressMessage=null] - Текст уведомления о ходе обработки, если задача выполняется дольше
+ * PROGRESS_DELAY_MS; null — без уведомления.
+ * @returns {Promise<*>} Результат задачи. Отмененная задача завершается ошибкой, см. `isProcessingCancelled`.
+ */
+export function runProcessingTask(channelName, task, payload, progressMessage = null) {
+    if (!PROCESSING_TASKS[task]) {
+        return Promise.reject(new Error(`Unknown processing task "${task}".`));
+    }
+    cancelProcessing(channelName);
+    if (!isWorkerAvailable) {
+        return runInline(task, payload);
+    }
+
+    let channel;
+    try {
+        channel = getChannel(channelName);
+    } catch (error) {
+        // e.g. workers are not allowed for pages opened from the file system
+        console.warn("Could not start the processing worker, processing events on the main thread instead:", error);
+        isWorkerAvailable = false;
+        return runInline(task, payload);
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = {
+            id: nextRequestId++,
+            task,
+            payload,
+            resolve,
+            reject,
+            progressMessage,
+            stage: null,
+            progressTimeoutId: null,
+            progressNotification: null,
+        };
+        if (progressMessage) {
+            request.progressTimeoutId = setTimeout(() => {
+                request.progressNotification = showProgressNotification(describeProgress(request), {
+                    label: "Cancel",
+                    onClick: () => {
+                        const current = channels.get(channelName);
+                        if (current && current.request === request) {
+                            cancelProcessing(channelName);
+                        }
+                    },
+                });
+            }, PROGRESS_DELAY_MS);
+        }
+
+        channel.request = request;
+        try {
+            // The worker has its own copy of utils.js, so the title normalization rules are sent with each task
+            channel.worker.postMessage({ id: request.id, task, payload, titleNormalizationRules: getTitleNormalizationRules() });
+        } catch (error) {
+            finishRequest(channelName, request);
+            reject(error);
+        }
+    });
+}
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Задачи обработки событий, которые выполняются в фоновом потоке (см. processingWorker.js),
+ * а если Web Worker недоступен — в основном потоке. Задачи не обращаются к DOM и к состоянию приложения:
+ * все входные данные передаются им явно, а результат должен поддерживать структурное клонирование.
+ * @module processingTasks
+ */
+
+import { processLoadedEvents, groupLoadedEvents } from './events.js';
+import { generateTaskReport, generateDomainReport, generateEditorReport } from './report.js';
+import { calculateCalendarStats } from './calendarStats.js';
+import { findUntrackedGaps } from './gapDetection.js';
+import { buildLabelProfile } from './labelRanking.js';
+
+/**
+ * Задачи по названиям. Каждая получает входные данные и функцию, сообщающую название текущего этапа.
+ * @type {Object<string, function(Object, function(string): void): *>}
+ */
+export const PROCESSING_TASKS = {
+    processEvents: ({ events, afkBucketIds, groupingOptions }, reportProgress) => processLoadedEvents(events, afkBucketIds, reportProgress, groupingOptions),
+    groupEvents: ({ events, groupingOptions }) => groupLoadedEvents(events, groupingOptions),
+    taskReport: ({ events, afkBucketIds, bucketHosts }) => ({
+        tasks: generateTaskReport(events, afkBucketIds, bucketHosts),
+        domains: generateDomainReport(events),
+        editor: generateEditorReport(events),
+    }),
+    calendarStats: ({ stopwatchEvents, afkEvents }) => calculateCalendarStats(stopwatchEvents, afkEvents),
+    untrackedGaps: ({ events, afkBucketIds, minDuration }) => findUntrackedGaps(events, afkBucketIds, minDuration),
+    labelProfile: ({ events }) => buildLabelProfile(events),
+};
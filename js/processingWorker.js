@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Фоновый поток обработки событий. Принимает сообщения `{id, task, payload, titleNormalizationRules}`
+ * и отвечает сообщениями `{id, type: 'progress', stage}`, затем `{id, type: 'result', result}`
+ * или `{id, type: 'error', message}`. Задачи выполняются синхронно, поэтому отмена — это завершение потока (см. processing.js).
+ * Правила нормализации заголовков приходят с каждой задачей: у потока свой экземпляр utils.js.
+ * @module processingWorker
+ */
+
+import { PROCESSING_TASKS } from './processingTasks.js';
+import { setTitleNormalizationRules } from './utils.js';
+
+self.addEventListener("message", ({ data: { id, task, payload, titleNormalizationRules } }) => {
+    try {
+        if (titleNormalizationRules) {
+            setTitleNormalizationRules(titleNormalizationRules);
+        }
+        const runTask = PROCESSING_TASKS[task];
+        if (!runTask) {
+            throw new Error(`Unknown processing task "${task}".`);
+        }
+        const result = runTask(payload, stage => self.postMessage({ id, type: 'progress', stage }));
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Модуль панели запросов на языке запросов ActivityWatch: сохраненные запросы, запуск и вывод результата.
+ * @module queryPanel
+ */
+
+import { runQuery } from './api.js';
+import { setQueryResultEvents, getQueryResultEvents } from './state.js';
+import { showNotification } from './notification.js';
+import { toLocalISO, formatDuration, formatDateTime } from './utils.js';
+import { svg, xScale } from './timeline.js';
+import { setSyncedSetting } from './settingsSync.js';
+
+const SAVED_QUERIES_STORAGE_KEY = "savedQueries";
+const QUERY_RESULT_BUCKET = "aw-query-result";
+const MAX_RESULT_ROWS = 500;
+
+const SAVED_QUERY_SELECT_SELECTOR = "#saved-query-select";
+const QUERY_NAME_INPUT_SELECTOR = "#query-name-input";
+const QUERY_TEXTAREA_SELECTOR = "#query-textarea";
+const QUERY_START_INPUT_SELECTOR = "#query-start-input";
+const QUERY_END_INPUT_SELECTOR = "#query-end-input";
+const QUERY_RESULT_SELECTOR = "#query-result";
+
+const DEFAULT_SAVED_QUERIES = [
+    {
+        name: "Active time by app",
+        query: [
+            'afk_events = flood(query_bucket(find_bucket("aw-watcher-afk_")));',
+            'window_events = flood(query_bucket(find_bucket("aw-watcher-window_")));',
+            'window_events = filter_period_intersect(window_events, filter_keyvals(afk_events, "status", ["not-afk"]));',
+            'RETURN = sort_by_duration(merge_events_by_keys(window_events, ["app"]));',
+        ].join('\n'),
+    },
+    {
+        name: "Active window events",
+        query: [
+            'afk_events = flood(query_bucket(find_bucket("aw-watcher-afk_")));',
+            'window_events = flood(query_bucket(find_bucket("aw-watcher-window_")));',
+            'RETURN = filter_period_intersect(window_events, filter_keyvals(afk_events, "status", ["not-afk"]));',
+        ].join('\n'),
+    },
+];
+
+let lastResult = null;
+
+/**
+ * Загружает сохраненные запросы из локального хранилища.
+ * @returns {Array<{name: string, query: string}>} Массив сохраненных запросов.
+ */
+export function loadSavedQueries() {
+    const queriesString = localStorage.getItem(SAVED_QUERIES_STORAGE_KEY);
+    if (!queriesString) {
+        return DEFAULT_SAVED_QUERIES.map(query => ({ ...query }));
+    }
+    try {
+        return JSON.parse(queriesString);
+    } catch (e) {
+        console.error("Failed to parse saved queries from localStorage, resetting.", e);
+        return DEFAULT_SAVED_QUERIES.map(query => ({ ...query }));
+    }
+}
+
+/**
+ * Сохраняет запросы в локальное хранилище.
+ * @param {Array<{name: string, query: string}>} queries - Массив запросов.
+ */
+export function saveSavedQueries(queries) {
+    setSyncedSetting(SAVED_QUERIES_STORAGE_KEY, JSON.stringify(queries));
+}
+
+/**
+ * Проверяет, является ли результат запроса списком событий ActivityWatch.
+ * @param {*} result - Результат запроса для одного периода.
+ * @returns {boolean} true, если это массив событий.
+ */
+function isEventList(result) {
+    return Array.isArray(result) && result.every(item => item && item.timestamp !== undefined && item.duration !== undefined);
+}
+
+/**
+ * Преобразует события результата запроса в события виртуальной "корзины" таймлайна.
+ * @param {Array<Object>} events - События из результата запроса.
+ * @returns {Array<Object>} События в формате таймлайна.
+ */
+function toTimelineEvents(events) {
+    return events.map((event, index) => ({
+        id: `query-${index + 1}`,
+        bucket: QUERY_RESULT_BUCKET,
+        timestamp: new Date(event.timestamp),
+        duration: event.duration,
+        data: event.data || {},
+    }));
+}
+
+/**
+ * Рендерит результат запроса: таблицу для списка событий или JSON для прочих значений.
+ * @param {*} result - Результат запроса для одного периода.
+ * @param {d3.Selection} container - D3-выборка контейнера для результата.
+ */
+function renderQueryResult(result, container) {
+    container.html("");
+
+    if (!isEventList(result)) {
+        container.append("pre").attr("class", "query-result-json").text(JSON.stringify(result, null, 2));
+        return;
+    }
+
+    const totalDuration = result.reduce((sum, event) => sum + event.duration, 0);
+    container.append("p").attr("class", "ligth-font")
+        .text(`${result.length} events, ${formatDuration(totalDuration, false)} total` +
+            (result.length > MAX_RESULT_ROWS ? `, showing first ${MAX_RESULT_ROWS}` : ""));
+
+    const table = container.append("table").attr("class", "event-attributes-table query-result-table");
+    table.append("thead").append("tr").html("<th>Start</th><th>Duration</th><th>Data</th>");
+    const tbody = table.append("tbody");
+
+    result.slice(0, MAX_RESULT_ROWS).forEach(event => {
+        const row = tbody.append("tr");
+        row.append("td").text(formatDateTime(new Date(event.timestamp)));
+        row.append("td").text(formatDuration(event.duration));
+        row.append("td").text(Object.entries(event.data || {}).map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', '));
+    });
+}
+
+/**
+ * Заполняет выпадающий список сохраненных запросов.
+ * @param {string} [selectedName] - Имя запроса, который нужно выбрать.
+ */
+function renderSavedQueriesSelect(selectedName) {
+    const select = window.d3.select(SAVED_QUERY_SELECT_SELECTOR);
+    select.html("");
+    select.append("option").attr("value", "").text("— Saved queries —");
+    loadSavedQueries().forEach(query => {
+        select.append("option")
+            .attr("value", query.name)
+            .property("selected", query.name === selectedName)
+            .text(query.name);
+    });
+}
+
+/**
+ * Читает период запроса из полей ввода.
+ * @returns {{start: Date, end: Date}|null} Период или null, если даты некорректны.
+ */
+function readTimeperiod() {
+    const start = new Date(window.d3.select(QUERY_START_INPUT_SELECTOR).property("value"));
+    const end = new Date(window.d3.select(QUERY_END_INPUT_SELECTOR).property("value"));
+    if (isNaN(start) || isNaN(end) || end <= start) {
+        return null;
+    }
+    return { start, end };
+}
+
+/**
+ * Устанавливает панель запросов: сохранение/удаление запросов, выбор периода, запуск и вывод результата.
+ * Таймлайн перерисовывается по подписке на результат запроса в состоянии.
+ * @param {d3.Selection} panel - D3-выборка панели запросов.
+ */
+export function setupQueryPanel(panel) {
+    const textarea = window.d3.select(QUERY_TEXTAREA_SELECTOR);
+    const nameInput = window.d3.select(QUERY_NAME_INPUT_SELECTOR);
+    const resultContainer = window.d3.select(QUERY_RESULT_SELECTOR);
+
+    const now = new Date();
+    window.d3.select(QUERY_START_INPUT_SELECTOR).property("value", toLocalISO(new Date(now.getFullYear(), now.getMonth(), now.getDate())));
+    window.d3.select(QUERY_END_INPUT_SELECTOR).property("value", toLocalISO(now));
+
+    renderSavedQueriesSelect();
+
+    window.d3.select(SAVED_QUERY_SELECT_SELECTOR).on("change", function () {
+        const query = loadSavedQueries().find(q => q.name === this.value);
+        if (!query) return;
+        nameInput.property("value", query.name);
+        textarea.property("value", query.query);
+    });
+
+    window.d3.select("#save-query-button").on("click", () => {
+        const name = nameInput.property("value").trim();
+        const queryText = textarea.property("value").trim();
+        if (!name || !queryText) {
+            showNotification("Enter a query name and query text to save it.");
+            return;
+        }
+        const queries = loadSavedQueries().filter(q => q.name !== name);
+        queries.push({ name: name, query: queryText });
+        saveSavedQueries(queries);
+        renderSavedQueriesSelect(name);
+        showNotification(`Query "${name}" saved.`);
+    });
+
+    window.d3.select("#delete-query-button").on("click", () => {
+        const name = nameInput.property("value").trim();
+        if (!name || !confirm(`Delete saved query "${name}"?`)) return;
+        saveSavedQueries(loadSavedQueries().filter(q => q.name !== name));
+        renderSavedQueriesSelect();
+        nameInput.property("value", "");
+    });
+
+    window.d3.select("#query-visible-range-button").on("click", () => {
+        if (!svg || !xScale) return;
+        const [start, end] = window.d3.zoomTransform(svg.node()).rescaleX(xScale).domain();
+        window.d3.select(QUERY_START_INPUT_SELECTOR).property("value", toLocalISO(start));
+        window.d3.select(QUERY_END_INPUT_SELECTOR).property("value", toLocalISO(end));
+    });
+
+    window.d3.select("#run-query-button").on("click", async () => {
+        const timeperiod = readTimeperiod();
+        if (!timeperiod) {
+            showNotification("Please enter a valid time range (YYYY-MM-DD HH:MM:SS).");
+            return;
+        }
+        const queryText = textarea.property("value").trim();
+        if (!queryText) {
+            showNotification("Please enter a query.");
+            return;
+        }
+
+        resultContainer.html("<p class=\"ligth-font\">Running...</p>");
+        try {
+            const results = await runQuery(queryText, [timeperiod]);
+            lastResult = results[0];
+            renderQueryResult(lastResult, resultContainer);
+            window.d3.select("#show-query-on-timeline-button").property("disabled", !isEventList(lastResult));
+        } catch (error) {
+            lastResult = null;
+            resultContainer.html("");
+            resultContainer.append("p").attr("class", "query-error").text(error.message);
+            window.d3.select("#show-query-on-timeline-button").property("disabled", true);
+        }
+    });
+
+    window.d3.select("#show-query-on-timeline-button").on("click", () => {
+        if (!isEventList(lastResult)) return;
+        setQueryResultEvents(toTimelineEvents(lastResult));
+    });
+
+    window.d3.select("#clear-query-timeline-button").on("click", () => {
+        if (getQueryResultEvents().length === 0) return;
+        setQueryResultEvents([]);
+    });
+}
@@ -1,16 +1,66 @@
-import { formatDuration } from './utils.js';
-import { getAfkBucketId } from './state.js';
+import { formatDuration, getDomain, isEditorBucket, getPathBaseName, mergeIntervals, isGroupBucket } from './utils.js';
+
+const TOP_DOMAINS_COUNT = 10;
+
+/**
+ * Collects the active ('not-afk') intervals of every machine.
+ * @param {Array<Object>} allEvents - All events fetched from the API.
+ * @param {Array<string>} afkBucketIds - The AFK bucket IDs.
+ * @param {Object<string, string>} bucketHosts - Hostnames by bucket ID.
+ * @returns {Map<string, Array<[number, number]>>} Merged active intervals by hostname.
+ */
+function collectHostActiveIntervals(allEvents, afkBucketIds, bucketHosts) {
+    const intervalsByHost = new Map();
+    allEvents
+        .filter(e => afkBucketIds.includes(e.bucket) && e.data.status === 'not-afk')
+        .forEach(event => {
+            const host = bucketHosts[event.bucket] || event.bucket;
+            if (!intervalsByHost.has(host)) intervalsByHost.set(host, []);
+            intervalsByHost.get(host).push([event.timestamp.getTime(), event.timestamp.getTime() + event.duration * 1000]);
+        });
+    intervalsByHost.forEach((intervals, host) => intervalsByHost.set(host, mergeIntervals(intervals)));
+    return intervalsByHost;
+}
+
+/**
+ * Sums the overlap of a time range with sorted non-overlapping intervals.
+ * @param {Array<[number, number]>} intervals - Sorted non-overlapping intervals in milliseconds.
+ * @param {number} start - The range start in milliseconds.
+ * @param {number} end - The range end in milliseconds.
+ * @returns {number} The overlap in seconds.
+ */
+function sumOverlap(intervals, start, end) {
+    // The first interval that ends after the start
+    let low = 0;
+    let high = intervals.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (intervals[mid][1] <= start) low = mid + 1; else high = mid;
+    }
+    let overlap = 0;
+    for (let i = low; i < intervals.length && intervals[i][0] < end; i++) {
+        overlap += Math.min(end, intervals[i][1]) - Math.max(start, intervals[i][0]);
+    }
+    return overlap / 1000;
+}
 
 /**
  * Processes raw events to generate a task report.
+ * With AFK events of several machines, the clean time of each task is also broken down by machine:
+ * the time each machine was active, so the per-device times may add up to more than the merged total.
  * @param {Array<Object>} allEvents - All events fetched from the API, including processed stopwatch events with activitySegments.
+ * @param {Array<string>} [afkBucketIds=[]] - The AFK bucket IDs.
+ * @param {Object<string, string>} [bucketHosts={}] - Hostnames by bucket ID.
  * @returns {Array<Object>} An array of task report objects.
  */
-export function generateTaskReport(allEvents) {
+export function generateTaskReport(allEvents, afkBucketIds = [], bucketHosts = {}) {
     const taskMap = new Map();
+    const hostActiveIntervals = collectHostActiveIntervals(allEvents, afkBucketIds, bucketHosts);
+    if (hostActiveIntervals.size < 2) {
+        hostActiveIntervals.clear();
+    }
 
     const stopwatchEvents = allEvents.filter(e => e.bucket.startsWith('aw-stopwatch') && e.activitySegments);
-    const afkBucketId = getAfkBucketId();
 
     for (const swEvent of stopwatchEvents) {
         const label = swEvent.data.label || 'Untitled';
@@ -20,6 +70,7 @@ export function generateTaskReport(allEvents) {
                 label: label,
                 totalCleanTime: 0,
                 dailyBreakdown: new Map(),
+                hostTimes: new Map(),
                 startDate: null,
                 endDate: null,
             });
@@ -33,6 +84,12 @@ export function generateTaskReport(allEvents) {
 
                 const segmentDate = segment.startTimestamp.toISOString().split('T')[0]; // YYYY-MM-DD
                 task.dailyBreakdown.set(segmentDate, (task.dailyBreakdown.get(segmentDate) || 0) + segment.duration);
+
+                const segmentStart = segment.startTimestamp.getTime();
+                hostActiveIntervals.forEach((intervals, host) => {
+                    const hostTime = sumOverlap(intervals, segmentStart, segmentStart + segment.duration * 1000);
+                    task.hostTimes.set(host, (task.hostTimes.get(host) || 0) + hostTime);
+                });
             }
         }
 
@@ -62,12 +119,92 @@ export function generateTaskReport(allEvents) {
             totalCleanTimeFormatted: formatDuration(task.totalCleanTime, false), // Format to Hh Mm
             totalCleanTimeRaw: task.totalCleanTime, // Keep raw for sorting
             dailyBreakdown: sortedDailyBreakdown,
+            hostBreakdown: Array.from(task.hostTimes.entries())
+                .filter(([, duration]) => duration > 0)
+                .sort((a, b) => b[1] - a[1])
+                .map(([host, duration]) => `${host}: ${formatDuration(duration, false)}`),
         };
     });
 
     return report.sort((a, b) => b.totalCleanTimeRaw - a.totalCleanTimeRaw); // Sort by total clean time
 }
 
+/**
+ * Sums the time of browser watcher (aw-watcher-web) events by domain.
+ * @param {Array<Object>} allEvents - All events fetched from the API.
+ * @param {number} [limit=TOP_DOMAINS_COUNT] - The maximum number of domains.
+ * @returns {Array<{domain: string, totalTimeFormatted: string, totalTimeRaw: number, share: number}>} The domains
+ * with the most time, sorted by time; the share is relative to the time of all browser events.
+ */
+export function generateDomainReport(allEvents, limit = TOP_DOMAINS_COUNT) {
+    const domainDurations = new Map();
+    allEvents
+        .filter(e => e.bucket.startsWith('aw-watcher-web') && !isGroupBucket(e.bucket))
+        .forEach(event => {
+            const domain = getDomain(event.data.url) || 'Unknown';
+            domainDurations.set(domain, (domainDurations.get(domain) || 0) + event.duration);
+        });
+
+    const totalTime = Array.from(domainDurations.values()).reduce((sum, duration) => sum + duration, 0);
+    return Array.from(domainDurations.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([domain, duration]) => ({
+            domain: domain,
+            totalTimeFormatted: formatDuration(duration, false),
+            totalTimeRaw: duration,
+            share: totalTime > 0 ? duration / totalTime : 0,
+        }));
+}
+
+/**
+ * Sorts durations by key, longest first.
+ * @param {Map<string, number>} durations - Durations in seconds by key.
+ * @returns {Array<[string, number]>} Key and duration pairs, longest first.
+ */
+function sortDurations(durations) {
+    return Array.from(durations.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Rolls up the time of editor watcher (VS Code, JetBrains...) events per project and per language.
+ * @param {Array<Object>} allEvents - All events fetched from the API.
+ * @returns {{projects: Array<Object>, languages: Array<Object>}} Projects with their main languages
+ * and languages, sorted by time.
+ */
+export function generateEditorReport(allEvents) {
+    const projectDurations = new Map();
+    const projectLanguageDurations = new Map();
+    const languageDurations = new Map();
+
+    allEvents.filter(e => isEditorBucket(e.bucket)).forEach(event => {
+        const project = event.data.project || '';
+        const language = event.data.language || 'unknown';
+        projectDurations.set(project, (projectDurations.get(project) || 0) + event.duration);
+        languageDurations.set(language, (languageDurations.get(language) || 0) + event.duration);
+
+        if (!projectLanguageDurations.has(project)) projectLanguageDurations.set(project, new Map());
+        const languages = projectLanguageDurations.get(project);
+        languages.set(language, (languages.get(language) || 0) + event.duration);
+    });
+
+    return {
+        projects: sortDurations(projectDurations).map(([project, duration]) => ({
+            project: project,
+            name: getPathBaseName(project) || 'Unknown project',
+            totalTimeFormatted: formatDuration(duration, false),
+            totalTimeRaw: duration,
+            languages: sortDurations(projectLanguageDurations.get(project))
+                .map(([language, languageDuration]) => `${language}: ${formatDuration(languageDuration, false)}`),
+        })),
+        languages: sortDurations(languageDurations).map(([language, duration]) => ({
+            language: language,
+            totalTimeFormatted: formatDuration(duration, false),
+            totalTimeRaw: duration,
+        })),
+    };
+}
+
 /**
  * Renders the task report into the specified container.
  * @param {Array<Object>} reportData - The array of task report objects.
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Модуль для управления профилями подключения к серверам ActivityWatch.
+ * @module serverProfiles
+ */
+
+import { setApiBaseUrl, probeServer } from './api.js';
+import { showNotification } from './notification.js';
+
+const SERVER_PROFILES_STORAGE_KEY = "serverProfiles";
+const ACTIVE_SERVER_PROFILE_STORAGE_KEY = "activeServerProfile";
+const SERVER_PROFILES_BUTTON_SELECTOR = "#server-profiles-button";
+const SERVER_PROFILE_LIST_SELECTOR = "#server-profile-list";
+const SERVER_PROFILE_NAME_INPUT_SELECTOR = "#server-profile-name-input";
+const SERVER_PROFILE_URL_INPUT_SELECTOR = "#server-profile-url-input";
+const ADD_SERVER_PROFILE_BUTTON_SELECTOR = "#add-server-profile-button";
+
+const DEFAULT_SERVER_PROFILES = [
+    { id: "local", name: "Local", url: "http://localhost:5600" },
+];
+
+/**
+ * Загружает список профилей серверов из локального хранилища.
+ * @returns {Array<{id: string, name: string, url: string}>} Массив профилей.
+ */
+export function loadServerProfiles() {
+    const profilesString = localStorage.getItem(SERVER_PROFILES_STORAGE_KEY);
+    if (!profilesString) {
+        return DEFAULT_SERVER_PROFILES.map(profile => ({ ...profile }));
+    }
+    try {
+        const profiles = JSON.parse(profilesString);
+        return Array.isArray(profiles) && profiles.length > 0 ? profiles : DEFAULT_SERVER_PROFILES.map(profile => ({ ...profile }));
+    } catch (e) {
+        console.error("Failed to parse server profiles from localStorage, resetting.", e);
+        return DEFAULT_SERVER_PROFILES.map(profile => ({ ...profile }));
+    }
+}
+
+/**
+ * Сохраняет список профилей серверов в локальное хранилище.
+ * @param {Array<{id: string, name: string, url: string}>} profiles - Массив профилей.
+ */
+export function saveServerProfiles(profiles) {
+    localStorage.setItem(SERVER_PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Возвращает активный профиль сервера (или первый профиль, если активный не найден).
+ * @returns {{id: string, name: string, url: string}} Активный профиль.
+ */
+export function getActiveServerProfile() {
+    const profiles = loadServerProfiles();
+    const activeId = localStorage.getItem(ACTIVE_SERVER_PROFILE_STORAGE_KEY);
+    return profiles.find(profile => profile.id === activeId) || profiles[0];
+}
+
+/**
+ * Проверяет и нормализует URL сервера: допускаются только http/https, завершающий слэш удаляется.
+ * @param {string} url - Введенный пользователем URL.
+ * @returns {string} Нормализованный URL.
+ * @throws {Error} Если URL некорректен.
+ */
+export function normalizeServerUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url.trim());
+    } catch (e) {
+        throw new Error(`"${url}" is not a valid URL. Example: http://localhost:5600`);
+    }
+    if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
+        throw new Error(`Unsupported protocol "${parsedUrl.protocol}", use http or https.`);
+    }
+    return `${parsedUrl.origin}${parsedUrl.pathname}`.replace(/\/+$/, "");
+}
+
+/**
+ * Применяет активный профиль: все последующие API-запросы пойдут на его сервер.
+ * @returns {{id: string, name: string, url: string}} Примененный профиль.
+ */
+export function applyActiveServerProfile() {
+    const profile = getActiveServerProfile();
+    setApiBaseUrl(profile.url);
+    updateServerProfilesButton(profile);
+    return profile;
+}
+
+/**
+ * Переключается на другой профиль сервера. Сервер предварительно проверяется через `/api/0/info`,
+ * и при ошибке показывается одно понятное уведомление, а текущий профиль остается активным.
+ * @param {string} profileId - ID профиля, на который нужно переключиться.
+ * @param {function(): Promise<void>} onSwitched - Функция обратного вызова, вызываемая после успешного переключения.
+ * @returns {Promise<boolean>} true, если переключение удалось.
+ */
+export async function switchServerProfile(profileId, onSwitched) {
+    const profile = loadServerProfiles().find(p => p.id === profileId);
+    if (!profile) return false;
+
+    try {
+        await probeServer(profile.url);
+    } catch (error) {
+        showNotification(`Cannot switch to "${profile.name}": ${error.message}`, 5000);
+        return false;
+    }
+
+    localStorage.setItem(ACTIVE_SERVER_PROFILE_STORAGE_KEY, profile.id);
+    applyActiveServerProfile();
+    showNotification(`Connected to "${profile.name}" (${profile.url})`);
+    await onSwitched();
+    return true;
+}
+
+/**
+ * Обновляет подпись кнопки открытия панели серверов.
+ * @param {{name: string}} profile - Активный профиль.
+ */
+function updateServerProfilesButton(profile) {
+    window.d3.select(SERVER_PROFILES_BUTTON_SELECTOR).text(`Server: ${profile.name}`);
+}
+
+/**
+ * Рендерит панель профилей серверов: список профилей с возможностью переключения и удаления,
+ * а также форму добавления нового профиля.
+ * @param {d3.Selection} panelContainer - D3-выборка панели.
+ * @param {function(): Promise<void>} onSwitched - Функция обратного вызова, вызываемая после переключения сервера.
+ */
+export function renderServerProfilesPanel(panelContainer, onSwitched) {
+    const list = window.d3.select(SERVER_PROFILE_LIST_SELECTOR);
+    list.html("");
+
+    const profiles = loadServerProfiles();
+    const activeProfile = getActiveServerProfile();
+
+    profiles.forEach(profile => {
+        const row = list.append("div")
+            .attr("class", "server-profile-item")
+            .classed("active", profile.id === activeProfile.id);
+
+        const label = row.append("label");
+        label.append("input")
+            .attr("type", "radio")
+            .attr("name", "server-profile")
+            .attr("value", profile.id)
+            .property("checked", profile.id === activeProfile.id)
+            .on("change", async () => {
+                await switchServerProfile(profile.id, onSwitched);
+                // Re-render either way: a failed switch must restore the checked radio of the active profile
+                renderServerProfilesPanel(panelContainer, onSwitched);
+            });
+        label.append("span").attr("class", "server-profile-name").text(profile.name);
+        label.append("span").attr("class", "server-profile-url ligth-font").text(profile.url);
+
+        if (profiles.length > 1 && profile.id !== activeProfile.id) {
+            row.append("button")
+                .attr("type", "button")
+                .attr("class", "delete")
+                .text("×")
+                .attr("title", `Remove "${profile.name}"`)
+                .on("click", () => {
+                    saveServerProfiles(loadServerProfiles().filter(p => p.id !== profile.id));
+                    renderServerProfilesPanel(panelContainer, onSwitched);
+                });
+        }
+    });
+
+    window.d3.select(ADD_SERVER_PROFILE_BUTTON_SELECTOR).on("click", () => {
+        const nameInput = window.d3.select(SERVER_PROFILE_NAME_INPUT_SELECTOR);
+        const urlInput = window.d3.select(SERVER_PROFILE_URL_INPUT_SELECTOR);
+
+        let url;
+        try {
+            url = normalizeServerUrl(urlInput.property("value"));
+        } catch (error) {
+            showNotification(error.message, 5000);
+            return;
+        }
+        const name = nameInput.property("value").trim() || url;
+
+        const currentProfiles = loadServerProfiles();
+        if (currentProfiles.some(p => p.url === url)) {
+            showNotification(`A profile for ${url} already exists.`);
+            return;
+        }
+        currentProfiles.push({ id: `profile-${Date.now()}`, name: name, url: url });
+        saveServerProfiles(currentProfiles);
+
+        nameInput.property("value", "");
+        urlInput.property("value", "");
+        renderServerProfilesPanel(panelContainer, onSwitched);
+    });
+
+    panelContainer.style("display", "block");
+}
+
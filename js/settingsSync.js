@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Модуль синхронизации настроек интерфейса с сервером через `/api/0/settings/{key}`.
+ * Настройки по-прежнему хранятся в localStorage (это запасной вариант без сети),
+ * а на сервер отправляется их копия вместе со временем последнего изменения.
+ * Конфликты решаются по времени изменения: побеждает более новая копия.
+ * @module settingsSync
+ */
+
+import { fetchSetting, saveSetting } from './api.js';
+import { showNotification } from './notification.js';
+import { formatDateTime } from './utils.js';
+
+const SETTINGS_SERVER_KEY = "aw-webui-sg.settings";
+const SETTINGS_MODIFIED_STORAGE_KEY = "settingsModified";
+const SETTINGS_SYNCED_STORAGE_KEY = "settingsSynced";
+const PUSH_DELAY_MS = 2000;
+const SYNC_STATUS_SELECTOR = "#settings-sync-status";
+
+/**
+ * Шаблоны ключей localStorage, которые синхронизируются с сервером.
+ * @type {Array<RegExp>}
+ */
+const SYNCED_KEY_PATTERNS = [
+    /^colorRules$/,
+    /^visibleBuckets$/,
+    /^savedQueries$/,
+    /^trackingMode$/,
+    /^windowGrouping$/,
+    /^untrackedGapThreshold$/,
+    /^editorProjectLinks$/,
+    /^titleNormalization$/,
+    /^zoom-.+-value$/,
+    /Position$/,
+    /Width$/,
+];
+
+let pushTimeoutId = null;
+
+/**
+ * Проверяет, синхронизируется ли ключ localStorage с сервером.
+ * @param {string} key - Ключ localStorage.
+ * @returns {boolean} true, если ключ синхронизируется.
+ */
+export function isSyncedKey(key) {
+    return SYNCED_KEY_PATTERNS.some(pattern => pattern.test(key));
+}
+
+/**
+ * Сохраняет синхронизируемую настройку в localStorage, отмечает время изменения
+ * и планирует отправку настроек на сервер.
+ * @param {string} key - Ключ localStorage.
+ * @param {string} value - Значение.
+ */
+export function setSyncedSetting(key, value) {
+    localStorage.setItem(key, value);
+    localStorage.setItem(SETTINGS_MODIFIED_STORAGE_KEY, new Date().toISOString());
+    schedulePush();
+}
+
+/**
+ * Удаляет синхронизируемую настройку из localStorage (действует значение по умолчанию), отмечает время изменения
+ * и планирует отправку настроек на сервер.
+ * @param {string} key - Ключ localStorage.
+ */
+export function removeSyncedSetting(key) {
+    localStorage.removeItem(key);
+    localStorage.setItem(SETTINGS_MODIFIED_STORAGE_KEY, new Date().toISOString());
+    schedulePush();
+}
+
+/**
+ * Собирает все синхронизируемые настройки из localStorage.
+ * @returns {{modified: string|null, values: Object<string, string>}} Настройки и время их последнего изменения.
+ */
+function collectLocalSettings() {
+    const values = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (isSyncedKey(key)) {
+            values[key] = localStorage.getItem(key);
+        }
+    }
+    return { modified: localStorage.getItem(SETTINGS_MODIFIED_STORAGE_KEY), values: values };
+}
+
+/**
+ * Записывает полученные с сервера настройки в localStorage.
+ * @param {{modified: string, values: Object<string, string>}} settings - Настройки с сервера.
+ */
+function applySettings(settings) {
+    Object.entries(settings.values || {}).forEach(([key, value]) => {
+        if (isSyncedKey(key) && typeof value === 'string') {
+            localStorage.setItem(key, value);
+        }
+    });
+    localStorage.setItem(SETTINGS_MODIFIED_STORAGE_KEY, settings.modified);
+}
+
+/**
+ * Запоминает время успешной синхронизации и обновляет строку состояния.
+ */
+function markSynced() {
+    localStorage.setItem(SETTINGS_SYNCED_STORAGE_KEY, new Date().toISOString());
+    renderSyncStatus();
+}
+
+/**
+ * Откладывает отправку настроек, чтобы серия изменений (например, перетаскивание панели) ушла одним запросом.
+ */
+function schedulePush() {
+    clearTimeout(pushTimeoutId);
+    pushTimeoutId = setTimeout(() => {
+        pushSettings().catch(error => console.warn("Settings will be pushed later, the server is not reachable:", error));
+    }, PUSH_DELAY_MS);
+}
+
+/**
+ * Отправляет локальные настройки на сервер.
+ * @returns {Promise<void>}
+ */
+export async function pushSettings() {
+    const settings = collectLocalSettings();
+    if (!settings.modified) {
+        settings.modified = new Date().toISOString();
+        localStorage.setItem(SETTINGS_MODIFIED_STORAGE_KEY, settings.modified);
+    }
+    await saveSetting(SETTINGS_SERVER_KEY, settings);
+    markSynced();
+}
+
+/**
+ * Загружает настройки с сервера и применяет их локально.
+ * @param {function(): Promise<void>} onApplied - Функция обратного вызова для применения настроек к интерфейсу.
+ * @returns {Promise<boolean>} true, если на сервере были настройки и они применены.
+ */
+export async function pullSettings(onApplied) {
+    const remoteSettings = await fetchSetting(SETTINGS_SERVER_KEY);
+    if (!remoteSettings || !remoteSettings.values) {
+        return false;
+    }
+    applySettings(remoteSettings);
+    markSynced();
+    await onApplied();
+    return true;
+}
+
+/**
+ * Синхронизирует настройки при запуске: более новая копия (локальная или серверная) побеждает.
+ * Ошибки сети не прерывают запуск — интерфейс продолжает работать с локальными настройками.
+ * @param {function(): Promise<void>} onApplied - Функция обратного вызова для применения настроек к интерфейсу.
+ */
+export async function syncSettings(onApplied) {
+    try {
+        const remoteSettings = await fetchSetting(SETTINGS_SERVER_KEY);
+        const localModified = localStorage.getItem(SETTINGS_MODIFIED_STORAGE_KEY);
+
+        if (!remoteSettings || !remoteSettings.values) {
+            await pushSettings();
+        } else if (!localModified || new Date(remoteSettings.modified) > new Date(localModified)) {
+            applySettings(remoteSettings);
+            markSynced();
+            await onApplied();
+        } else if (new Date(localModified) > new Date(remoteSettings.modified)) {
+            await pushSettings();
+        } else {
+            markSynced();
+        }
+    } catch (error) {
+        console.warn("Settings sync failed, using local settings:", error);
+        renderSyncStatus();
+    }
+}
+
+/**
+ * Обновляет строку состояния синхронизации в панели настроек.
+ */
+export function renderSyncStatus() {
+    const status = window.d3.select(SYNC_STATUS_SELECTOR);
+    if (status.empty()) return;
+
+    const modified = localStorage.getItem(SETTINGS_MODIFIED_STORAGE_KEY);
+    const synced = localStorage.getItem(SETTINGS_SYNCED_STORAGE_KEY);
+    status.text(`Changed: ${modified ? formatDateTime(new Date(modified)) : "never"}, synced: ${synced ? formatDateTime(new Date(synced)) : "never"}`);
+}
+
+/**
+ * Устанавливает обработчики кнопок ручной синхронизации.
+ * @param {function(): Promise<void>} onApplied - Функция обратного вызова для применения настроек к интерфейсу.
+ */
+export function setupSettingsSyncControls(onApplied) {
+    renderSyncStatus();
+
+    window.d3.select("#pull-settings-button").on("click", async () => {
+        try {
+            if (await pullSettings(onApplied)) {
+                showNotification("Settings pulled from the server.");
+            } else {
+                showNotification("There are no settings on the server yet.");
+            }
+        } catch (error) {
+            console.error("Failed to pull settings:", error);
+            showNotification(`Failed to pull settings: ${error.message}`, 5000);
+        }
+    });
+
+    window.d3.select("#push-settings-button").on("click", async () => {
+        try {
+            await pushSettings();
+            showNotification("Settings pushed to the server.");
+        } catch (error) {
+            console.error("Failed to push settings:", error);
+            showNotification(`Failed to push settings: ${error.message}`, 5000);
+        }
+    });
+}
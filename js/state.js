@@ -1,5 +1,7 @@
 /**
  * @fileoverview Модуль для централизованного управления состоянием приложения.
+ * Представления подписываются на нужные им части состояния через `subscribe` и перерисовываются сами,
+ * поэтому изменение состояния не требует знать, кто от него зависит.
  * @module state
  */
 
@@ -10,15 +12,103 @@
  * @property {Array<Object>} allEventsData - Все загруженные данные о событиях.
  * @property {Array<string>} visibleBuckets - ID "корзин", которые в данный момент отображаются.
  * @property {Array<Object>} colorRules - Правила раскраски событий.
- * @property {string|null} afkBucketId - ID "корзины" для AFK-событий.
+ * @property {Array<string>} afkBucketIds - ID "корзин" AFK-событий всех устройств.
+ * @property {Object<string, string>} bucketHosts - Имя устройства (hostname) по ID "корзины".
+ * @property {Array<Object>} queryResultEvents - События результата запроса, показываемые на таймлайне как виртуальная "корзина".
+ * @property {{start: Date, end: Date}|null} viewRange - Видимый на таймлайне период.
+ * @property {Object|null} windowGroupingOptions - Параметры группировки событий окон (null — параметры по умолчанию).
  */
 let appState = {
     allEventsData: [],
     visibleBuckets: [],
     colorRules: [],
-    afkBucketId: null,
+    afkBucketIds: [],
+    bucketHosts: {},
+    queryResultEvents: [],
+    viewRange: null,
+    windowGroupingOptions: null,
 };
 
+/**
+ * Часть состояния, на изменения которой можно подписаться.
+ * @typedef {'events'|'visibleBuckets'|'colorRules'|'queryResults'|'viewRange'|'windowGrouping'} StateSlice
+ */
+
+/**
+ * Вид изменения событий, от слабого к сильному: 'extend' — продлены запущенные события,
+ * 'merge' — добавлены или изменены отдельные события, 'reload' — события загружены заново.
+ * @typedef {'extend'|'merge'|'reload'} EventsChange
+ */
+const EVENTS_CHANGE_ORDER = ['extend', 'merge', 'reload'];
+
+/**
+ * Подписчики по частям состояния.
+ * @private
+ * @type {Map<StateSlice, Set<function(Set<StateSlice>, EventsChange|null): void>>}
+ */
+const listeners = new Map();
+
+let changedSlices = new Set();
+let pendingEventsChange = null;
+let isFlushScheduled = false;
+
+/**
+ * Подписывает функцию на изменения частей состояния. Изменения, сделанные подряд в одной задаче,
+ * объединяются: функция вызывается один раз в микрозадаче после них, даже если изменилось несколько частей.
+ * @param {StateSlice|Array<StateSlice>} slices - Часть состояния или список частей.
+ * @param {function(Set<StateSlice>, EventsChange|null): void} listener - Функция, получающая изменившиеся части
+ * и вид изменения событий (null, если события не менялись).
+ * @returns {function(): void} Функция отмены подписки.
+ */
+export function subscribe(slices, listener) {
+    const sliceList = Array.isArray(slices) ? slices : [slices];
+    sliceList.forEach(slice => {
+        if (!listeners.has(slice)) {
+            listeners.set(slice, new Set());
+        }
+        listeners.get(slice).add(listener);
+    });
+    return () => sliceList.forEach(slice => listeners.get(slice).delete(listener));
+}
+
+/**
+ * Отмечает часть состояния как измененную и планирует уведомление подписчиков.
+ * @param {StateSlice} slice - Изменившаяся часть состояния.
+ */
+function notify(slice) {
+    changedSlices.add(slice);
+    if (isFlushScheduled) return;
+    isFlushScheduled = true;
+    queueMicrotask(flush);
+}
+
+/**
+ * Уведомляет подписчиков обо всех накопленных изменениях.
+ */
+function flush() {
+    const slices = changedSlices;
+    const eventsChange = pendingEventsChange;
+    changedSlices = new Set();
+    pendingEventsChange = null;
+    isFlushScheduled = false;
+
+    const calledListeners = new Set();
+    slices.forEach(slice => {
+        (listeners.get(slice) || []).forEach(listener => {
+            if (calledListeners.has(listener)) return;
+            calledListeners.add(listener);
+            try {
+                const result = listener(slices, eventsChange);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(error => console.error(`State listener for "${slice}" failed:`, error));
+                }
+            } catch (error) {
+                console.error(`State listener for "${slice}" failed:`, error);
+            }
+        });
+    });
+}
+
 /**
  * Возвращает текущее состояние приложения.
  * @returns {object} Объект состояния приложения.
@@ -30,9 +120,15 @@ export function getAppState() {
 /**
  * Устанавливает все данные о событиях.
  * @param {Array<Object>} data - Массив объектов событий.
+ * @param {EventsChange} [change='reload'] - Вид изменения; представления могут обновиться на месте,
+ * если события не загружались заново.
  */
-export function setAllEventsData(data) {
+export function setAllEventsData(data, change = 'reload') {
     appState.allEventsData = data;
+    if (EVENTS_CHANGE_ORDER.indexOf(change) > EVENTS_CHANGE_ORDER.indexOf(pendingEventsChange)) {
+        pendingEventsChange = change;
+    }
+    notify('events');
 }
 
 /**
@@ -49,6 +145,7 @@ export function getAllEventsData() {
  */
 export function setVisibleBuckets(buckets) {
     appState.visibleBuckets = buckets;
+    notify('visibleBuckets');
 }
 
 /**
@@ -65,6 +162,7 @@ export function getVisibleBuckets() {
  */
 export function setColorRules(rules) {
     appState.colorRules = rules;
+    notify('colorRules');
 }
 
 /**
@@ -76,17 +174,96 @@ export function getColorRules() {
 }
 
 /**
- * Устанавливает ID AFK-корзины.
- * @param {string|null} id - ID AFK-корзины.
+ * Устанавливает ID AFK-корзин; у каждого устройства своя AFK-корзина.
+ * @param {Array<string>} ids - ID AFK-корзин.
+ */
+export function setAfkBucketIds(ids) {
+    appState.afkBucketIds = ids;
+}
+
+/**
+ * Возвращает ID AFK-корзин всех устройств.
+ * @returns {Array<string>} ID AFK-корзин.
+ */
+export function getAfkBucketIds() {
+    return appState.afkBucketIds;
+}
+
+/**
+ * Возвращает ID AFK-корзин выбранных устройств: видимые AFK-корзины, а если ни одна не видима — все.
+ * @returns {Array<string>} ID AFK-корзин.
+ */
+export function getSelectedAfkBucketIds() {
+    const visibleAfkBucketIds = appState.afkBucketIds.filter(id => appState.visibleBuckets.includes(id));
+    return visibleAfkBucketIds.length > 0 ? visibleAfkBucketIds : appState.afkBucketIds;
+}
+
+/**
+ * Устанавливает имена устройств "корзин".
+ * @param {Object<string, string>} hosts - Имя устройства по ID "корзины".
+ */
+export function setBucketHosts(hosts) {
+    appState.bucketHosts = hosts;
+}
+
+/**
+ * Возвращает имена устройств "корзин".
+ * @returns {Object<string, string>} Имя устройства по ID "корзины".
+ */
+export function getBucketHosts() {
+    return appState.bucketHosts;
+}
+
+/**
+ * Устанавливает события результата запроса для виртуальной "корзины" на таймлайне.
+ * @param {Array<Object>} events - Массив объектов событий.
+ */
+export function setQueryResultEvents(events) {
+    appState.queryResultEvents = events;
+    notify('queryResults');
+}
+
+/**
+ * Возвращает события результата запроса.
+ * @returns {Array<Object>} Массив объектов событий.
+ */
+export function getQueryResultEvents() {
+    return appState.queryResultEvents;
+}
+
+/**
+ * Устанавливает видимый на таймлайне период.
+ * @param {Date} start - Начало периода.
+ * @param {Date} end - Конец периода.
+ */
+export function setViewRange(start, end) {
+    const current = appState.viewRange;
+    if (current && current.start.getTime() === start.getTime() && current.end.getTime() === end.getTime()) return;
+    appState.viewRange = { start, end };
+    notify('viewRange');
+}
+
+/**
+ * Возвращает видимый на таймлайне период.
+ * @returns {{start: Date, end: Date}|null} Видимый период или null, если таймлайн еще не построен.
+ */
+export function getViewRange() {
+    return appState.viewRange;
+}
+
+/**
+ * Устанавливает параметры группировки событий окон.
+ * @param {Object|null} options - Параметры группировки (см. `DEFAULT_WINDOW_GROUPING_OPTIONS` в events.js).
  */
-export function setAfkBucketId(id) {
-    appState.afkBucketId = id;
+export function setWindowGroupingOptions(options) {
+    appState.windowGroupingOptions = options;
+    notify('windowGrouping');
 }
 
 /**
- * Возвращает ID AFK-корзины.
- * @returns {string|null} ID AFK-корзины.
+ * Возвращает параметры группировки событий окон.
+ * @returns {Object|null} Параметры группировки или null, если используются параметры по умолчанию.
  */
-export function getAfkBucketId() {
-    return appState.afkBucketId;
+export function getWindowGroupingOptions() {
+    return appState.windowGroupingOptions;
 }
@@ -1,8 +1,7 @@
-import { formatAbsoluteTime, formatRelativeTime, generateRelativeTimeTicks } from './utils.js';
-import { getAllEventsData, getVisibleBuckets, getColorRules } from './state.js';
-import { renderLatestEventsTable } from './ui.js';
-import { renderEventPoints } from './timelineRenderer.js';
-import { groupWindowWatcherEvents } from './events.js';
+import { formatAbsoluteTime, formatRelativeTime, generateRelativeTimeTicks, isGroupBucket } from './utils.js';
+import { getAllEventsData, getVisibleBuckets, getColorRules, getQueryResultEvents, getBucketHosts, setViewRange, subscribe } from './state.js';
+import { renderEventPoints, extendEventPoints } from './timelineRenderer.js';
+import { applyPendingOperations } from './outbox.js';
 import { setupTimelineHoverInteraction, panAndZoomToEvent, zoomToRange, resetHoverElements } from './timelineInteraction.js';
 
 const SVG_SELECTOR = "#timeline-svg";
@@ -34,11 +33,12 @@ export function setupChart(events, chartWidth, chartHeight) {
         .domain(timeExtent)
         .range([0, width]);
 
-    const uniqueBuckets = [...new Set(events.map(d => d.bucket))].sort();
+    const uniqueBuckets = orderLanes([...new Set(events.map(d => d.bucket))]);
     yScale = d3.scalePoint()
         .domain(uniqueBuckets)
         .range([height - 22, 22])
         .padding(0.5);
+    renderHostLabels(uniqueBuckets);
 
     const xAxis = window.d3.axisBottom(xScale)
         .tickFormat(d => formatAbsoluteTime(d, xScale.domain()));
@@ -61,6 +61,66 @@ export function setupChart(events, chartWidth, chartHeight) {
     return { svg, g, xScale, yScale, xAxisGroup, xAxisTopGroup, timeExtent };
 }
 
+/**
+ * Orders the bucket lanes alphabetically. With buckets of several machines the lanes of each machine
+ * are kept together, and pseudo-buckets (window groups, query results) that belong to no machine come last.
+ * @param {Array<string>} buckets - The bucket IDs of the lanes.
+ * @returns {Array<string>} The ordered bucket IDs.
+ */
+function orderLanes(buckets) {
+    const bucketHosts = getBucketHosts();
+    const sortedBuckets = [...buckets].sort();
+    const hosts = new Set(sortedBuckets.map(bucket => bucketHosts[bucket]).filter(host => host !== undefined));
+    if (hosts.size < 2) return sortedBuckets;
+
+    const getHostOrder = bucket => bucketHosts[bucket] === undefined ? null : bucketHosts[bucket];
+    return sortedBuckets.sort((a, b) => {
+        const hostA = getHostOrder(a);
+        const hostB = getHostOrder(b);
+        if (hostA === hostB) return 0;
+        if (hostA === null) return 1;
+        if (hostB === null) return -1;
+        return hostA.localeCompare(hostB);
+    });
+}
+
+/**
+ * Draws a separator and the hostname above the lanes of each machine when the lanes come from several machines.
+ * @param {Array<string>} lanes - The ordered bucket IDs of the lanes, see orderLanes.
+ */
+function renderHostLabels(lanes) {
+    const bucketHosts = getBucketHosts();
+    const hostBlocks = [];
+    lanes.forEach(bucket => {
+        const host = bucketHosts[bucket] === undefined ? null : bucketHosts[bucket];
+        const lastBlock = hostBlocks[hostBlocks.length - 1];
+        if (lastBlock && lastBlock.host === host) {
+            lastBlock.topLane = bucket;
+        } else {
+            hostBlocks.push({ host, topLane: bucket });
+        }
+    });
+    if (hostBlocks.filter(block => block.host !== null).length < 2) return;
+
+    // The first lane is at the bottom, so the top edge of a block is half a step above its last lane
+    const hostLabels = g.append("g").attr("class", "host-labels");
+    hostBlocks.filter(block => block.host !== null).forEach(block => {
+        const top = yScale(block.topLane) - yScale.step() / 2;
+        hostLabels.append("line")
+            .attr("class", "host-separator")
+            .attr("x1", 0)
+            .attr("x2", width)
+            .attr("y1", top)
+            .attr("y2", top);
+        hostLabels.append("text")
+            .attr("class", "host-label")
+            .attr("x", width - 4)
+            .attr("y", top + 12)
+            .attr("text-anchor", "end")
+            .text(block.host || "Unknown host");
+    });
+}
+
 /**
  * Sets up the D3 zoom behavior for the SVG.
  */
@@ -83,6 +143,8 @@ export function setupZoom() {
         })
         .on("zoom", (event) => {
             const newXScale = event.transform.rescaleX(xScale);
+            const [viewStart, viewEnd] = newXScale.domain();
+            setViewRange(viewStart, viewEnd);
             xAxisGroup.call(window.d3.axisBottom(newXScale).tickFormat(d => formatAbsoluteTime(d, newXScale.domain())));
             xAxisTopGroup.call(window.d3.axisTop(newXScale)
                 .tickValues(generateRelativeTimeTicks(newXScale, width))
@@ -124,7 +186,39 @@ export function setupZoom() {
 }
 
 /**
- * Redraws the timeline based on the currently visible buckets.
+ * Builds the list of events shown on the timeline: events of the visible buckets,
+ * window watcher groups, browser watcher domain groups and the query result pseudo-bucket.
+ * The groups are built by the processing worker with the events (see processLoadedEvents), not here.
+ * @param {Array<Object>} allEvents - The complete array of all fetched events.
+ * @param {Array<string>} visibleBuckets - Array of bucket names that should be visible.
+ * @returns {Array<Object>} The events to render.
+ */
+function buildTimelineEvents(allEvents, visibleBuckets) {
+    // Changes waiting in the outbox are shown as provisional events.
+    // Until the events are reloaded after a bucket is hidden, the groups of its events are hidden with it.
+    const filteredEvents = applyPendingOperations(allEvents).filter(event => isGroupBucket(event.bucket)
+        ? event.data.events.some(groupedEvent => visibleBuckets.includes(groupedEvent.bucket))
+        : visibleBuckets.includes(event.bucket));
+
+    return filteredEvents.concat(getQueryResultEvents());
+}
+
+/**
+ * Builds a string that changes whenever the rendered look of an event changes.
+ * @param {Object} d - The event data object.
+ * @returns {string} The event signature.
+ */
+function getEventSignature(d) {
+    const segments = d.activitySegments
+        ? d.activitySegments.map(segment => `${segment.startTimestamp.getTime()}+${segment.duration}:${segment.status}`).join(',')
+        : '';
+    const data = isGroupBucket(d.bucket) ? `${d.data.app}:${d.data.events.length}` : JSON.stringify(d.data);
+    return `${d.bucket}|${d.timestamp.getTime()}|${d.duration}|${segments}|${data}`;
+}
+
+/**
+ * Updates the timeline in place: only new, changed and removed events are re-rendered,
+ * and the current zoom transform is kept.
  * @param {Array<Object>} allEvents - The complete array of all fetched events.
  * @param {Array<string>} visibleBuckets - Array of bucket names that should be visible.
  * @param {d3.Selection} infoPanel - The D3 selection for the info panel.
@@ -132,29 +226,55 @@ export function setupZoom() {
  * @param {d3.Selection} dataPre - The D3 selection for the pre element to display data.
  * @param {function} renderEventTableCallback - Callback to render event info table.
  * @param {function} renderEventEditPanelCallback - Callback to render event edit panel.
- * @param {function} zoomToEventCallback - Callback to zoom/pan the timeline to a specific event.
- * @param {d3.Selection} newEventLabelInput - The D3 selection for the new event label input field.
+ * @returns {boolean} false if the events need a new bucket lane and a full redraw is required instead.
  */
-export async function redrawTimeline(allEvents, visibleBuckets, infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback, zoomToEventCallback, newEventLabelInput) {
-    const filteredEvents = allEvents.filter(event => visibleBuckets.includes(event.bucket));
-
-    // Group window watcher events
-    const windowGroups = groupWindowWatcherEvents(filteredEvents);
-
-    const groupedEvents = windowGroups.map((group) => ({
-        id: group.id,
-        bucket: 'aw-watcher-window-group',
-        timestamp: group.startTime,
-        duration: group.totalDuration,
-        data: {
-            app: group.app,
-            titleDurations: group.titleDurations,
-            events: group.events
-        }
-    }));
+export function updateTimelineEvents(allEvents, visibleBuckets, infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback) {
+    if (!g) return false;
+
+    const finalEvents = buildTimelineEvents(allEvents, visibleBuckets);
+    const lanes = yScale.domain();
+    if (finalEvents.some(event => !lanes.includes(event.bucket))) {
+        return false;
+    }
+
+    const signatures = new Map(finalEvents.map(event => [event.id, getEventSignature(event)]));
+    g.selectAll(".event-segment-group")
+        .filter(d => signatures.get(d.id) !== getEventSignature(d))
+        .remove();
+
+    renderEventPoints(finalEvents, infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback, panAndZoomToEvent, getColorRules);
+
+    // Re-applying the current transform positions the new segments without moving the view
+    svg.call(zoomBehavior.transform, window.d3.zoomTransform(svg.node()));
+    return true;
+}
+
+/**
+ * Updates the running events in place after they were extended up to the current moment;
+ * unlike updateTimelineEvents, the rest of the events is not rebuilt or compared.
+ * @param {Array<Object>} allEvents - The complete array of all fetched events.
+ * @param {Array<string>} visibleBuckets - Array of bucket names that should be visible.
+ * @returns {boolean} false if the running events cannot be updated in place and updateTimelineEvents is required instead.
+ */
+export function extendTimelineEvents(allEvents, visibleBuckets) {
+    if (!g) return false;
+    const runningEvents = applyPendingOperations(allEvents)
+        .filter(event => event.data.running === true && visibleBuckets.includes(event.bucket));
+    return extendEventPoints(runningEvents, window.d3.zoomTransform(svg.node()).rescaleX(xScale));
+}
 
-    // Add groups to filtered events (keep individual window events)
-    const finalEvents = filteredEvents.concat(groupedEvents);
+/**
+ * Redraws the timeline based on the currently visible buckets.
+ * @param {Array<Object>} allEvents - The complete array of all fetched events.
+ * @param {Array<string>} visibleBuckets - Array of bucket names that should be visible.
+ * @param {d3.Selection} infoPanel - The D3 selection for the info panel.
+ * @param {d3.Selection} editPanel - The D3 selection for the edit panel.
+ * @param {d3.Selection} dataPre - The D3 selection for the pre element to display data.
+ * @param {function} renderEventTableCallback - Callback to render event info table.
+ * @param {function} renderEventEditPanelCallback - Callback to render event edit panel.
+ */
+export async function redrawTimeline(allEvents, visibleBuckets, infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback) {
+    const finalEvents = buildTimelineEvents(allEvents, visibleBuckets);
 
     g.selectAll("*").remove();
 
@@ -167,16 +287,34 @@ export async function redrawTimeline(allEvents, visibleBuckets, infoPanel, editP
 
     setupZoom();
 
-
-    const latestEventsTable = window.d3.select("#latest-events-table");
-    if (!latestEventsTable.empty()) {
-        renderLatestEventsTable(finalEvents, latestEventsTable, zoomToEventCallback, newEventLabelInput);
-    } else {
-        console.warn("redrawTimeline: latest-events-table not found");
-    }
-
     const currentTransform = window.d3.zoomTransform(svg.node());
     if (currentTransform && currentTransform.k !== 1) {
         svg.call(zoomBehavior.transform, currentTransform);
     }
 }
+
+/**
+ * Subscribes the timeline to the application state, so it redraws itself when events, visible buckets,
+ * color rules or query results change. Extended or merged events are updated in place when possible.
+ * @param {d3.Selection} infoPanel - The D3 selection for the info panel.
+ * @param {d3.Selection} editPanel - The D3 selection for the edit panel.
+ * @param {d3.Selection} dataPre - The D3 selection for the pre element to display data.
+ * @param {function} renderEventTableCallback - Callback to render event info table.
+ * @param {function} renderEventEditPanelCallback - Callback to render event edit panel.
+ * @returns {function(): void} A function that removes the subscription.
+ */
+export function subscribeTimeline(infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback) {
+    // New grouping options reach the timeline as regrouped events, see regroupEvents in main.js
+    return subscribe(['events', 'visibleBuckets', 'colorRules', 'queryResults'], async (changedSlices, eventsChange) => {
+        const onlyEventsChanged = changedSlices.size === 1 && changedSlices.has('events');
+        // Running events are extended every second, so they are updated without touching the other events
+        if (onlyEventsChanged && eventsChange === 'extend' && extendTimelineEvents(getAllEventsData(), getVisibleBuckets())) {
+            return;
+        }
+        if (onlyEventsChanged && eventsChange !== 'reload'
+            && updateTimelineEvents(getAllEventsData(), getVisibleBuckets(), infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback)) {
+            return;
+        }
+        await redrawTimeline(getAllEventsData(), getVisibleBuckets(), infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback);
+    });
+}
@@ -1,4 +1,4 @@
-import { toLocalISO, formatDuration } from './utils.js';
+import { toLocalISO, formatDuration, isGroupBucket } from './utils.js';
 import { getActiveTimeInput } from './eventForm.js';
 import { svg, xScale, zoomBehavior, width, height } from './timeline.js'; // Импорт общих переменных из timeline.js
 
@@ -209,12 +209,12 @@ export function panAndZoomToEvent(d) {
 }
 
 /**
- * Creates a tooltip string for window watcher groups.
+ * Creates a tooltip string for window watcher and browser watcher groups.
  * @param {Object} d - The event data object.
  * @returns {string} The tooltip string.
  */
 export function createWindowGroupTooltip(d) {
-    if (d.bucket !== 'aw-watcher-window-group') return '';
+    if (!isGroupBucket(d.bucket)) return '';
 
     const titleDurations = d.data.titleDurations;
     const sortedTitles = Array.from(titleDurations.entries()).sort((a, b) => b[1] - a[1]);
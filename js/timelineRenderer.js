@@ -1,4 +1,4 @@
-import { formatAbsoluteTime, formatRelativeTime, generateRelativeTimeTicks, toLocalISO, formatDuration, isColorDark } from './utils.js';
+import { formatAbsoluteTime, formatRelativeTime, generateRelativeTimeTicks, toLocalISO, formatDuration, isColorDark, getDomain, isEditorBucket, getPathBaseName, getProjectRelativePath, isGroupBucket } from './utils.js';
 import { getColorForEvent } from './colorRules.js';
 import { createWindowGroupTooltip } from './timelineInteraction.js';
 
@@ -29,12 +29,22 @@ function getEventLabel(d) {
     if (d.bucket.startsWith('aw-watcher-afk_')) {
         return ['', durationStr];
     }
-    if (d.bucket === 'aw-watcher-window-group') {
+    if (isGroupBucket(d.bucket)) {
         return [d.data.app + ' (' + formatDuration(d.duration) + ')', ''];
     }
     if (d.bucket.startsWith('aw-watcher-window')) {
         return [`${d.data.app} ${durationStr}`, d.data.title];
     }
+    if (d.bucket.startsWith('aw-watcher-web')) {
+        return [`${getDomain(d.data.url)} ${durationStr}`, d.data.title || ''];
+    }
+    if (isEditorBucket(d.bucket)) {
+        return [`${getPathBaseName(d.data.project) || d.data.language || ''} ${durationStr}`, getProjectRelativePath(d.data.file, d.data.project)];
+    }
+    if (d.bucket === 'aw-query-result') {
+        const firstValue = Object.values(d.data).find(value => typeof value !== 'object') ?? '';
+        return [`${d.data.app || d.data.label || d.data.title || firstValue} ${durationStr}`, d.data.app ? d.data.title || '' : ''];
+    }
     return ['', ''];
 }
 
@@ -52,8 +62,9 @@ function getEventLabel(d) {
  */
 export function renderEventPoints(events, infoPanel, editPanel, dataPre, renderEventTableCallback, renderEventEditPanelCallback, panAndZoomToEventCallback, getColorRulesCallback) {
 
+    // Keyed by id, so only events that are not on the timeline yet are rendered
     const segments = g.selectAll(`.${EVENT_SEGMENT_CLASS}`)
-        .data(events)
+        .data(events, d => d.id)
         .enter().append("g")
         .attr("id", d => `event-${d.id}`)
         .attr("class", d => {
@@ -61,12 +72,15 @@ export function renderEventPoints(events, infoPanel, editPanel, dataPre, renderE
             if (d.bucket.startsWith('aw-watcher-afk_')) {
                 classes += ' afk-bucket-event';
             }
-            if (d.bucket === 'aw-watcher-window-group') {
+            if (isGroupBucket(d.bucket)) {
                 classes += ' window-group-event';
             }
             if (d.data.running === true) {
                 classes += ' running-event';
             }
+            if (d.provisional) {
+                classes += ' provisional-event';
+            }
             return classes;
         })
         .attr("transform", d => `translate(${xScale(d.timestamp)}, ${yScale(d.bucket) - BAR_HEIGHT / 2})`)
@@ -85,7 +99,8 @@ export function renderEventPoints(events, infoPanel, editPanel, dataPre, renderE
 
             panAndZoomToEventCallback(d); // Используем переданный колбэк
 
-            if (d.bucket.startsWith('aw-stopwatch')) {
+            // Provisional events exist only in the outbox and cannot be edited until they are sent
+            if (d.bucket.startsWith('aw-stopwatch') && !d.provisional) {
                 editPanel.style("display", "block");
                 editPanel.property("isSplitMode", false);
                 renderEventEditPanelCallback(d, window.d3.select("#edit-event-data-table"), editPanel.property("isSplitMode"));
@@ -95,9 +110,13 @@ export function renderEventPoints(events, infoPanel, editPanel, dataPre, renderE
 
     // Define clip-paths for each event
     const defs = svg.select('defs');
-    defs.selectAll(".clip-path").remove(); // Clear old clip-paths
+    const eventIds = new Set(events.map(d => d.id));
+    const renderedIds = new Set(segments.data().map(d => d.id));
+    defs.selectAll(".clip-path")
+        .filter(d => !d || renderedIds.has(d.id) || !eventIds.has(d.id))
+        .remove(); // Clear old clip-paths of re-rendered and removed events
     defs.selectAll(".clip-path")
-        .data(events)
+        .data(segments.data(), d => d.id)
         .enter()
         .append("clipPath")
         .attr("class", "clip-path")
@@ -154,7 +173,7 @@ export function renderEventPoints(events, infoPanel, editPanel, dataPre, renderE
                 .attr("height", BAR_HEIGHT)
                 .style("fill", fillColor ? fillColor : null); // Apply custom color
 
-            if (d.bucket === 'aw-watcher-window-group') {
+            if (isGroupBucket(d.bucket)) {
                 rect.attr("title", createWindowGroupTooltip(d));
             }
         }
@@ -181,3 +200,46 @@ export function renderEventPoints(events, infoPanel, editPanel, dataPre, renderE
 
     return segments;
 }
+
+/**
+ * Updates the bars, activity segments and labels of already rendered events whose duration grew,
+ * without re-rendering any other event.
+ * @param {Array<Object>} events - The extended events.
+ * @param {d3.ScaleTime} currentXScale - The x scale with the current zoom transform applied.
+ * @returns {boolean} false if an event is not rendered yet or got new activity segments, so a full update is required.
+ */
+export function extendEventPoints(events, currentXScale) {
+    const widthOf = (start, duration) => Math.max(0, currentXScale(new Date(start.getTime() + duration * 1000)) - currentXScale(start));
+    const groups = events.map(d => g.select(`[id="event-${d.id}"]`));
+    const canExtend = events.every((d, index) => !groups[index].empty()
+        && (!d.activitySegments || groups[index].selectAll(".event-segment-rect").size() === d.activitySegments.length));
+    if (!canExtend) return false;
+
+    events.forEach((d, index) => {
+        const group = groups[index].datum(d);
+        let totalWidth;
+        if (d.bucket.startsWith('aw-stopwatch') && d.activitySegments) {
+            totalWidth = 0;
+            group.selectAll(".event-segment-rect")
+                .data(d.activitySegments)
+                .attr("width", segment => {
+                    const segmentWidth = widthOf(segment.startTimestamp, segment.duration);
+                    totalWidth += segmentWidth;
+                    return segmentWidth;
+                });
+        } else {
+            totalWidth = widthOf(d.timestamp, d.duration);
+            group.select(".event-body").attr("width", totalWidth);
+        }
+
+        svg.select(`[id="clip-${d.id}"]`).datum(d).select("rect").attr("width", totalWidth);
+        const [line1, line2] = getEventLabel(d);
+        const lines = group.selectAll(`.${EVENT_LABEL_CLASS} tspan`).nodes();
+        if (lines.length === 2) {
+            lines[0].textContent = line1;
+            lines[1].textContent = line2;
+        }
+        group.select(`.${EVENT_LABEL_CLASS}`).style("display", totalWidth < 20 ? "none" : "inline");
+    });
+    return true;
+}
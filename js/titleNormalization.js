@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Модуль настройки нормализации заголовков окон: упорядоченные правила удаления префикса,
+ * удаления суффикса и замены по регулярному выражению (см. `normalizeTitle` в utils.js). Нормализованные
+ * заголовки объединяются при группировке событий, в отчетах, поиске неучтенного времени и подсказках названий.
+ * Панель проверяет правила на введенном заголовке и на последних заголовках загруженных событий до сохранения.
+ * @module titleNormalization
+ */
+
+import { getAllEventsData, subscribe } from './state.js';
+import { setSyncedSetting } from './settingsSync.js';
+import { showNotification } from './notification.js';
+import { DEFAULT_TITLE_NORMALIZATION_RULES, compileTitleNormalizationRules, getTitleNormalizationRules, setTitleNormalizationRules, normalizeTitle, isGroupBucket } from './utils.js';
+
+const TITLE_NORMALIZATION_STORAGE_KEY = "titleNormalization";
+
+const OPEN_TITLE_NORMALIZATION_BUTTON_SELECTOR = "#open-title-normalization-button";
+const TITLE_RULES_LIST_SELECTOR = "#title-rules-list";
+const TITLE_TEST_INPUT_SELECTOR = "#title-test-input";
+const TITLE_TEST_RESULT_SELECTOR = "#title-test-result";
+const TITLE_RULES_PREVIEW_SELECTOR = "#title-rules-preview";
+const ADD_TITLE_RULE_BUTTON_SELECTOR = "#add-title-rule-button";
+const RESET_TITLE_RULES_BUTTON_SELECTOR = "#reset-title-rules-button";
+const SAVE_TITLE_RULES_BUTTON_SELECTOR = "#save-title-rules-button";
+
+const RULE_TYPES = [
+    { type: 'prefix', name: "Strip prefix", placeholder: "● " },
+    { type: 'suffix', name: "Strip suffix", placeholder: " - Visual Studio Code" },
+    { type: 'regex', name: "Replace regex", placeholder: "\\s+\\(Working Tree\\)$" },
+];
+const RECENT_TITLES_LIMIT = 30;
+
+/** @type {Array<import('./utils.js').TitleNormalizationRule>} */
+let draftRules = [];
+
+/**
+ * Оставляет только правила известного типа с текстовыми полями.
+ * @param {Array<Object>} rules - Правила из локального хранилища.
+ * @returns {Array<import('./utils.js').TitleNormalizationRule>} Проверенные правила.
+ */
+function sanitizeRules(rules) {
+    return rules
+        .filter(rule => rule && RULE_TYPES.some(({ type }) => type === rule.type) && typeof rule.value === "string")
+        .map(rule => rule.type === 'regex'
+            ? { type: rule.type, value: rule.value, replacement: typeof rule.replacement === "string" ? rule.replacement : '' }
+            : { type: rule.type, value: rule.value });
+}
+
+/**
+ * Загружает правила нормализации заголовков из локального хранилища; без сохраненных правил действуют правила по умолчанию.
+ * @returns {Array<import('./utils.js').TitleNormalizationRule>} Правила в порядке применения.
+ */
+export function loadTitleNormalizationRules() {
+    const rulesString = localStorage.getItem(TITLE_NORMALIZATION_STORAGE_KEY);
+    if (!rulesString) return DEFAULT_TITLE_NORMALIZATION_RULES;
+    try {
+        const rules = JSON.parse(rulesString);
+        return Array.isArray(rules) ? sanitizeRules(rules) : DEFAULT_TITLE_NORMALIZATION_RULES;
+    } catch (e) {
+        console.error("Failed to parse title normalization rules from localStorage, using the defaults.", e);
+        return DEFAULT_TITLE_NORMALIZATION_RULES;
+    }
+}
+
+/**
+ * Проверяет регулярные выражения правил.
+ * @param {Array<import('./utils.js').TitleNormalizationRule>} rules - Правила.
+ * @returns {Map<number, string>} Сообщение об ошибке по индексу правила.
+ */
+function validateRules(rules) {
+    const errors = new Map();
+    rules.forEach((rule, index) => {
+        try {
+            compileTitleNormalizationRules([rule]);
+        } catch (e) {
+            errors.set(index, e.message);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Компилирует черновик правил, пропуская правила с ошибками, чтобы проверка работала во время ввода.
+ * @returns {Array<Object>} Скомпилированные правила.
+ */
+function compileDraftRules() {
+    const errors = validateRules(draftRules);
+    return compileTitleNormalizationRules(draftRules.filter((rule, index) => !errors.has(index)));
+}
+
+/**
+ * Отмечает правила с ошибками в регулярных выражениях.
+ * @returns {boolean} Нет ли ошибок.
+ */
+function markInvalidRules() {
+    const errors = validateRules(draftRules);
+    window.d3.select(TITLE_RULES_LIST_SELECTOR).selectAll(".title-rule-row")
+        .classed("invalid", (rule, index) => errors.has(index))
+        .attr("title", (rule, index) => errors.get(index) || null);
+    return errors.size === 0;
+}
+
+/**
+ * Рендерит редактор правил: по строке на правило с типом, значением, заменой и кнопками порядка.
+ */
+function renderRulesList() {
+    const list = window.d3.select(TITLE_RULES_LIST_SELECTOR);
+    list.html("");
+
+    if (draftRules.length === 0) {
+        list.append("p").attr("class", "ligth-font").text("No rules: titles are used as they are.");
+        return;
+    }
+
+    const moveRule = (index, step) => {
+        const [rule] = draftRules.splice(index, 1);
+        draftRules.splice(index + step, 0, rule);
+        renderRulesList();
+        renderTester();
+    };
+
+    const rows = list.selectAll(".title-rule-row")
+        .data(draftRules)
+        .join("div")
+        .attr("class", "title-rule-row");
+
+    rows.each(function (rule, index) {
+        const row = window.d3.select(this);
+        const ruleType = RULE_TYPES.find(({ type }) => type === rule.type);
+
+        const typeSelect = row.append("select").attr("class", "title-rule-type");
+        typeSelect.selectAll("option")
+            .data(RULE_TYPES)
+            .join("option")
+            .attr("value", d => d.type)
+            .property("selected", d => d.type === rule.type)
+            .text(d => d.name);
+        typeSelect.on("change", () => {
+            draftRules[index] = sanitizeRules([{ ...rule, type: typeSelect.property("value") }])[0];
+            renderRulesList();
+            renderTester();
+        });
+
+        const valueInput = row.append("input")
+            .attr("type", "text")
+            .attr("class", "title-rule-value")
+            .attr("placeholder", ruleType.placeholder)
+            .property("value", rule.value);
+        valueInput.on("input", () => {
+            rule.value = valueInput.property("value");
+            renderTester();
+        });
+
+        if (rule.type === 'regex') {
+            const replacementInput = row.append("input")
+                .attr("type", "text")
+                .attr("class", "title-rule-replacement")
+                .attr("placeholder", "Replace with")
+                .property("value", rule.replacement);
+            replacementInput.on("input", () => {
+                rule.replacement = replacementInput.property("value");
+                renderTester();
+            });
+        }
+
+        row.append("button")
+            .attr("type", "button")
+            .attr("title", "Apply earlier")
+            .property("disabled", index === 0)
+            .text("↑")
+            .on("click", () => moveRule(index, -1));
+        row.append("button")
+            .attr("type", "button")
+            .attr("title", "Apply later")
+            .property("disabled", index === draftRules.length - 1)
+            .text("↓")
+            .on("click", () => moveRule(index, 1));
+        row.append("button")
+            .attr("type", "button")
+            .attr("class", "delete")
+            .attr("title", "Delete rule")
+            .text("×")
+            .on("click", () => {
+                draftRules.splice(index, 1);
+                renderRulesList();
+                renderTester();
+            });
+    });
+}
+
+/**
+ * Возвращает различные заголовки событий окон, начиная с последних.
+ * @returns {Array<string>} Заголовки.
+ */
+function collectRecentTitles() {
+    const windowEvents = getAllEventsData()
+        .filter(event => event.bucket.startsWith('aw-watcher-window') && !isGroupBucket(event.bucket) && event.data.title)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    return Array.from(new Set(windowEvents.map(event => event.data.title)));
+}
+
+/**
+ * Рендерит проверку черновика правил: результат для введенного заголовка, число различных заголовков
+ * с сохраненными правилами и с черновиком и последние заголовки до и после нормализации.
+ */
+function renderTester() {
+    markInvalidRules();
+    const compiledRules = compileDraftRules();
+
+    const testTitle = window.d3.select(TITLE_TEST_INPUT_SELECTOR).property("value");
+    window.d3.select(TITLE_TEST_RESULT_SELECTOR).text(testTitle ? `→ ${normalizeTitle(testTitle, compiledRules)}` : "");
+
+    const preview = window.d3.select(TITLE_RULES_PREVIEW_SELECTOR);
+    preview.html("");
+    const titles = collectRecentTitles();
+    if (titles.length === 0) {
+        preview.append("p").attr("class", "ligth-font").text("No window events loaded.");
+        return;
+    }
+
+    const countDistinct = normalize => new Set(titles.map(normalize)).size;
+    preview.append("p")
+        .attr("class", "ligth-font")
+        .text(`${titles.length} distinct titles are combined into ${countDistinct(title => normalizeTitle(title))} now, `
+            + `into ${countDistinct(title => normalizeTitle(title, compiledRules))} with these rules.`);
+
+    const items = preview.append("ul")
+        .attr("class", "title-rules-preview-list")
+        .selectAll("li")
+        .data(titles.slice(0, RECENT_TITLES_LIMIT).map(title => ({ title, normalized: normalizeTitle(title, compiledRules) })))
+        .join("li")
+        .classed("changed", d => d.normalized !== d.title);
+    items.append("span").attr("class", "title-original").text(d => d.title);
+    items.filter(d => d.normalized !== d.title)
+        .append("span")
+        .attr("class", "title-normalized")
+        .text(d => `→ ${d.normalized}`);
+}
+
+/**
+ * Устанавливает панель настройки нормализации заголовков.
+ * @param {d3.Selection} panel - D3-выборка панели нормализации заголовков.
+ * @param {function(): Promise<void>} onRulesSaved - Перезагружает события, чтобы они были обработаны с новыми правилами.
+ */
+export function setupTitleNormalizationPanel(panel, onRulesSaved) {
+    window.d3.select(OPEN_TITLE_NORMALIZATION_BUTTON_SELECTOR).on("click", () => {
+        if (panel.style("display") !== "none") {
+            panel.style("display", "none");
+            return;
+        }
+        draftRules = sanitizeRules(getTitleNormalizationRules());
+        panel.style("display", "block");
+        renderRulesList();
+        renderTester();
+    });
+
+    window.d3.select(TITLE_TEST_INPUT_SELECTOR).on("input", renderTester);
+
+    window.d3.select(ADD_TITLE_RULE_BUTTON_SELECTOR).on("click", () => {
+        draftRules.push({ type: 'prefix', value: '' });
+        renderRulesList();
+        renderTester();
+        window.d3.select(TITLE_RULES_LIST_SELECTOR).selectAll(".title-rule-value").nodes().pop().focus();
+    });
+
+    window.d3.select(RESET_TITLE_RULES_BUTTON_SELECTOR).on("click", () => {
+        draftRules = sanitizeRules(DEFAULT_TITLE_NORMALIZATION_RULES);
+        renderRulesList();
+        renderTester();
+    });
+
+    window.d3.select(SAVE_TITLE_RULES_BUTTON_SELECTOR).on("click", async () => {
+        if (!markInvalidRules()) {
+            showNotification("Fix the invalid regular expressions before saving.", 5000);
+            return;
+        }
+        const rules = draftRules.filter(rule => rule.value);
+        setSyncedSetting(TITLE_NORMALIZATION_STORAGE_KEY, JSON.stringify(rules));
+        setTitleNormalizationRules(rules);
+        draftRules = sanitizeRules(rules);
+        renderRulesList();
+        renderTester();
+        showNotification("Title rules saved.");
+        await onRulesSaved();
+    });
+
+    // The recent titles follow the loaded events while the panel is open
+    subscribe('events', (changedSlices, eventsChange) => {
+        if (eventsChange === 'extend' || panel.style("display") === "none") return;
+        renderTester();
+    });
+}
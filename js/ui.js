@@ -1,10 +1,11 @@
 
-import { toLocalISO, formatDuration, formatRelativeTime, formatDateTime } from './utils.js';
-import { calculateActivitySegments } from './events.js';
-import { getAfkBucketId, getVisibleBuckets, setVisibleBuckets } from './state.js';
+import { toLocalISO, formatDuration, formatRelativeTime, formatDateTime, isEditorBucket, getPathBaseName, getProjectRelativePath, isGroupBucket } from './utils.js';
+import { getProjectLinks } from './editorProjects.js';
+import { getVisibleBuckets, setVisibleBuckets, getAllEventsData, subscribe } from './state.js';
 import { showNotification } from './notification.js';
 import { setupPanelDragging, loadPanelPosition, savePanelPosition, renderReportPanel, renderColorRulesPanel, setupEscapeListener, renderBucketFilterPanel } from './panelManager.js';
 import { renderEventEditPanel, setupEditControls, getActiveTimeInput } from './eventForm.js';
+import { setSyncedSetting } from './settingsSync.js';
 
 const INFO_PANEL_SELECTOR = "#event-info-panel";
 const EDIT_PANEL_SELECTOR = "#event-edit-panel";
@@ -36,14 +37,24 @@ export function renderEventTable(eventData, container) {
     }
     tbody.append("tr").html(`<td>Duration:</td><td><span title="${eventData.duration.toFixed(2)} s">${displayedDuration}</span></td>`);
 
-    if (eventData.bucket === 'aw-watcher-window-group') {
-        // Special handling for window watcher groups
-        tbody.append("tr").html(`<td>App:</td><td>${eventData.data.app}</td>`);
+    if (isGroupBucket(eventData.bucket)) {
+        // Special handling for window watcher and browser watcher groups
+        tbody.append("tr").html(`<td>${eventData.bucket === 'aw-watcher-web-group' ? 'Domain' : 'App'}:</td><td>${eventData.data.app}</td>`);
 
         const titleDurations = eventData.data.titleDurations;
         const sortedTitles = Array.from(titleDurations.entries()).sort((a, b) => b[1] - a[1]);
 
         tbody.append("tr").html(`<td>Titles:</td><td>${sortedTitles.map(([title, dur]) => `<span class="titles-item">${formatDuration(dur)} ${title}</span>`).join('')}</td>`);
+    } else if (isEditorBucket(eventData.bucket)) {
+        // Editor watcher events: the project by name, the file relative to the project
+        const { project, file, language } = eventData.data;
+        tbody.append("tr").html(`<td>Project:</td><td><span title="${project || ''}">${getPathBaseName(project)}</span></td>`);
+        tbody.append("tr").html(`<td>File:</td><td><span title="${file || ''}">${getProjectRelativePath(file, project)}</span></td>`);
+        tbody.append("tr").html(`<td>Language:</td><td>${language || ''}</td>`);
+        const linkedLabel = project ? getProjectLinks()[project] : null;
+        if (linkedLabel) {
+            tbody.append("tr").html(`<td>Label:</td><td>${linkedLabel}</td>`);
+        }
     } else if (eventData.data) {
         for (const key in eventData.data) {
             if (eventData.data.hasOwnProperty(key)) {
@@ -79,12 +90,10 @@ export function renderLatestEventsTable(events, container, zoomToEventCallback,
 
     container.select("tbody").html("");
 
+    // Stopwatch events already carry the activity segments computed in the worker
     const stopwatchEvents = events.filter(event => event.bucket.startsWith('aw-stopwatch'));
-    const afkEvents = events.filter(event => event.bucket === getAfkBucketId());
-
-    const processedStopwatchEvents = calculateActivitySegments(stopwatchEvents, afkEvents);
 
-    const latestEvents = processedStopwatchEvents.sort((a, b) => (b.timestamp.getTime() + b.duration * 1000) - (a.timestamp.getTime() + a.duration * 1000)).slice(0, 15);
+    const latestEvents = stopwatchEvents.sort((a, b) => (b.timestamp.getTime() + b.duration * 1000) - (a.timestamp.getTime() + a.duration * 1000)).slice(0, 15);
 
     latestEvents.forEach(event => {
         const row = container.select("tbody").append("tr")
@@ -134,13 +143,63 @@ export function renderLatestEventsTable(events, container, zoomToEventCallback,
     });
 }
 
+/**
+ * Subscribes the latest events table to the loaded events, so it re-renders whenever events are loaded or merged.
+ * Running events extended in place do not re-render it.
+ * @param {d3.Selection} container - The D3 selection for the table container.
+ * @param {function} zoomToEventCallback - Callback function to zoom/pan the timeline to a specific event.
+ * @param {d3.Selection} newEventLabelInput - The D3 selection for the new event label input field.
+ * @returns {function(): void} A function that removes the subscription.
+ */
+export function subscribeLatestEventsTable(container, zoomToEventCallback, newEventLabelInput) {
+    return subscribe('events', (changedSlices, eventsChange) => {
+        if (eventsChange === 'extend') return;
+        renderLatestEventsTable(getAllEventsData(), container, zoomToEventCallback, newEventLabelInput);
+    });
+}
+
+
+
+
+
 
 
 
 
+const ZOOM_CONFIGS = [
+    { id: "last-hour", default: 1, unit: 'hours' },
+    { id: "last-day", default: 1, unit: 'days' },
+    { id: "to-morning", default: 8, unit: 'morning' }
+];
 
+let activeZoomPreset = null;
 
+/**
+ * Returns the zoom preset that was applied last.
+ * @returns {string|null} The preset ID (e.g. "last-hour"), or null if none was applied yet.
+ */
+export function getActiveZoomPreset() {
+    return activeZoomPreset;
+}
+
+/**
+ * Zooms the timeline using a zoom preset and its current input value.
+ * @param {string} presetId - The preset ID (e.g. "last-day").
+ */
+export function applyZoomPreset(presetId) {
+    if (!ZOOM_CONFIGS.some(config => config.id === presetId)) return;
+    window.d3.select(`#zoom-${presetId}-option`).dispatch('click');
+}
 
+/**
+ * Loads the saved zoom preset values into the zoom inputs.
+ */
+export function loadZoomPresetValues() {
+    ZOOM_CONFIGS.forEach(config => {
+        const savedValue = localStorage.getItem(`zoom-${config.id}-value`);
+        window.d3.select(`#zoom-${config.id}-input`).property("value", savedValue || config.default);
+    });
+}
 
 /**
  * Sets up the zoom controls for the timeline.
@@ -148,19 +207,12 @@ export function renderLatestEventsTable(events, container, zoomToEventCallback,
  * @param {function} zoomToRangeCallback - Callback function to zoom the timeline to a specific range.
  */
 export function setupZoomControls(svg, zoomToRangeCallback) {
-    const zoomConfigs = [
-        { id: "last-hour", default: 1, unit: 'hours' },
-        { id: "last-day", default: 1, unit: 'days' },
-        { id: "to-morning", default: 8, unit: 'morning' }
-    ];
+    loadZoomPresetValues();
 
-    zoomConfigs.forEach(config => {
+    ZOOM_CONFIGS.forEach(config => {
         const input = window.d3.select(`#zoom-${config.id}-input`);
 
-        const savedValue = localStorage.getItem(`zoom-${config.id}-value`);
-        input.property("value", savedValue || config.default);
-
-        input.on("change", () => localStorage.setItem(`zoom-${config.id}-value`, input.property("value")));
+        input.on("change", () => setSyncedSetting(`zoom-${config.id}-value`, input.property("value")));
         input.on("wheel", handleWheelScroll);
 
         window.d3.select(`#zoom-${config.id}-option`).on("click", () => {
@@ -178,6 +230,7 @@ export function setupZoomControls(svg, zoomToRangeCallback) {
                 if (isNaN(value) || value < 0 || value > currentHour) return showNotification(`Please enter a number between 0 and ${currentHour} for the morning hour.`);
                 startTime = new Date(endTime.getFullYear(), endTime.getMonth(), endTime.getDate(), value, 0, 0, 0);
             }
+            activeZoomPreset = config.id;
             zoomToRangeCallback(startTime, endTime);
         });
     });
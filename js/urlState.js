@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Модуль состояния вида в URL: видимый период, видимые "корзины", открытые панели
+ * и месяц календаря хранятся в хеше адреса, чтобы вид можно было добавить в закладки или отправить ссылкой.
+ * Пример: `#from=2026-10-18T11:00:00.000Z&to=2026-10-18T13:00:00.000Z&buckets=aw-stopwatch,aw-watcher-afk_host&panels=report-panel`.
+ * @module urlState
+ */
+
+import { getViewRange, getVisibleBuckets, subscribe } from './state.js';
+import { zoomToRange } from './timelineInteraction.js';
+import { getCurrentMonth, getCurrentYear } from './calendarState.js';
+import { showCalendarMonth, addCalendarMonthListener } from './calendar.js';
+
+const HASH_WRITE_DELAY_MS = 300;
+
+/**
+ * Панели, состояние которых сохраняется в URL, и кнопки, которые их открывают
+ * (открытие через кнопку выполняет ту же подготовку панели, что и щелчок пользователя).
+ */
+const RESTORABLE_PANELS = [
+    { id: "report-panel", opener: "#generate-report-button" },
+    { id: "color-rules-panel", opener: "#color-rules-button" },
+    { id: "calendar-panel", opener: "#open-calendar-button" },
+    { id: "query-panel", opener: "#open-query-button" },
+    { id: "backup-panel", opener: "#open-backup-button" },
+    { id: "settings-panel", opener: "#open-settings-button" },
+    { id: "server-info-panel", opener: "#connection-badge" },
+    { id: "bucket-manager-panel", opener: "#open-bucket-manager-button" },
+    { id: "history-panel", opener: "#open-history-button" },
+    { id: "workspaces-panel", opener: "#open-workspaces-button" },
+    { id: "window-grouping-panel", opener: "#open-window-grouping-button" },
+    { id: "title-normalization-panel", opener: "#open-title-normalization-button" },
+    { id: "gaps-panel", opener: "#open-gaps-button" },
+];
+
+let hashWriteTimeoutId = null;
+let onNavigate = async () => {};
+let isSetUp = false;
+
+/**
+ * Вид, прочитанный из URL. Отсутствующие в URL части равны null.
+ * @typedef {Object} UrlView
+ * @property {{start: Date, end: Date}|null} range - Видимый период.
+ * @property {Array<string>|null} buckets - ID видимых "корзин".
+ * @property {Array<string>|null} panels - ID открытых панелей.
+ * @property {{year: number, month: number}|null} month - Месяц календаря (месяц с нуля).
+ */
+
+/**
+ * Читает вид из хеша URL.
+ * @returns {UrlView} Вид из URL.
+ */
+export function readUrlView() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const view = { range: null, buckets: null, panels: null, month: null };
+
+    const start = new Date(params.get("from"));
+    const end = new Date(params.get("to"));
+    if (params.has("from") && params.has("to") && !isNaN(start) && !isNaN(end) && start < end) {
+        view.range = { start, end };
+    }
+    if (params.get("buckets")) {
+        view.buckets = params.get("buckets").split(",");
+    }
+    if (params.has("panels")) {
+        view.panels = params.get("panels").split(",").filter(id => id);
+    }
+    const monthMatch = /^(\d{4})-(\d{2})$/.exec(params.get("month") || "");
+    if (monthMatch && Number(monthMatch[2]) >= 1 && Number(monthMatch[2]) <= 12) {
+        view.month = { year: Number(monthMatch[1]), month: Number(monthMatch[2]) - 1 };
+    }
+    return view;
+}
+
+/**
+ * Возвращает ID открытых панелей, состояние которых можно восстановить.
+ * @returns {Array<string>} ID открытых панелей.
+ */
+export function getOpenPanelIds() {
+    return RESTORABLE_PANELS
+        .map(({ id }) => id)
+        .filter(id => window.d3.select(`#${id}`).style("display") !== "none");
+}
+
+/**
+ * Открывает перечисленные панели (через их кнопки) и закрывает остальные восстанавливаемые панели.
+ * @param {Array<string>} panelIds - ID панелей, которые должны быть открыты.
+ */
+export function setOpenPanels(panelIds) {
+    RESTORABLE_PANELS.forEach(({ id, opener }) => {
+        const panel = window.d3.select(`#${id}`);
+        const isOpen = panel.style("display") !== "none";
+        const shouldBeOpen = panelIds.includes(id);
+        if (shouldBeOpen && !isOpen) {
+            window.d3.select(opener).dispatch("click");
+        } else if (!shouldBeOpen && isOpen) {
+            panel.style("display", "none");
+        }
+    });
+}
+
+/**
+ * Применяет период, открытые панели и месяц календаря из URL. Видимые "корзины" применяются
+ * при восстановлении "корзин" (см. main.js), так как для них нужно загрузить события.
+ * @param {UrlView} view - Вид из URL.
+ * @returns {boolean} true, если в URL был период и таймлайн масштабирован к нему.
+ */
+export function applyUrlView(view) {
+    if (view.panels) {
+        if (view.month && view.panels.includes("calendar-panel")) {
+            showCalendarMonth(view.month.year, view.month.month);
+        }
+        setOpenPanels(view.panels);
+    }
+    if (view.range) {
+        zoomToRange(view.range.start, view.range.end);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Записывает текущий вид в хеш URL без новой записи в истории браузера.
+ */
+function writeUrlView() {
+    hashWriteTimeoutId = null;
+    const params = new URLSearchParams();
+
+    const viewRange = getViewRange();
+    if (viewRange) {
+        params.set("from", viewRange.start.toISOString());
+        params.set("to", viewRange.end.toISOString());
+    }
+    params.set("buckets", getVisibleBuckets().join(","));
+
+    const openPanels = getOpenPanelIds();
+    params.set("panels", openPanels.join(","));
+    if (openPanels.includes("calendar-panel")) {
+        params.set("month", `${getCurrentYear()}-${String(getCurrentMonth() + 1).padStart(2, "0")}`);
+    }
+
+    // Commas and colons are valid in a fragment, keeping them readable makes the link easier to edit by hand
+    const hash = `#${params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":")}`;
+    if (hash !== window.location.hash) {
+        history.replaceState(null, "", hash);
+    }
+}
+
+/**
+ * Планирует запись вида в URL; частые изменения (например, плавное масштабирование) объединяются.
+ */
+function scheduleUrlWrite() {
+    clearTimeout(hashWriteTimeoutId);
+    hashWriteTimeoutId = setTimeout(writeUrlView, HASH_WRITE_DELAY_MS);
+}
+
+/**
+ * Восстанавливает вид, когда хеш изменен вручную или через историю браузера.
+ */
+async function handleHashChange() {
+    try {
+        await onNavigate();
+    } catch (error) {
+        console.error("Failed to restore the view from the URL:", error);
+    }
+}
+
+/**
+ * Начинает синхронизацию вида с URL: изменения периода, "корзин", панелей и месяца календаря
+ * записываются в хеш, а изменение хеша пользователем восстанавливает вид.
+ * @param {function(): Promise<void>} onNavigateCallback - Функция обратного вызова, восстанавливающая вид из URL.
+ */
+export function setupUrlState(onNavigateCallback) {
+    onNavigate = onNavigateCallback;
+    if (isSetUp) return;
+    isSetUp = true;
+
+    subscribe(['viewRange', 'visibleBuckets'], scheduleUrlWrite);
+    addCalendarMonthListener(scheduleUrlWrite);
+
+    const observer = new MutationObserver(scheduleUrlWrite);
+    RESTORABLE_PANELS.forEach(({ id }) => {
+        const panel = document.getElementById(id);
+        if (panel) {
+            observer.observe(panel, { attributes: true, attributeFilter: ["style"] });
+        }
+    });
+
+    window.addEventListener("hashchange", handleHashChange);
+    scheduleUrlWrite();
+}
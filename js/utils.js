@@ -217,49 +217,210 @@ export function isColorDark(hexColor) {
 }
 
 /**
- * Normalizes window titles by removing common insignificant prefixes and suffixes repeatedly until no more changes.
+ * A title normalization rule.
+ * @typedef {Object} TitleNormalizationRule
+ * @property {'prefix'|'suffix'|'regex'} type - Strip a prefix, strip a suffix or replace regex matches.
+ * @property {string} value - The prefix, the suffix or the regex source.
+ * @property {string} [replacement] - The replacement of regex matches ($1 etc. refer to groups).
+ */
+
+/**
+ * Default title normalization rules: unsaved file markers, the VS Code suffix and Cline diff view titles.
+ * @type {Array<TitleNormalizationRule>}
+ */
+export const DEFAULT_TITLE_NORMALIZATION_RULES = [
+    { type: 'prefix', value: '● ' },
+    { type: 'prefix', value: '* ' },
+    { type: 'suffix', value: ' - Visual Studio Code' },
+    { type: 'regex', value: ": Original ↔ Cline's Changes \\(Editable\\) \\([^)]+\\)", replacement: '' },
+];
+
+// Guards against rules that keep changing the title, e.g. a regex replacement that re-creates its match
+const MAX_NORMALIZATION_PASSES = 10;
+
+/**
+ * Compiles title normalization rules for normalizeTitle.
+ * @param {Array<TitleNormalizationRule>} rules - The rules, applied in order.
+ * @returns {Array<Object>} The compiled rules.
+ * @throws {SyntaxError} If a regex rule is not a valid regular expression.
+ */
+export function compileTitleNormalizationRules(rules) {
+    return rules
+        .filter(rule => rule.value)
+        .map(rule => rule.type === 'regex'
+            ? { ...rule, regex: new RegExp(rule.value, 'g'), replacement: rule.replacement || '' }
+            : { ...rule });
+}
+
+let titleNormalizationRules = DEFAULT_TITLE_NORMALIZATION_RULES;
+let compiledTitleNormalizationRules = compileTitleNormalizationRules(DEFAULT_TITLE_NORMALIZATION_RULES);
+
+/**
+ * Sets the rules normalizeTitle applies by default. Invalid regex rules are skipped with a warning.
+ * @param {Array<TitleNormalizationRule>} rules - The rules, applied in order.
+ */
+export function setTitleNormalizationRules(rules) {
+    titleNormalizationRules = rules.filter(rule => {
+        try {
+            compileTitleNormalizationRules([rule]);
+            return true;
+        } catch (e) {
+            console.warn(`Invalid title normalization regex: "${rule.value}"`, e);
+            return false;
+        }
+    });
+    compiledTitleNormalizationRules = compileTitleNormalizationRules(titleNormalizationRules);
+}
+
+/**
+ * Returns the rules normalizeTitle applies by default.
+ * @returns {Array<TitleNormalizationRule>} The rules.
+ */
+export function getTitleNormalizationRules() {
+    return titleNormalizationRules;
+}
+
+/**
+ * Normalizes window titles by applying the normalization rules in order, repeatedly until no more changes.
  * @param {string} title - The original window title.
- * @returns {string} The normalized title with prefixes and suffixes removed.
+ * @param {Array<Object>} [rules] - Compiled rules (see compileTitleNormalizationRules); the rules set by
+ * setTitleNormalizationRules by default.
+ * @returns {string} The normalized title.
  */
-export function normalizeTitle(title) {
+export function normalizeTitle(title, rules = compiledTitleNormalizationRules) {
     if (!title) return title;
 
-    // Remove common prefixes that indicate file state
-    const prefixesToRemove = ['● ', '* '];
-    // Remove common suffixes
-    const suffixesToRemove = [' - Visual Studio Code'];
-
     let normalizedTitle = title;
     let changed = true;
 
-    while (changed) {
+    for (let pass = 0; changed && pass < MAX_NORMALIZATION_PASSES; pass++) {
         changed = false;
 
-        // Remove prefixes
-        for (const prefix of prefixesToRemove) {
-            if (normalizedTitle.startsWith(prefix)) {
-                normalizedTitle = normalizedTitle.substring(prefix.length);
+        for (const rule of rules) {
+            let nextTitle = normalizedTitle;
+            if (rule.type === 'prefix' && normalizedTitle.startsWith(rule.value)) {
+                nextTitle = normalizedTitle.substring(rule.value.length);
+            } else if (rule.type === 'suffix' && normalizedTitle.endsWith(rule.value)) {
+                nextTitle = normalizedTitle.substring(0, normalizedTitle.length - rule.value.length);
+            } else if (rule.type === 'regex') {
+                nextTitle = normalizedTitle.replace(rule.regex, rule.replacement);
+            }
+            if (nextTitle !== normalizedTitle) {
+                normalizedTitle = nextTitle;
                 changed = true;
             }
         }
+    }
 
-        // Remove suffixes
-        for (const suffix of suffixesToRemove) {
-            if (normalizedTitle.endsWith(suffix)) {
-                normalizedTitle = normalizedTitle.substring(0, normalizedTitle.length - suffix.length);
-                changed = true;
-            }
+    return normalizedTitle;
+}
+
+/**
+ * Merges overlapping and adjacent intervals.
+ * @param {Array<[number, number]>} intervals - Intervals as [start, end] in milliseconds.
+ * @returns {Array<[number, number]>} Sorted non-overlapping intervals.
+ */
+export function mergeIntervals(intervals) {
+    const sorted = intervals.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [start, end] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
         }
+    }
+    return merged;
+}
 
-        // Remove specific pattern with regex
-        const pattern = /: Original ↔ Cline's Changes \(Editable\) \([^)]+\)/g;
-        if (pattern.test(normalizedTitle)) {
-            normalizedTitle = normalizedTitle.replace(pattern, '');
-            changed = true;
+/**
+ * Subtracts intervals from other intervals. Both lists must be sorted and non-overlapping, see mergeIntervals.
+ * @param {Array<[number, number]>} intervals - The intervals to subtract from.
+ * @param {Array<[number, number]>} covered - The intervals to subtract.
+ * @returns {Array<[number, number]>} The uncovered parts of the intervals.
+ */
+export function subtractIntervals(intervals, covered) {
+    const result = [];
+    let coveredIndex = 0;
+    for (const [start, end] of intervals) {
+        let cursor = start;
+        while (coveredIndex < covered.length && covered[coveredIndex][1] <= cursor) {
+            coveredIndex++;
+        }
+        for (let i = coveredIndex; i < covered.length && covered[i][0] < end; i++) {
+            if (covered[i][0] > cursor) {
+                result.push([cursor, covered[i][0]]);
+            }
+            cursor = Math.max(cursor, covered[i][1]);
+        }
+        if (cursor < end) {
+            result.push([cursor, end]);
         }
     }
+    return result;
+}
 
-    return normalizedTitle;
+/**
+ * Extracts the domain from a browser watcher URL, without the "www." prefix.
+ * URLs without a host (e.g. "file:///..." or "about:blank") yield their scheme.
+ * @param {string} url - The page URL.
+ * @returns {string} The domain, or an empty string if the URL cannot be parsed.
+ */
+export function getDomain(url) {
+    if (!url) return '';
+    try {
+        const parsedUrl = new URL(url);
+        return parsedUrl.hostname.replace(/^www\./, '') || parsedUrl.protocol.replace(/:$/, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+const EDITOR_BUCKET_PREFIXES = ['aw-watcher-vscode', 'aw-watcher-jetbrains', 'aw-watcher-vim', 'aw-watcher-nvim', 'aw-watcher-sublime'];
+
+/**
+ * Checks whether a bucket belongs to an editor watcher (VS Code, JetBrains IDEs, Vim, Sublime Text),
+ * whose events have `project`, `file` and `language` fields.
+ * @param {string} bucketId - The bucket ID.
+ * @returns {boolean} true for editor watcher buckets.
+ */
+export function isEditorBucket(bucketId) {
+    return EDITOR_BUCKET_PREFIXES.some(prefix => bucketId.startsWith(prefix));
+}
+
+/**
+ * Checks whether a bucket is a group pseudo-bucket: window watcher groups or browser watcher domain groups.
+ * @param {string} bucketId - The bucket ID.
+ * @returns {boolean} true for 'aw-watcher-window-group' and 'aw-watcher-web-group'.
+ */
+export function isGroupBucket(bucketId) {
+    return bucketId === 'aw-watcher-window-group' || bucketId === 'aw-watcher-web-group';
+}
+
+/**
+ * Returns the last segment of a file or directory path.
+ * @param {string} path - The path, with "/" or "\" separators.
+ * @returns {string} The last path segment.
+ */
+export function getPathBaseName(path) {
+    if (!path) return '';
+    const segments = path.split(/[\\/]/).filter(segment => segment);
+    return segments.length > 0 ? segments[segments.length - 1] : path;
+}
+
+/**
+ * Returns the path of an editor file relative to its project, or the path itself if the file is outside the project.
+ * @param {string} file - The file path.
+ * @param {string} project - The project path.
+ * @returns {string} The relative path.
+ */
+export function getProjectRelativePath(file, project) {
+    if (!file) return '';
+    if (project && file.startsWith(project)) {
+        return file.substring(project.length).replace(/^[\\/]+/, '') || file;
+    }
+    return file;
 }
 
 /**
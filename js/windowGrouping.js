@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Модуль настройки группировки событий окон: допуск на короткие переключения,
+ * минимальная длительность группы, псевдонимы приложений и "грязные" группы. Панель показывает,
+ * как изменятся группы видимого периода, до сохранения настроек.
+ * @module windowGrouping
+ */
+
+import { DEFAULT_WINDOW_GROUPING_OPTIONS, groupWindowWatcherEvents } from './events.js';
+import { getAllEventsData, getVisibleBuckets, getViewRange, getColorRules, getWindowGroupingOptions, setWindowGroupingOptions, subscribe } from './state.js';
+import { getColorForEvent } from './colorRules.js';
+import { setSyncedSetting } from './settingsSync.js';
+import { showNotification } from './notification.js';
+import { formatDuration, isGroupBucket } from './utils.js';
+
+const WINDOW_GROUPING_STORAGE_KEY = "windowGrouping";
+
+const OPEN_WINDOW_GROUPING_BUTTON_SELECTOR = "#open-window-grouping-button";
+const GAP_TOLERANCE_INPUT_SELECTOR = "#grouping-gap-tolerance-input";
+const MIN_DURATION_INPUT_SELECTOR = "#grouping-min-duration-input";
+const APP_ALIASES_TEXTAREA_SELECTOR = "#grouping-app-aliases-textarea";
+const DIRTY_GROUPS_CHECKBOX_SELECTOR = "#grouping-dirty-groups-checkbox";
+const GROUPING_PREVIEW_SELECTOR = "#grouping-preview";
+const SAVE_WINDOW_GROUPING_BUTTON_SELECTOR = "#save-window-grouping-button";
+const RESET_WINDOW_GROUPING_BUTTON_SELECTOR = "#reset-window-grouping-button";
+
+const PREVIEW_WIDTH = 460;
+const PREVIEW_LANE_HEIGHT = 18;
+const PREVIEW_LABEL_WIDTH = 60;
+const DIRTY_GROUP_COLOR = "#c8c8c8";
+const DEFAULT_GROUP_COLOR = "#7aa6c2";
+const PREVIEW_DELAY_MS = 200;
+
+let previewTimeoutId = null;
+
+/**
+ * Приводит параметры группировки к допустимым значениям; отсутствующие параметры берутся по умолчанию.
+ * @param {Object} options - Параметры группировки.
+ * @returns {Object} Проверенные параметры группировки.
+ */
+function normalizeGroupingOptions(options) {
+    const nonNegative = (value, fallback) => Number.isFinite(value) && value >= 0 ? value : fallback;
+    return {
+        gapTolerance: nonNegative(options.gapTolerance, DEFAULT_WINDOW_GROUPING_OPTIONS.gapTolerance),
+        minGroupDuration: nonNegative(options.minGroupDuration, DEFAULT_WINDOW_GROUPING_OPTIONS.minGroupDuration),
+        appAliases: Array.isArray(options.appAliases)
+            ? options.appAliases.filter(a => a && typeof a.alias === "string" && Array.isArray(a.apps))
+            : DEFAULT_WINDOW_GROUPING_OPTIONS.appAliases,
+        dirtyGroups: typeof options.dirtyGroups === "boolean" ? options.dirtyGroups : DEFAULT_WINDOW_GROUPING_OPTIONS.dirtyGroups,
+    };
+}
+
+/**
+ * Загружает параметры группировки событий окон из локального хранилища.
+ * @returns {Object} Параметры группировки (см. `DEFAULT_WINDOW_GROUPING_OPTIONS` в events.js).
+ */
+export function loadWindowGroupingOptions() {
+    const optionsString = localStorage.getItem(WINDOW_GROUPING_STORAGE_KEY);
+    if (!optionsString) return normalizeGroupingOptions({});
+    try {
+        return normalizeGroupingOptions(JSON.parse(optionsString) || {});
+    } catch (e) {
+        console.error("Failed to parse window grouping options from localStorage, using the defaults.", e);
+        return normalizeGroupingOptions({});
+    }
+}
+
+/**
+ * Разбирает псевдонимы приложений из текста: по строке на псевдоним, например `Terminal = kitty, Alacritty`.
+ * @param {string} text - Текст псевдонимов.
+ * @returns {Array<{alias: string, apps: Array<string>}>} Псевдонимы приложений.
+ */
+function parseAppAliases(text) {
+    return text.split('\n').map(line => {
+        const separatorIndex = line.indexOf('=');
+        if (separatorIndex === -1) return null;
+        const alias = line.slice(0, separatorIndex).trim();
+        const apps = line.slice(separatorIndex + 1).split(',').map(app => app.trim()).filter(app => app);
+        return alias && apps.length > 0 ? { alias, apps } : null;
+    }).filter(entry => entry !== null);
+}
+
+/**
+ * Записывает псевдонимы приложений в текст, см. `parseAppAliases`.
+ * @param {Array<{alias: string, apps: Array<string>}>} appAliases - Псевдонимы приложений.
+ * @returns {string} Текст псевдонимов.
+ */
+function formatAppAliases(appAliases) {
+    return appAliases.map(({ alias, apps }) => `${alias} = ${apps.join(', ')}`).join('\n');
+}
+
+/**
+ * Читает параметры группировки из формы панели.
+ * @returns {Object} Параметры группировки.
+ */
+function readGroupingForm() {
+    return normalizeGroupingOptions({
+        gapTolerance: Number(window.d3.select(GAP_TOLERANCE_INPUT_SELECTOR).property("value")),
+        minGroupDuration: Number(window.d3.select(MIN_DURATION_INPUT_SELECTOR).property("value")) * 60,
+        appAliases: parseAppAliases(window.d3.select(APP_ALIASES_TEXTAREA_SELECTOR).property("value")),
+        dirtyGroups: window.d3.select(DIRTY_GROUPS_CHECKBOX_SELECTOR).property("checked"),
+    });
+}
+
+/**
+ * Заполняет форму панели параметрами группировки.
+ * @param {Object} options - Параметры группировки.
+ */
+function fillGroupingForm(options) {
+    window.d3.select(GAP_TOLERANCE_INPUT_SELECTOR).property("value", options.gapTolerance);
+    window.d3.select(MIN_DURATION_INPUT_SELECTOR).property("value", options.minGroupDuration / 60);
+    window.d3.select(APP_ALIASES_TEXTAREA_SELECTOR).property("value", formatAppAliases(options.appAliases));
+    window.d3.select(DIRTY_GROUPS_CHECKBOX_SELECTOR).property("checked", options.dirtyGroups);
+}
+
+/**
+ * Описывает группы для сводки предпросмотра.
+ * @param {Array<Object>} groups - Группы событий окон.
+ * @returns {string} Число групп, из них "грязных".
+ */
+function describeGroups(groups) {
+    const dirtyCount = groups.filter(group => group.uniqueApps).length;
+    return `${groups.length} group${groups.length === 1 ? '' : 's'}${dirtyCount > 0 ? ` (${dirtyCount} mixed)` : ''}`;
+}
+
+/**
+ * Рендерит предпросмотр: дорожку групп видимого периода с сохраненными параметрами и с параметрами из формы.
+ */
+function renderGroupingPreview() {
+    const preview = window.d3.select(GROUPING_PREVIEW_SELECTOR);
+    if (preview.empty()) return;
+    preview.html("");
+
+    const visibleBuckets = getVisibleBuckets();
+    const viewRange = getViewRange();
+    const windowEvents = getAllEventsData().filter(event => event.bucket.startsWith('aw-watcher-window')
+        && !isGroupBucket(event.bucket)
+        && visibleBuckets.includes(event.bucket)
+        && (!viewRange || (event.timestamp < viewRange.end && event.timestamp.getTime() + event.duration * 1000 > viewRange.start)));
+
+    if (windowEvents.length === 0) {
+        preview.append("p").attr("class", "ligth-font").text("No window events in the visible range.");
+        return;
+    }
+
+    const lanes = [
+        { name: "Current", groups: groupWindowWatcherEvents(windowEvents, getWindowGroupingOptions()) },
+        { name: "Preview", groups: groupWindowWatcherEvents(windowEvents, readGroupingForm()) },
+    ];
+    const start = viewRange ? viewRange.start : windowEvents[0].timestamp;
+    const end = viewRange ? viewRange.end : new Date(window.d3.max(windowEvents, e => e.timestamp.getTime() + e.duration * 1000));
+    const x = window.d3.scaleTime().domain([start, end]).range([PREVIEW_LABEL_WIDTH, PREVIEW_WIDTH]);
+    const colorRules = getColorRules();
+
+    preview.append("p")
+        .attr("class", "ligth-font")
+        .text(`${windowEvents.length} window events in the visible range: ${describeGroups(lanes[0].groups)} now, ${describeGroups(lanes[1].groups)} with these settings.`);
+
+    const svg = preview.append("svg")
+        .attr("class", "grouping-preview-lanes")
+        .attr("width", PREVIEW_WIDTH)
+        .attr("height", lanes.length * (PREVIEW_LANE_HEIGHT + 6));
+
+    lanes.forEach((lane, index) => {
+        const laneGroup = svg.append("g").attr("transform", `translate(0, ${index * (PREVIEW_LANE_HEIGHT + 6)})`);
+        laneGroup.append("text")
+            .attr("x", 0)
+            .attr("y", PREVIEW_LANE_HEIGHT - 5)
+            .text(lane.name);
+        laneGroup.selectAll("rect")
+            .data(lane.groups)
+            .join("rect")
+            .attr("x", group => x(group.startTime))
+            .attr("width", group => Math.max(1, x(group.endTime) - x(group.startTime)))
+            .attr("height", PREVIEW_LANE_HEIGHT)
+            .attr("fill", group => group.uniqueApps
+                ? DIRTY_GROUP_COLOR
+                : getColorForEvent({ bucket: 'aw-watcher-window-group', data: { app: group.app } }, colorRules) || DEFAULT_GROUP_COLOR)
+            .append("title")
+            .text(group => `${group.app.split('<br>').join(', ')} (${formatDuration(group.totalDuration)})`);
+    });
+}
+
+/**
+ * Устанавливает панель настройки группировки событий окон.
+ * @param {d3.Selection} panel - D3-выборка панели группировки.
+ */
+export function setupWindowGroupingPanel(panel) {
+    window.d3.select(OPEN_WINDOW_GROUPING_BUTTON_SELECTOR).on("click", () => {
+        if (panel.style("display") !== "none") {
+            panel.style("display", "none");
+            return;
+        }
+        fillGroupingForm(getWindowGroupingOptions() || loadWindowGroupingOptions());
+        panel.style("display", "block");
+        renderGroupingPreview();
+    });
+
+    panel.selectAll("input, textarea").on("input", renderGroupingPreview);
+
+    window.d3.select(SAVE_WINDOW_GROUPING_BUTTON_SELECTOR).on("click", () => {
+        const options = readGroupingForm();
+        setSyncedSetting(WINDOW_GROUPING_STORAGE_KEY, JSON.stringify(options));
+        setWindowGroupingOptions(options);
+        showNotification("Window grouping saved.");
+    });
+
+    window.d3.select(RESET_WINDOW_GROUPING_BUTTON_SELECTOR).on("click", () => {
+        fillGroupingForm(normalizeGroupingOptions({}));
+        renderGroupingPreview();
+    });
+
+    // The preview follows the visible range and the loaded events while the panel is open;
+    // zooming changes the range on every frame, so the preview waits until it settles
+    subscribe(['events', 'visibleBuckets', 'viewRange', 'windowGrouping'], (changedSlices, eventsChange) => {
+        if (panel.style("display") === "none" || (changedSlices.size === 1 && eventsChange === 'extend')) return;
+        clearTimeout(previewTimeoutId);
+        previewTimeoutId = setTimeout(renderGroupingPreview, PREVIEW_DELAY_MS);
+    });
+}
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Модуль рабочих пространств: именованные наборы раскладки панелей, открытых панелей,
+ * видимых "корзин", пресета масштаба и правил раскраски с быстрым переключением и импортом/экспортом в JSON.
+ * @module workspaces
+ */
+
+import { showNotification } from './notification.js';
+import { setSyncedSetting, removeSyncedSetting } from './settingsSync.js';
+import { getOpenPanelIds, setOpenPanels } from './urlState.js';
+import { getActiveZoomPreset, applyZoomPreset } from './ui.js';
+import { downloadJson } from './backup.js';
+
+const WORKSPACES_STORAGE_KEY = "workspaces";
+const ACTIVE_WORKSPACE_STORAGE_KEY = "activeWorkspace";
+const WORKSPACE_FILE_FORMAT = "aw-webui-sg-workspaces";
+
+const OPEN_WORKSPACES_BUTTON_SELECTOR = "#open-workspaces-button";
+const WORKSPACE_SELECT_SELECTOR = "#workspace-select";
+const WORKSPACE_LIST_SELECTOR = "#workspace-list";
+const WORKSPACE_NAME_INPUT_SELECTOR = "#workspace-name-input";
+const SAVE_WORKSPACE_BUTTON_SELECTOR = "#save-workspace-button";
+const EXPORT_WORKSPACES_BUTTON_SELECTOR = "#export-workspaces-button";
+const WORKSPACE_FILE_INPUT_SELECTOR = "#workspace-file-input";
+
+/**
+ * Ключи локального хранилища, которые входят в рабочее пространство.
+ */
+const WORKSPACE_KEY_PATTERNS = [
+    /^visibleBuckets$/,
+    /^colorRules$/,
+    /^zoom-.+-value$/,
+    /Position$/,
+    /Width$/,
+];
+
+let onWorkspaceApplied = async () => {};
+
+/**
+ * Рабочее пространство.
+ * @typedef {Object} Workspace
+ * @property {string} id - ID пространства.
+ * @property {string} name - Название.
+ * @property {Object<string, string>} settings - Значения ключей локального хранилища (раскладка, "корзины", правила, масштаб).
+ * @property {Array<string>} openPanels - ID открытых панелей.
+ * @property {string|null} zoomPreset - ID пресета масштаба, примененного последним.
+ */
+
+/**
+ * Загружает рабочие пространства из локального хранилища.
+ * @returns {Array<Workspace>} Рабочие пространства.
+ */
+export function loadWorkspaces() {
+    const workspacesString = localStorage.getItem(WORKSPACES_STORAGE_KEY);
+    if (!workspacesString) return [];
+    try {
+        const workspaces = JSON.parse(workspacesString);
+        return Array.isArray(workspaces) ? workspaces : [];
+    } catch (e) {
+        console.error("Failed to parse workspaces from localStorage, resetting.", e);
+        return [];
+    }
+}
+
+/**
+ * Сохраняет рабочие пространства в локальное хранилище.
+ * @param {Array<Workspace>} workspaces - Рабочие пространства.
+ */
+function saveWorkspaces(workspaces) {
+    localStorage.setItem(WORKSPACES_STORAGE_KEY, JSON.stringify(workspaces));
+}
+
+/**
+ * Снимает текущее состояние интерфейса в рабочее пространство.
+ * @param {string} id - ID пространства.
+ * @param {string} name - Название.
+ * @returns {Workspace} Рабочее пространство.
+ */
+function captureWorkspace(id, name) {
+    const settings = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (WORKSPACE_KEY_PATTERNS.some(pattern => pattern.test(key))) {
+            settings[key] = localStorage.getItem(key);
+        }
+    }
+    return {
+        id: id,
+        name: name,
+        settings: settings,
+        openPanels: getOpenPanelIds(),
+        zoomPreset: getActiveZoomPreset(),
+    };
+}
+
+/**
+ * Переключается на рабочее пространство: записывает его настройки (ключи, которых в нем нет, удаляются,
+ * чтобы действовали значения по умолчанию), перерисовывает интерфейс,
+ * открывает его панели и применяет пресет масштаба.
+ * @param {string} workspaceId - ID пространства.
+ * @returns {Promise<boolean>} true, если пространство найдено и применено.
+ */
+export async function switchWorkspace(workspaceId) {
+    const workspace = loadWorkspaces().find(w => w.id === workspaceId);
+    if (!workspace) return false;
+
+    const isWorkspaceKey = key => WORKSPACE_KEY_PATTERNS.some(pattern => pattern.test(key));
+    const staleKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (isWorkspaceKey(key) && !(key in workspace.settings)) {
+            staleKeys.push(key);
+        }
+    }
+    // A panel that was never moved in this workspace must not keep its place from the previous one
+    staleKeys.forEach(removeSyncedSetting);
+    Object.entries(workspace.settings).forEach(([key, value]) => {
+        if (isWorkspaceKey(key)) {
+            setSyncedSetting(key, value);
+        }
+    });
+    localStorage.setItem(ACTIVE_WORKSPACE_STORAGE_KEY, workspace.id);
+
+    try {
+        await onWorkspaceApplied();
+    } catch (error) {
+        console.error(`Failed to apply workspace "${workspace.name}":`, error);
+        showNotification(`Failed to apply workspace "${workspace.name}": ${error.message}`, 5000);
+        return false;
+    }
+    setOpenPanels(workspace.openPanels || []);
+    if (workspace.zoomPreset) {
+        applyZoomPreset(workspace.zoomPreset);
+    }
+    renderWorkspaceSelect();
+    renderWorkspaceList();
+    showNotification(`Workspace "${workspace.name}" applied.`);
+    return true;
+}
+
+/**
+ * Сохраняет текущее состояние интерфейса под указанным именем; пространство с тем же именем перезаписывается.
+ * @param {string} name - Название пространства.
+ */
+function saveCurrentWorkspace(name) {
+    const workspaces = loadWorkspaces();
+    const existing = workspaces.find(w => w.name === name);
+    const workspace = captureWorkspace(existing ? existing.id : `workspace-${Date.now()}`, name);
+    saveWorkspaces(existing ? workspaces.map(w => w.id === existing.id ? workspace : w) : workspaces.concat(workspace));
+    localStorage.setItem(ACTIVE_WORKSPACE_STORAGE_KEY, workspace.id);
+    renderWorkspaceSelect();
+    renderWorkspaceList();
+    showNotification(existing ? `Workspace "${name}" updated.` : `Workspace "${name}" saved.`);
+}
+
+/**
+ * Проверяет рабочие пространства из файла импорта.
+ * @param {Object} fileData - Содержимое файла.
+ * @returns {Array<Workspace>} Рабочие пространства из файла.
+ * @throws {Error} Если файл не является экспортом рабочих пространств.
+ */
+function parseWorkspaceFile(fileData) {
+    if (!fileData || fileData.format !== WORKSPACE_FILE_FORMAT || !Array.isArray(fileData.workspaces)) {
+        throw new Error("This file is not a workspace export.");
+    }
+    return fileData.workspaces.filter(w => w && typeof w.name === "string" && w.settings && typeof w.settings === "object");
+}
+
+/**
+ * Импортирует рабочие пространства; пространства с совпадающими названиями заменяются.
+ * @param {Array<Workspace>} importedWorkspaces - Рабочие пространства из файла.
+ */
+function importWorkspaces(importedWorkspaces) {
+    let workspaces = loadWorkspaces();
+    importedWorkspaces.forEach((imported, index) => {
+        const existing = workspaces.find(w => w.name === imported.name);
+        const workspace = {
+            id: existing ? existing.id : `workspace-${Date.now()}-${index}`,
+            name: imported.name,
+            settings: imported.settings,
+            openPanels: Array.isArray(imported.openPanels) ? imported.openPanels : [],
+            zoomPreset: imported.zoomPreset || null,
+        };
+        workspaces = existing ? workspaces.map(w => w.id === existing.id ? workspace : w) : workspaces.concat(workspace);
+    });
+    saveWorkspaces(workspaces);
+    renderWorkspaceSelect();
+    renderWorkspaceList();
+    showNotification(`${importedWorkspaces.length} workspace${importedWorkspaces.length === 1 ? '' : 's'} imported.`);
+}
+
+/**
+ * Рендерит список рабочих пространств для быстрого переключения на панели инструментов.
+ */
+function renderWorkspaceSelect() {
+    const select = window.d3.select(WORKSPACE_SELECT_SELECTOR);
+    if (select.empty()) return;
+
+    const workspaces = loadWorkspaces();
+    const activeId = localStorage.getItem(ACTIVE_WORKSPACE_STORAGE_KEY);
+    select.html("");
+    select.append("option").attr("value", "").text(workspaces.length > 0 ? "Workspace..." : "No workspaces");
+    workspaces.forEach(workspace => {
+        select.append("option").attr("value", workspace.id).text(workspace.name);
+    });
+    select.property("value", workspaces.some(w => w.id === activeId) ? activeId : "");
+}
+
+/**
+ * Рендерит список рабочих пространств в панели управления.
+ */
+function renderWorkspaceList() {
+    const list = window.d3.select(WORKSPACE_LIST_SELECTOR);
+    if (list.empty()) return;
+    list.html("");
+
+    const workspaces = loadWorkspaces();
+    const activeId = localStorage.getItem(ACTIVE_WORKSPACE_STORAGE_KEY);
+    if (workspaces.length === 0) {
+        list.append("p").attr("class", "ligth-font").text("No workspaces yet. Arrange panels, buckets and colors, then save them under a name.");
+        return;
+    }
+
+    workspaces.forEach(workspace => {
+        const row = list.append("div")
+            .attr("class", "workspace-item")
+            .classed("active", workspace.id === activeId);
+        row.append("span").attr("class", "workspace-name").text(workspace.name);
+        row.append("button")
+            .attr("type", "button")
+            .text("Apply")
+            .on("click", () => switchWorkspace(workspace.id));
+        row.append("button")
+            .attr("type", "button")
+            .attr("title", "Replace with the current layout")
+            .text("Update")
+            .on("click", () => saveCurrentWorkspace(workspace.name));
+        row.append("button")
+            .attr("type", "button")
+            .attr("class", "delete")
+            .attr("title", `Delete "${workspace.name}"`)
+            .text("×")
+            .on("click", () => {
+                if (!confirm(`Delete workspace "${workspace.name}"?`)) return;
+                saveWorkspaces(loadWorkspaces().filter(w => w.id !== workspace.id));
+                renderWorkspaceSelect();
+                renderWorkspaceList();
+            });
+    });
+}
+
+/**
+ * Устанавливает переключатель рабочих пространств на панели инструментов и панель управления ими.
+ * @param {d3.Selection} panel - D3-выборка панели рабочих пространств.
+ * @param {function(): Promise<void>} onApplied - Функция обратного вызова, применяющая записанные настройки
+ * (правила раскраски, раскладку панелей, масштаб и видимые "корзины").
+ */
+export function setupWorkspaces(panel, onApplied) {
+    onWorkspaceApplied = onApplied;
+
+    window.d3.select(OPEN_WORKSPACES_BUTTON_SELECTOR).on("click", () => {
+        renderWorkspaceList();
+        panel.style("display", panel.style("display") === "none" ? "block" : "none");
+    });
+
+    const select = window.d3.select(WORKSPACE_SELECT_SELECTOR);
+    select.on("change", async () => {
+        const workspaceId = select.property("value");
+        if (workspaceId) {
+            await switchWorkspace(workspaceId);
+        }
+    });
+
+    window.d3.select(SAVE_WORKSPACE_BUTTON_SELECTOR).on("click", () => {
+        const nameInput = window.d3.select(WORKSPACE_NAME_INPUT_SELECTOR);
+        const name = nameInput.property("value").trim();
+        if (!name) {
+            showNotification("Please enter a workspace name.");
+            return;
+        }
+        saveCurrentWorkspace(name);
+        nameInput.property("value", "");
+    });
+
+    window.d3.select(EXPORT_WORKSPACES_BUTTON_SELECTOR).on("click", () => {
+        const workspaces = loadWorkspaces();
+        if (workspaces.length === 0) {
+            showNotification("There are no workspaces to export.");
+            return;
+        }
+        downloadJson({ format: WORKSPACE_FILE_FORMAT, exportedAt: new Date().toISOString(), workspaces: workspaces }, "aw-workspaces.json");
+    });
+
+    window.d3.select(WORKSPACE_FILE_INPUT_SELECTOR).on("change", async function () {
+        const file = this.files[0];
+        if (!file) return;
+        try {
+            importWorkspaces(parseWorkspaceFile(JSON.parse(await file.text())));
+        } catch (error) {
+            console.error("Failed to import workspaces:", error);
+            showNotification(`Failed to import workspaces: ${error.message}`, 5000);
+        }
+        this.value = "";
+    });
+
+    renderWorkspaceSelect();
+}